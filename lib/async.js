@@ -0,0 +1,59 @@
+// ============================================
+// ASYNC HELPERS
+// ============================================
+
+const DEFAULT_CONCURRENCY = 2;
+
+class TimeoutError extends Error {
+    constructor(label, ms) {
+        super(`${label} timed out after ${ms}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Reject with TimeoutError if the promise does not settle in time.
+// onTimeout lets the caller release resources (e.g. close the page).
+function withTimeout(promise, ms, label = 'Operation', onTimeout) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            if (onTimeout) {
+                Promise.resolve().then(onTimeout).catch(() => {});
+            }
+            reject(new TimeoutError(label, ms));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run worker over items with at most `limit` in flight at once.
+// onSettled fires as each item finishes so callers can merge results early.
+// A limit that isn't a number >= 1 (e.g. a typo in UNIVERSAL_CONCURRENCY)
+// falls back to DEFAULT_CONCURRENCY instead of running nothing.
+async function runWithConcurrency(items, limit, worker, onSettled) {
+    const results = new Array(items.length);
+    const lanesWanted = Number.isFinite(limit) && limit >= 1 ? Math.floor(limit) : DEFAULT_CONCURRENCY;
+    let next = 0;
+
+    async function lane() {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (e) {
+                results[index] = { error: e };
+            }
+            if (onSettled) onSettled(results[index], index);
+        }
+    }
+
+    const lanes = Array.from({ length: Math.max(1, Math.min(lanesWanted, items.length)) }, lane);
+    await Promise.all(lanes);
+    return results;
+}
+
+module.exports = {
+    TimeoutError,
+    withTimeout,
+    runWithConcurrency
+};
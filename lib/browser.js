@@ -0,0 +1,55 @@
+// ============================================
+// BROWSER AUTOMATION HELPERS
+// ============================================
+// Shared by server.js and the platform adapters in platforms/
+
+async function openSite(page, url) {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(3000);
+}
+
+function detectLoginPage(url, page) {
+    const loginPatterns = [
+        '/login', '/signin', '/auth', '/ap/signin',
+        'accounts.google', 'login.live', 'account/login',
+        'captcha', 'robot_check'
+    ];
+    return loginPatterns.some(pattern => url.toLowerCase().includes(pattern));
+}
+
+// Whole path segments only: Myntra product links end in /buy and slugs like
+// /Paytm-Soundbox/dp/... or /payal-anklet/p/... are ordinary product pages
+const CHECKOUT_URL_PATTERN = /\/(checkout|viewcheckout|payments?|place-order|confirm-order|billing|pay)(\/|\?|#|$)|\/gp\/buy\//;
+
+function detectCheckoutPage(url) {
+    return CHECKOUT_URL_PATTERN.test(String(url || '').toLowerCase());
+}
+
+// Helper: Scroll to load lazy images
+async function scrollAndWait(page, scrolls = 3) {
+    for (let i = 0; i < scrolls; i++) {
+        await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+        await page.waitForTimeout(1000);
+    }
+    await page.evaluate(() => window.scrollTo(0, 0));
+    await page.waitForTimeout(500);
+}
+
+// Helper: Type a query into the site's search box and submit it
+async function typeSearchQuery(page, selector, query) {
+    await page.waitForSelector(selector, { timeout: 10000 });
+    await page.click(selector);
+    await page.fill(selector, '');
+    await page.fill(selector, query);
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('domcontentloaded');
+    await page.waitForTimeout(4000);
+}
+
+module.exports = {
+    openSite,
+    detectLoginPage,
+    detectCheckoutPage,
+    scrollAndWait,
+    typeSearchQuery
+};
@@ -0,0 +1,62 @@
+// ============================================
+// SHOPPING SEARCH CACHE
+// ============================================
+// Repeated queries ("iphone 15" twice in a minute) are answered from memory
+// instead of relaunching Chromium and re-scraping every platform, which is
+// slow and invites CAPTCHAs. Keyed by normalized query, platform and
+// pagination - filters are applied to the cached products afterwards, so
+// they aren't part of the key. Entries expire after SEARCH_CACHE_TTL_MS
+// (0 disables).
+
+const TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS || String(10 * 60 * 1000), 10);
+const MAX_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '200', 10);
+
+const entries = new Map();
+
+function normalizeQuery(query) {
+    return String(query || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function searchCacheKey({ query, platform, limit, pages }) {
+    return JSON.stringify([
+        normalizeQuery(query),
+        String(platform || 'universal').toLowerCase(),
+        limit || null,
+        pages || null
+    ]);
+}
+
+// Returns { value, ageMs } or null when missing/expired
+function getCachedSearch(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    const ageMs = Date.now() - entry.storedAt;
+    if (ageMs > TTL_MS) {
+        entries.delete(key);
+        return null;
+    }
+    return { value: entry.value, ageMs };
+}
+
+function setCachedSearch(key, value) {
+    if (TTL_MS <= 0) return;
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+
+    // Map keeps insertion order, so the first key is the oldest entry
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+function clearSearchCache() {
+    entries.clear();
+}
+
+module.exports = {
+    searchCacheKey,
+    getCachedSearch,
+    setCachedSearch,
+    clearSearchCache
+};
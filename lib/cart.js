@@ -0,0 +1,267 @@
+// ============================================
+// CART ACTIONS
+// ============================================
+// Opens a product link in the session's pooled (logged-in) context, picks
+// the requested size/colour, clicks Add to Cart and reads the cart page
+// back. Selectors live in the "cart" section of selectors/<platformId>.json:
+//
+// "cart": {
+//     "url": "https://www.amazon.in/gp/cart/view.html",
+//     "variants": ["#variation_size_name li", "select#size option"],  // every match is a choice
+//     "addToCart": ["#add-to-cart-button"],        // Playwright selectors, first visible wins
+//     "added": ["#sw-atc-confirmation"],           // any of these means the item went in
+//     "dismiss": ["#attachSiNoCoverage input"],    // optional upsell sheet to close after adding
+//     "items": { "containers": [...], "fields": {...}, "required": [...] },
+//     "subtotal": [...],                           // field specs read from the whole page
+//     "itemCount": [...]
+// }
+//
+// "items" is a search-result config (see lib/selectors.js) run on the cart
+// page. The flow always stops at the cart: buttons that read like buy now /
+// checkout / pay are never clicked, and lib/checkout.js freezes the page if
+// a site redirects there anyway.
+
+const { openSite } = require('./browser');
+const { getSelectorConfig } = require('./selectors');
+const { extractInPage, evaluateWithReader } = require('./extractor');
+const { parsePrice } = require('./normalize');
+
+const CHECKOUT_LABEL = /buy now|checkout|check out|place order|proceed to (buy|pay|checkout)|pay now|\bpay\b/i;
+const CART_PATH = /\/(view)?cart(\/|\.|$)|smart-wagon/;
+const ADDED_TIMEOUT_MS = 10000;
+
+function getCartConfig(platform) {
+    const config = platform && getSelectorConfig(platform.id);
+    return (config && config.cart) || null;
+}
+
+function normalizeLabel(text) {
+    return String(text || '').toLowerCase().replace(/^click to select\s+/, '').replace(/\s+/g, ' ').trim();
+}
+
+// "M", ["Blue", "128 GB"] or { size: "M", color: "Blue" } -> ['m', 'blue', ...]
+function variantValues(variant) {
+    if (!variant) return [];
+    const values = typeof variant === 'object' && !Array.isArray(variant) ? Object.values(variant) : [].concat(variant);
+    return values.map(normalizeLabel).filter(Boolean);
+}
+
+// candidates: [{ ref, labels: [...] }] -> the ref to pick for one wanted value.
+// An exact label wins over one that merely contains the value as a word.
+function pickVariant(candidates, wanted) {
+    const value = normalizeLabel(wanted);
+    if (!value) return null;
+    const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const word = new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`);
+
+    const labelsOf = candidate => candidate.labels.map(normalizeLabel).filter(Boolean);
+    const exact = candidates.find(candidate => labelsOf(candidate).includes(value));
+    if (exact) return exact.ref;
+    const partial = candidates.find(candidate => labelsOf(candidate).some(label => word.test(label)));
+    return partial ? partial.ref : null;
+}
+
+// Every variant choice on the page, tagged so it can be clicked from Node
+async function listVariantChoices(page, selectors) {
+    return page.evaluate(selectors => {
+        const candidates = [];
+        selectors.forEach(selector => {
+            document.querySelectorAll(selector).forEach(element => {
+                const ref = String(candidates.length);
+                const img = element.querySelector('img');
+                const labels = [
+                    element.innerText || element.textContent,
+                    element.getAttribute('title'),
+                    element.getAttribute('aria-label'),
+                    img && img.getAttribute('alt')
+                ].filter(Boolean);
+
+                if (element.tagName === 'OPTION' && element.parentElement) {
+                    element.parentElement.setAttribute('data-invrsly-variant-select', ref);
+                    candidates.push({ ref, labels, option: element.value });
+                } else {
+                    element.setAttribute('data-invrsly-variant', ref);
+                    candidates.push({ ref, labels });
+                }
+            });
+        });
+        return candidates;
+    }, selectors || []).catch(() => []);
+}
+
+async function selectVariants(page, cart, variant) {
+    const wanted = variantValues(variant);
+    const selected = [];
+    const missing = [];
+
+    for (const value of wanted) {
+        // Re-listed each time: picking a colour can swap the size choices
+        const candidates = await listVariantChoices(page, cart.variants);
+        const ref = pickVariant(candidates, value);
+        const choice = candidates.find(candidate => candidate.ref === ref);
+        if (!choice) {
+            missing.push(value);
+            continue;
+        }
+
+        try {
+            if (choice.option !== undefined) {
+                await page.selectOption(`[data-invrsly-variant-select="${ref}"]`, choice.option);
+            } else {
+                await page.click(`[data-invrsly-variant="${ref}"]`, { timeout: 5000 });
+            }
+            await page.waitForTimeout(2500);
+            selected.push(value);
+        } catch (e) {
+            console.log(`⚠️  Could not pick variant "${value}": ${e.message}`);
+            missing.push(value);
+        }
+    }
+    return { requested: wanted, selected, missing };
+}
+
+async function clickAddToCart(page, cart) {
+    for (const selector of cart.addToCart || []) {
+        const button = page.locator(selector).first();
+        if (!await button.isVisible().catch(() => false)) continue;
+        const label = (await button.textContent().catch(() => '')) || (await button.getAttribute('value').catch(() => '')) || '';
+        if (CHECKOUT_LABEL.test(label)) continue;
+        await button.click();
+        return true;
+    }
+    return false;
+}
+
+async function waitForAdded(page, cart) {
+    const deadline = Date.now() + ADDED_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (CART_PATH.test(new URL(page.url()).pathname.toLowerCase())) return true;
+        for (const selector of cart.added || []) {
+            if (await page.locator(selector).first().isVisible().catch(() => false)) return true;
+        }
+        await page.waitForTimeout(500);
+    }
+    return false;
+}
+
+async function dismissUpsell(page, cart) {
+    for (const selector of cart.dismiss || []) {
+        const button = page.locator(selector).first();
+        if (await button.isVisible().catch(() => false)) {
+            await button.click().catch(() => {});
+            await page.waitForTimeout(1000);
+            return;
+        }
+    }
+}
+
+// Cart rows and page totals -> { items, itemCount, subtotal, subtotalText }.
+// Without a readable subtotal it is summed from the rows.
+function summarizeCart(rows, totals = {}) {
+    const items = (rows || []).map(row => {
+        const quantity = parseInt(String(row.quantity || '').replace(/\D/g, ''), 10);
+        return {
+            title: row.title,
+            price: row.price || '',
+            priceValue: parsePrice(row.price).amount,
+            quantity: quantity > 0 ? quantity : 1,
+            productUrl: row.productUrl,
+            image: row.image || ''
+        };
+    });
+
+    const counted = parseInt(String(totals.itemCount || '').replace(/\D/g, ''), 10);
+    let subtotal = parsePrice(totals.subtotal).amount;
+    if (subtotal === null && items.length > 0 && items.every(item => item.priceValue !== null)) {
+        subtotal = items.reduce((sum, item) => sum + item.priceValue * item.quantity, 0);
+    }
+
+    return {
+        items,
+        itemCount: counted > 0 ? counted : items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal,
+        subtotalText: subtotal !== null ? `₹${subtotal.toLocaleString('en-IN')}` : null
+    };
+}
+
+// Opens the platform's cart page and reads it
+async function readCart(page, platform) {
+    const cart = getCartConfig(platform);
+    if (!cart) throw new Error(`Cart is not supported on ${platform.name}`);
+
+    await openSite(page, cart.url);
+    const rows = await evaluateWithReader(page, extractInPage, {
+        config: { required: ['title', 'productUrl'], ...cart.items },
+        platformName: platform.name,
+        baseUrl: platform.baseUrl
+    });
+    const totals = await evaluateWithReader(page, extractInPage, {
+        config: { containers: ['body'], fields: { subtotal: cart.subtotal || [], itemCount: cart.itemCount || [] }, required: [] },
+        platformName: platform.name,
+        baseUrl: platform.baseUrl
+    });
+
+    return {
+        platform: platform.name,
+        url: page.url(),
+        ...summarizeCart(rows.products, totals.products[0])
+    };
+}
+
+// Adds one product and returns { platform, productUrl, added, variant, cart, warning?, error? }.
+// cart is null when the cart page couldn't be read afterwards - the add
+// itself still counts.
+async function addToCart(page, platform, productUrl, { variant } = {}) {
+    const cart = getCartConfig(platform);
+    if (!cart) throw new Error(`Cart is not supported on ${platform.name}`);
+
+    console.log(`🛒 Adding to ${platform.name} cart: ${productUrl}`);
+    await openSite(page, productUrl);
+
+    const variants = await selectVariants(page, cart, variant);
+    if (variants.missing.length > 0) {
+        return {
+            platform: platform.name,
+            productUrl,
+            added: false,
+            variant: variants,
+            error: `Could not find ${variants.missing.join(', ')} on this product - nothing was added`
+        };
+    }
+
+    if (!await clickAddToCart(page, cart)) {
+        return { platform: platform.name, productUrl, added: false, variant: variants, error: 'No Add to Cart button (out of stock, or login needed)' };
+    }
+
+    const added = await waitForAdded(page, cart);
+    await dismissUpsell(page, cart);
+    console.log(added ? `✅ Added to ${platform.name} cart` : `⚠️  ${platform.name} did not confirm the add`);
+
+    let summary = null;
+    let warning;
+    try {
+        summary = await readCart(page, platform);
+    } catch (e) {
+        console.log(`⚠️  Could not read ${platform.name} cart: ${e.message}`);
+        warning = `Could not read the ${platform.name} cart page (${e.message}) - open the cart to check it`;
+    }
+
+    return {
+        platform: platform.name,
+        productUrl,
+        added,
+        variant: variants,
+        cart: summary,
+        warning,
+        error: added ? undefined : `${platform.name} did not confirm the item was added - check the cart`
+    };
+}
+
+module.exports = {
+    getCartConfig,
+    variantValues,
+    pickVariant,
+    summarizeCart,
+    readCart,
+    addToCart
+};
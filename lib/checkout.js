@@ -0,0 +1,388 @@
+// ============================================
+// CHECKOUT GUARDRAIL
+// ============================================
+// Automation never pays for anything by itself. Every pooled page is guarded:
+// once it reaches a checkout/payment URL (detectCheckoutPage) or shows a
+// payment form (card number, CVV, UPI id, a payment gateway frame), the page
+// is frozen - its navigations and non-GET requests are held, so a click on
+// "Place order" goes nowhere - and a confirmation is raised with a
+// screenshot and the order summary. Held requests only go through after the
+// user approves in the chat UI; rejecting, timing out or closing the page
+// aborts them.
+//
+// The task that reached checkout doesn't wait for the decision:
+// detachConfirmation() moves the frozen page out of the browser pool (headed)
+// or closes it and keeps its URL (headless), so an unanswered checkout never
+// holds a pool slot.
+//
+// Events on checkoutEvents (all carry confirmationId and sessionId):
+//   'confirmation_required' { url, reason, summary }
+//   'confirmation_resolved' { status: 'approved' | 'rejected' | 'expired' | 'closed' }
+//
+// Every event is appended to data/checkout-audit.jsonl (or
+// CHECKOUT_AUDIT_FILE). Screenshots and form values are never logged.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { detectCheckoutPage } = require('./browser');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '..', 'data', 'checkout-audit.jsonl');
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.CHECKOUT_CONFIRM_TIMEOUT_MS || '600000', 10);
+const SUMMARY_LINES = 8;
+
+const CARD_FIELD_PATTERN = /card.?(number|no\b)|cc.?(num|number)|cvv|cvc|security.?code|expiry|exp.?(month|year|date)|name.?on.?card/i;
+const UPI_FIELD_PATTERN = /\bupi\b|\bvpa\b|upi.?id|@ybl|@paytm|@okaxis|@oksbi/i;
+const GATEWAY_FRAME_PATTERN = /razorpay|paytm|payu|cashfree|juspay|billdesk|ccavenue|stripe|checkout\.com|phonepe/i;
+const TOTAL_PATTERN = /order total|grand total|total amount|amount payable|amount to pay|to pay|total payable|^total\b/i;
+const SUMMARY_PATTERN = /total|subtotal|to pay|payable|delivery|shipping|discount|savings|items?\b|price \(/i;
+
+const checkoutEvents = new EventEmitter();
+checkoutEvents.setMaxListeners(0);
+
+const confirmations = new Map();        // confirmationId -> confirmation
+const pageConfirmations = new WeakMap(); // page -> confirmation, so one page is frozen once
+const guardedPages = new WeakSet();
+
+function auditFile() {
+    return process.env.CHECKOUT_AUDIT_FILE || DEFAULT_AUDIT_FILE;
+}
+
+function audit(event, confirmation, extra = {}) {
+    const entry = {
+        at: new Date().toISOString(),
+        event,
+        confirmationId: confirmation.id,
+        sessionId: confirmation.sessionId,
+        url: confirmation.url,
+        reason: confirmation.reason,
+        total: confirmation.summary ? confirmation.summary.totalText : null,
+        ...extra
+    };
+    try {
+        fs.mkdirSync(path.dirname(auditFile()), { recursive: true });
+        fs.appendFileSync(auditFile(), JSON.stringify(entry) + '\n');
+    } catch (e) {
+        console.log(`⚠️  Could not write checkout audit log: ${e.message}`);
+    }
+}
+
+// Newest first; only the given session's entries when sessionId is set
+function readCheckoutAudit({ sessionId, limit = 50 } = {}) {
+    let lines = [];
+    try {
+        lines = fs.readFileSync(auditFile(), 'utf8').split('\n');
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.log(`⚠️  Could not read checkout audit log: ${e.message}`);
+    }
+
+    const entries = [];
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (!sessionId || entry.sessionId === sessionId) entries.push(entry);
+        } catch (e) {
+            // A torn last line from a crash - skip it
+        }
+    }
+    return entries.reverse().slice(0, limit);
+}
+
+// form: { inputs: [{ type, name, id, placeholder, label, autocomplete }], frames: [src] }
+// Returns 'card', 'upi', 'gateway' or null
+function classifyPaymentForm(form) {
+    const inputs = (form && form.inputs) || [];
+    const describe = input => [input.name, input.id, input.placeholder, input.label].filter(Boolean).join(' ');
+
+    if (inputs.some(input => /^cc-/.test(input.autocomplete || '') || CARD_FIELD_PATTERN.test(describe(input)))) return 'card';
+    if (inputs.some(input => UPI_FIELD_PATTERN.test(describe(input)))) return 'upi';
+    if (((form && form.frames) || []).some(src => GATEWAY_FRAME_PATTERN.test(src))) return 'gateway';
+    return null;
+}
+
+async function readPaymentForm(page) {
+    return page.evaluate(() => {
+        const inputs = [...document.querySelectorAll('input')].filter(input => {
+            const box = input.getBoundingClientRect();
+            return input.type !== 'hidden' && box.width > 0 && box.height > 0;
+        });
+        return {
+            inputs: inputs.map(input => ({
+                type: input.type,
+                name: input.name,
+                id: input.id,
+                placeholder: input.placeholder,
+                autocomplete: input.autocomplete,
+                label: (input.labels && input.labels[0] && input.labels[0].innerText) || input.getAttribute('aria-label') || ''
+            })),
+            frames: [...document.querySelectorAll('iframe')].map(frame => frame.src || '')
+        };
+    }).catch(() => ({ inputs: [], frames: [] }));
+}
+
+function parseAmount(text) {
+    const match = String(text || '').match(/(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d+)?)/i);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+// Price lines read off the page -> { total, totalText, lines }
+function summarizeOrder(lines) {
+    const priced = [...new Set((lines || []).map(line => String(line).replace(/\s+/g, ' ').trim()))]
+        .filter(line => line && parseAmount(line) !== null && SUMMARY_PATTERN.test(line))
+        .slice(0, SUMMARY_LINES);
+    const totalLine = priced.find(line => TOTAL_PATTERN.test(line));
+
+    return {
+        total: totalLine ? parseAmount(totalLine) : null,
+        totalText: totalLine || null,
+        lines: priced
+    };
+}
+
+async function readOrderSummary(page) {
+    const lines = await page.evaluate(() => {
+        // Smallest elements that hold both a label and an amount ("Order Total: ₹1,299")
+        return [...document.querySelectorAll('body *')]
+            .filter(el => el.children.length <= 4)
+            .map(el => (el.innerText || '').replace(/\s+/g, ' ').trim())
+            .filter(text => text.length > 0 && text.length <= 80 && /₹|rs\.?\s*\d/i.test(text));
+    }).catch(() => []);
+    return { title: await page.title().catch(() => ''), ...summarizeOrder(lines) };
+}
+
+function publicView(confirmation) {
+    return {
+        confirmationId: confirmation.id,
+        sessionId: confirmation.sessionId,
+        url: confirmation.url,
+        reason: confirmation.reason,
+        status: confirmation.status,
+        mode: confirmation.mode,
+        summary: confirmation.summary,
+        screenshot: confirmation.screenshot,
+        createdAt: confirmation.createdAt,
+        expiresAt: confirmation.expiresAt
+    };
+}
+
+function emit(type, confirmation, extra = {}) {
+    checkoutEvents.emit('event', { type, confirmationId: confirmation.id, sessionId: confirmation.sessionId, ...extra });
+}
+
+function resolveConfirmation(confirmation, status) {
+    if (confirmation.status !== 'pending') return;
+    confirmation.status = status;
+    clearTimeout(confirmation.timer);
+    confirmations.delete(confirmation.id);
+
+    console.log(`${status === 'approved' ? '✅' : '🛑'} Checkout ${confirmation.id} ${status}`);
+    audit(status, confirmation);
+    emit('confirmation_resolved', confirmation, { status });
+    confirmation.decide(status === 'approved');
+
+    const { page } = confirmation;
+    const finish = () => {
+        if (confirmation.context) confirmation.context.close().catch(() => {});
+        confirmation.done(status);
+    };
+
+    // Approved pages stay open for the user to finish; the rest are closed.
+    // In 'device' mode there is no page left - the user checks out themselves.
+    if (status === 'approved' && page && !page.isClosed()) {
+        const hold = setTimeout(finish, CONFIRM_TIMEOUT_MS);
+        hold.unref();
+        page.once('close', () => {
+            clearTimeout(hold);
+            finish();
+        });
+    } else {
+        if (page && !page.isClosed()) page.close().catch(() => {});
+        finish();
+    }
+}
+
+// Page loads (GET) still render; anything that would move the order on
+// waits for the decision
+function holdRequests(page, decision) {
+    return page.route('**/*', route => {
+        const request = route.request();
+        if (!request.isNavigationRequest() && request.method() === 'GET') return route.fallback();
+        return decision
+            .then(approved => (approved ? route.fallback() : route.abort('blockedbyclient')))
+            .catch(() => {});
+    }).catch(() => {});
+}
+
+function watchPageClose(confirmation, page) {
+    confirmation.onClose = () => resolveConfirmation(confirmation, 'closed');
+    page.once('close', confirmation.onClose);
+}
+
+async function freezePage(page, sessionId, reason) {
+    const confirmation = {
+        id: crypto.randomUUID(),
+        sessionId,
+        page,
+        url: page.url(),
+        reason,
+        status: 'pending',
+        mode: 'browser',
+        summary: null,
+        screenshot: null,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + CONFIRM_TIMEOUT_MS).toISOString()
+    };
+    confirmation.decision = new Promise(resolve => { confirmation.decide = resolve; });
+    confirmation.settled = new Promise(resolve => { confirmation.done = resolve; });
+    pageConfirmations.set(page, confirmation);
+    await holdRequests(page, confirmation.decision);
+
+    console.log(`🛑 Checkout reached (${reason}) for session ${sessionId}: ${confirmation.url}`);
+
+    confirmation.summary = await readOrderSummary(page);
+    try {
+        const buffer = await page.screenshot({ type: 'jpeg', quality: 60 });
+        confirmation.screenshot = `data:image/jpeg;base64,${buffer.toString('base64')}`;
+    } catch (e) {
+        console.log('⚠️  Could not screenshot checkout page:', e.message);
+    }
+
+    confirmations.set(confirmation.id, confirmation);
+    confirmation.timer = setTimeout(() => resolveConfirmation(confirmation, 'expired'), CONFIRM_TIMEOUT_MS);
+    confirmation.timer.unref();
+    watchPageClose(confirmation, page);
+
+    audit('required', confirmation);
+    emit('confirmation_required', confirmation, { url: confirmation.url, reason, summary: confirmation.summary });
+    return confirmation;
+}
+
+// Freezes the page if it is on a checkout/payment page. Returns its
+// confirmation (new or already raised), or null when the page is fine.
+async function inspectPage(page, sessionId = 'default') {
+    if (page.isClosed()) return null;
+    if (pageConfirmations.has(page)) return pageConfirmations.get(page);
+
+    let reason = detectCheckoutPage(page.url()) ? 'checkout_url' : null;
+    if (!reason) {
+        const form = classifyPaymentForm(await readPaymentForm(page));
+        reason = form && `payment_form:${form}`;
+    }
+    // Checked again: another navigation event may have frozen it meanwhile
+    if (!reason || page.isClosed()) return null;
+    if (pageConfirmations.has(page)) return pageConfirmations.get(page);
+    return freezePage(page, sessionId, reason);
+}
+
+function guardPage(page, sessionId = 'default') {
+    if (guardedPages.has(page)) return;
+    guardedPages.add(page);
+
+    page.on('framenavigated', frame => {
+        if (frame === page.mainFrame() && detectCheckoutPage(page.url())) inspectPage(page, sessionId).catch(() => {});
+    });
+    page.on('load', () => inspectPage(page, sessionId).catch(() => {}));
+}
+
+// Guards every page the context opens (hooked into the browser pool)
+function guardContext(context, sessionId = 'default') {
+    context.pages().forEach(page => guardPage(page, sessionId));
+    context.on('page', page => guardPage(page, sessionId));
+}
+
+// First pending confirmation among these pages (inspecting each one once more)
+async function findCheckoutConfirmation(pages, sessionId = 'default') {
+    for (const page of pages) {
+        const confirmation = await inspectPage(page, sessionId);
+        if (confirmation && confirmation.status === 'pending') return publicView(confirmation);
+    }
+    return null;
+}
+
+// Returns the confirmation only to the session it belongs to
+function getConfirmation(id, sessionId) {
+    const confirmation = confirmations.get(id);
+    if (!confirmation || (sessionId && confirmation.sessionId !== sessionId)) return null;
+    return publicView(confirmation);
+}
+
+function listConfirmations(sessionId) {
+    return [...confirmations.values()]
+        .filter(confirmation => !sessionId || confirmation.sessionId === sessionId)
+        .map(publicView);
+}
+
+// approved: true releases the held requests, false aborts them and closes
+// the page. Returns the decided view, or null when nothing is pending.
+function decideConfirmation(id, sessionId, approved) {
+    const confirmation = confirmations.get(id);
+    if (!confirmation || (sessionId && confirmation.sessionId !== sessionId)) return null;
+    resolveConfirmation(confirmation, approved ? 'approved' : 'rejected');
+    return publicView(confirmation);
+}
+
+// Moves a pending checkout off the task's pooled page so the task can give
+// its lease back. openContext (headed mode) returns a context outside the
+// pool: the checkout URL is reopened there and frozen again for the user to
+// approve and finish. Without it (headless - nobody can act on the page) the
+// page is closed and approving means finishing checkout on the user's own
+// device ('device' mode). Returns the public view, or null when not pending.
+async function detachConfirmation(id, openContext) {
+    const confirmation = confirmations.get(id);
+    if (!confirmation || confirmation.status !== 'pending') return null;
+    const original = confirmation.page;
+    if (!original) return publicView(confirmation);
+
+    original.off('close', confirmation.onClose);
+    confirmation.page = null;
+    confirmation.mode = 'device';
+
+    if (openContext) {
+        try {
+            confirmation.context = await openContext();
+            const page = await confirmation.context.newPage();
+            // Loaded before freezing: the hold would also stop this navigation
+            await page.goto(confirmation.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await holdRequests(page, confirmation.decision);
+            pageConfirmations.set(page, confirmation);
+            confirmation.page = page;
+            confirmation.mode = 'browser';
+            watchPageClose(confirmation, page);
+        } catch (e) {
+            console.log(`⚠️  Could not reopen checkout ${confirmation.id}: ${e.message}`);
+            if (confirmation.context) confirmation.context.close().catch(() => {});
+            confirmation.context = null;
+        }
+    }
+
+    await original.close().catch(() => {});
+    audit('detached', confirmation, { mode: confirmation.mode });
+    // Decided while the page was being moved
+    if (confirmation.status !== 'pending' && confirmation.page) confirmation.page.close().catch(() => {});
+    return publicView(confirmation);
+}
+
+// Resolves with the final status once the page is no longer needed:
+// right after a reject/expiry, or when an approved page is closed
+function waitForConfirmation(id) {
+    const confirmation = confirmations.get(id);
+    return confirmation ? confirmation.settled : Promise.resolve(null);
+}
+
+module.exports = {
+    checkoutEvents,
+    classifyPaymentForm,
+    summarizeOrder,
+    guardPage,
+    guardContext,
+    inspectPage,
+    findCheckoutConfirmation,
+    getConfirmation,
+    listConfirmations,
+    decideConfirmation,
+    detachConfirmation,
+    waitForConfirmation,
+    readCheckoutAudit
+};
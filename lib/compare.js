@@ -0,0 +1,209 @@
+// ============================================
+// PRODUCT COMPARISON TABLE
+// ============================================
+// Lines up 2-4 product detail pages (lib/details.js) attribute by attribute.
+// Every site names its specs differently ("RAM Size", "RAM", "Installed
+// RAM"; "Item Weight", "Product Dimensions ... 171 Grams"), so each
+// attribute has key patterns and a value parser; the title and feature
+// bullets are the fallback ("8GB RAM, 128GB Storage").
+//
+// Row values are { text, value } - value is a number in one unit (GB, mAh,
+// inch, g, months, ₹) so the best product per row can be marked.
+
+const MAX_PRODUCTS = 4;
+
+const sizeInGb = (amount, unit) => parseFloat(amount) * (/tb/i.test(unit) ? 1024 : 1);
+const formatGb = gb => gb >= 1024 && gb % 1024 === 0 ? `${gb / 1024} TB` : `${gb} GB`;
+
+const ATTRIBUTES = [
+    {
+        key: 'ram',
+        label: 'RAM',
+        better: 'higher',
+        keys: /\bram\b|memory size|installed memory/i,
+        parse: text => {
+            const match = text.match(/(\d+(?:\.\d+)?)\s*(GB|TB)/i);
+            return match && { value: sizeInGb(match[1], match[2]), text: formatGb(sizeInGb(match[1], match[2])) };
+        },
+        fromText: text => {
+            const match = text.match(/(\d+)\s*GB\s*RAM/i);
+            return match && { value: Number(match[1]), text: `${match[1]} GB` };
+        }
+    },
+    {
+        key: 'storage',
+        label: 'Storage',
+        better: 'higher',
+        keys: /internal storage|storage capacity|\bstorage\b|\brom\b|ssd capacity|hard (disk|drive) size/i,
+        skipKeys: /expandable|type/i,
+        parse: text => {
+            const match = text.match(/(\d+(?:\.\d+)?)\s*(GB|TB)/i);
+            return match && { value: sizeInGb(match[1], match[2]), text: formatGb(sizeInGb(match[1], match[2])) };
+        },
+        // The largest GB/TB amount that isn't RAM ("(Black, 128 GB)", "512GB SSD")
+        fromText: text => {
+            const amounts = [...text.matchAll(/(\d+)\s*(GB|TB)(?!\s*(RAM|LPDDR|DDR))/gi)]
+                .map(match => sizeInGb(match[1], match[2]))
+                .filter(gb => gb >= 16);
+            if (amounts.length === 0) return null;
+            const gb = Math.max(...amounts);
+            return { value: gb, text: formatGb(gb) };
+        }
+    },
+    {
+        key: 'battery',
+        label: 'Battery',
+        better: 'higher',
+        keys: /battery/i,
+        skipKeys: /included|type|cells|charging time/i,
+        parse: text => {
+            const mah = text.match(/(\d[\d,]*)\s*(mAh|milliamp hours)/i);
+            if (mah) return { value: Number(mah[1].replace(/,/g, '')), text: `${mah[1].replace(/,/g, '')} mAh` };
+            const hours = text.match(/(\d+(?:\.\d+)?)\s*(hours|hrs?)\b/i);
+            return hours && { value: parseFloat(hours[1]), text: `${hours[1]} hours`, unit: 'hours' };
+        },
+        fromText: text => {
+            const mah = text.match(/(\d[\d,]{2,})\s*mAh/i);
+            return mah && { value: Number(mah[1].replace(/,/g, '')), text: `${mah[1].replace(/,/g, '')} mAh` };
+        }
+    },
+    {
+        key: 'display',
+        label: 'Display',
+        better: null,
+        keys: /display size|screen size|\bdisplay\b|\bscreen\b/i,
+        skipKeys: /type|technology|resolution|features|refresh/i,
+        parse: text => {
+            const inch = text.match(/(\d+(?:\.\d+)?)\s*(?:-\s*)?(?:inch(?:es)?|in\b|")/i);
+            if (inch) return { value: parseFloat(inch[1]), text: `${parseFloat(inch[1])} inch` };
+            const cm = text.match(/(\d+(?:\.\d+)?)\s*cm/i);
+            if (!cm) return null;
+            const inches = Math.round(parseFloat(cm[1]) / 2.54 * 10) / 10;
+            return { value: inches, text: `${inches} inch` };
+        },
+        fromText: text => {
+            const inch = text.match(/(\d{1,2}(?:\.\d+)?)\s*(?:-\s*)?(?:inch(?:es)?|")/i);
+            return inch && { value: parseFloat(inch[1]), text: `${parseFloat(inch[1])} inch` };
+        }
+    },
+    {
+        key: 'weight',
+        label: 'Weight',
+        better: 'lower',
+        keys: /weight|dimensions/i,
+        skipKeys: /capacity|load/i,
+        parse: text => {
+            const match = text.match(/(\d+(?:\.\d+)?)\s*(kilograms|kg|grams|gm|g)\b/i);
+            if (!match) return null;
+            const grams = /^k/i.test(match[2]) ? parseFloat(match[1]) * 1000 : parseFloat(match[1]);
+            return { value: grams, text: grams >= 1000 ? `${Math.round(grams / 10) / 100} kg` : `${Math.round(grams)} g` };
+        }
+    },
+    {
+        key: 'warranty',
+        label: 'Warranty',
+        better: 'higher',
+        keys: /warranty/i,
+        skipKeys: /not covered|service type|covered in/i,
+        parse: text => {
+            const match = text.match(/(\d+)\s*(years?|yrs?|months?)/i);
+            if (!match) return text.length <= 40 ? { value: null, text } : null;
+            const months = /^m/i.test(match[2]) ? Number(match[1]) : Number(match[1]) * 12;
+            return { value: months, text: months % 12 === 0 ? `${months / 12} year${months === 12 ? '' : 's'}` : `${months} months` };
+        }
+    }
+];
+
+// { ram: { text, value }, storage: ..., } for one detail-page product
+function normalizeSpecs(product) {
+    const specs = Object.entries(product.specs || {});
+    const freeText = [product.title, ...(product.features || [])].filter(Boolean).join(' | ');
+    const normalized = {};
+
+    for (const attribute of ATTRIBUTES) {
+        let found = null;
+        for (const [key, value] of specs) {
+            if (!attribute.keys.test(key) || (attribute.skipKeys && attribute.skipKeys.test(key))) continue;
+            found = attribute.parse(String(value));
+            if (found) break;
+        }
+        if (!found && attribute.fromText) found = attribute.fromText(freeText);
+        if (found) normalized[attribute.key] = found;
+    }
+    return normalized;
+}
+
+// Index of the best value in a row, or null when it can't be told apart
+function bestIndex(values, better) {
+    if (!better) return null;
+    const numbers = values.map(cell => (cell && Number.isFinite(cell.value) ? cell.value : null));
+    const known = numbers.filter(value => value !== null);
+    if (known.length < 2) return null;
+
+    const best = better === 'lower' ? Math.min(...known) : Math.max(...known);
+    const winners = numbers.filter(value => value === best);
+    return winners.length === 1 ? numbers.indexOf(best) : null;
+}
+
+// Detail-page products -> { products, rows } where each row is
+// { key, label, values: [{ text, value } | null per product], best }
+function buildComparison(products) {
+    const compared = (products || []).slice(0, MAX_PRODUCTS);
+    const specs = compared.map(normalizeSpecs);
+
+    const priceRow = {
+        key: 'price',
+        label: 'Price',
+        values: compared.map(product => {
+            const amount = product.pricing ? product.pricing.amount : null;
+            if (!product.price && amount === null) return null;
+            return { value: amount, text: `${product.price || '₹' + amount} (${product.platform || 'unknown'})` };
+        })
+    };
+    priceRow.best = bestIndex(priceRow.values, 'lower');
+
+    const rows = [priceRow, ...ATTRIBUTES.map(attribute => {
+        const values = specs.map(spec => spec[attribute.key] || null);
+        // Battery in mAh and in hours can't be ranked against each other
+        const units = new Set(values.filter(Boolean).map(cell => cell.unit || ''));
+        return {
+            key: attribute.key,
+            label: attribute.label,
+            values,
+            best: units.size > 1 ? null : bestIndex(values, attribute.better)
+        };
+    })].filter(row => row.values.some(Boolean));
+
+    return {
+        products: compared.map((product, index) => ({
+            index: index + 1,
+            title: product.title,
+            platform: product.platform,
+            price: product.price,
+            pricing: product.pricing,
+            rating: product.rating,
+            inStock: product.inStock,
+            image: product.image,
+            productUrl: product.productUrl
+        })),
+        rows
+    };
+}
+
+// Plain-text table for the verdict prompt - only what was scraped
+function comparisonAsText(comparison) {
+    const header = comparison.products
+        .map(product => `${product.index}. ${product.title} (${product.platform || 'unknown'}${product.rating ? ', rated ' + product.rating : ''}${product.inStock === false ? ', out of stock' : ''})`)
+        .join('\n');
+    const rows = comparison.rows
+        .map(row => `${row.label}: ${row.values.map((cell, index) => `[${index + 1}] ${cell ? cell.text : 'not listed'}`).join('; ')}`)
+        .join('\n');
+    return `${header}\n\n${rows}`;
+}
+
+module.exports = {
+    MAX_PRODUCTS,
+    normalizeSpecs,
+    buildComparison,
+    comparisonAsText
+};
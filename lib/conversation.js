@@ -0,0 +1,161 @@
+// ============================================
+// CONVERSATION STATE
+// ============================================
+// The browser only keeps the assistant's text, so the model can't tell what
+// "dusra wala" or "compare the first two" point at. Every task result with
+// products is recorded here per sessionId as a numbered list (L1, L2, ...);
+// items keep their 1-based number for as long as the list is kept.
+//
+// conversationContext() is the compact text handed to the model, and
+// resolveItems() turns its references back into products:
+//   2        item 2 of the latest list
+//   "L1:3"   item 3 of list L1
+//
+// State lives in memory only, for CONVERSATION_TTL_MS after the last turn.
+
+const TTL_MS = parseInt(process.env.CONVERSATION_TTL_MS || String(2 * 60 * 60 * 1000), 10);
+const MAX_LISTS = 5;
+const MAX_ITEMS = 30;
+const CONTEXT_ITEMS = 10;
+
+const sessions = new Map();
+let pruneTimer = null;
+
+function startPruning() {
+    if (pruneTimer) return;
+    pruneTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [sessionId, state] of sessions) {
+            if (now - state.updatedAt > TTL_MS) sessions.delete(sessionId);
+        }
+    }, Math.min(TTL_MS, 60000));
+    pruneTimer.unref();
+}
+
+function stateFor(sessionId) {
+    startPruning();
+    if (!sessions.has(sessionId)) sessions.set(sessionId, { lists: [], nextList: 1, updatedAt: Date.now() });
+    const state = sessions.get(sessionId);
+    state.updatedAt = Date.now();
+    return state;
+}
+
+// What a task result is about, for the list header
+function describeResult(task, result) {
+    if (result.type === 'shopping_results') {
+        return `search "${result.query || task.query || ''}" on ${result.platform || task.platform || 'universal'}`;
+    }
+    if (result.type === 'product_details') return 'product pages';
+    return result.type;
+}
+
+// Records a task result and returns it with each product numbered
+// (product.ref) and the list id (result.listId). Results without products
+// are returned unchanged.
+function recordTaskResult(sessionId, task, result) {
+    if (!result || result.error || !Array.isArray(result.products) || result.products.length === 0) return result;
+
+    const state = stateFor(sessionId);
+    const listId = `L${state.nextList++}`;
+    const products = result.products.map((product, index) => ({ ...product, ref: index + 1 }));
+
+    state.lists.push({
+        id: listId,
+        about: describeResult(task, result),
+        at: new Date().toISOString(),
+        items: products.slice(0, MAX_ITEMS).map(product => ({
+            ref: product.ref,
+            title: product.title,
+            price: product.price,
+            priceValue: product.pricing ? product.pricing.amount : null,
+            rating: product.rating,
+            platform: product.platform,
+            productUrl: product.productUrl,
+            image: product.image
+        }))
+    });
+    if (state.lists.length > MAX_LISTS) state.lists.shift();
+
+    return { ...result, listId, products };
+}
+
+function getConversation(sessionId) {
+    const state = sessions.get(sessionId);
+    return state ? { lists: state.lists } : { lists: [] };
+}
+
+function clearConversation(sessionId) {
+    return sessions.delete(sessionId);
+}
+
+function formatItem(item) {
+    const title = String(item.title || 'Product').replace(/\s+/g, ' ').slice(0, 70);
+    return `${item.ref}. ${title} - ${item.price || 'no price'} - ${item.platform || ''}${item.rating ? ' - ' + item.rating + '★' : ''}`;
+}
+
+// Compact text for the model: the latest list in full (first CONTEXT_ITEMS),
+// older lists by header only. Empty string when nothing was shown yet.
+function conversationContext(sessionId) {
+    const state = sessions.get(sessionId);
+    if (!state || state.lists.length === 0) return '';
+
+    const latest = state.lists[state.lists.length - 1];
+    const lines = [
+        `Latest results ${latest.id} (${latest.about}, ${latest.items.length} items):`,
+        ...latest.items.slice(0, CONTEXT_ITEMS).map(formatItem)
+    ];
+    const older = state.lists.slice(0, -1).reverse();
+    if (older.length > 0) {
+        lines.push('Earlier results:', ...older.map(list => `${list.id}: ${list.about}, ${list.items.length} items (first: ${String(list.items[0].title || '').slice(0, 50)})`));
+    }
+    return lines.join('\n');
+}
+
+// 2, "2", "L1:3" or "L1#3" -> { listId, ref }
+function parseReference(reference) {
+    const match = String(reference).trim().match(/^(?:(L\d+)\s*[:#]\s*)?(\d+)$/i);
+    return match ? { listId: match[1] ? match[1].toUpperCase() : null, ref: parseInt(match[2], 10) } : null;
+}
+
+// Returns { products } in the order asked, or { error } for the first
+// reference that doesn't point at anything
+function resolveItems(sessionId, references) {
+    const state = sessions.get(sessionId);
+    if (!state || state.lists.length === 0) return { error: 'There are no earlier results to refer to - search for something first' };
+
+    const products = [];
+    for (const reference of [].concat(references || [])) {
+        const parsed = parseReference(reference);
+        if (!parsed) return { error: `Could not understand the reference "${reference}"` };
+
+        const list = parsed.listId
+            ? state.lists.find(candidate => candidate.id === parsed.listId)
+            : state.lists[state.lists.length - 1];
+        if (!list) return { error: `Results ${parsed.listId} are no longer available` };
+
+        const item = list.items.find(candidate => candidate.ref === parsed.ref);
+        if (!item) return { error: `There is no item ${parsed.ref} in ${list.id} (it has ${list.items.length})` };
+        products.push(item);
+    }
+    return products.length > 0 ? { products } : { error: 'No items were referenced' };
+}
+
+// "Apple iPhone 15 (128 GB) - Black | 5G" -> "Apple iPhone 15"
+function similarQuery(product) {
+    return String(product.title || '')
+        .replace(/\(.*?\)|\[.*?\]/g, ' ')
+        .split(/\s[-|,–]\s|,/)[0]
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 6)
+        .join(' ');
+}
+
+module.exports = {
+    recordTaskResult,
+    getConversation,
+    clearConversation,
+    conversationContext,
+    resolveItems,
+    similarQuery
+};
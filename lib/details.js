@@ -0,0 +1,220 @@
+// ============================================
+// PRODUCT DETAIL PAGES
+// ============================================
+// Visits a product link and reads what the search cards don't carry: specs,
+// bullet features, seller, fulfilment badges, stock, delivery estimate and
+// the image gallery. Selectors live in the "details" section of
+// selectors/<platformId>.json; schema.org JSON-LD on the page fills the gaps.
+//
+// "details": {
+//     "fields": { "title": [...], "price": [...], "seller": [...], "availability": [...], "delivery": [...] },
+//     "features": ["#feature-bullets li"],                 // every match is one bullet
+//     "gallery": [{ "selector": "#altImages img", "attribute": "src", "type": "image",
+//                   "replace": ["\\._[^/]+_\\.", "."] }],   // regex rewrite (thumbnail -> full size)
+//     "specs": [{ "rows": "table tr", "key": "th", "value": "td" }],
+//     "badges": { "Amazon Fulfilled": ["i.a-icon-prime"] }, // badge shown if any spec matches
+//     "purchasable": ["#add-to-cart-button"],               // in stock when no availability text
+//     "pincode": { "open": ["#change-pincode"], "input": "#pincode", "submit": "#pincode-check" }
+// }
+//
+// Field specs use the same format as search results (see lib/selectors.js)
+// and are read by the same readSpecValue from lib/extractor.js.
+
+const { getSelectorConfig } = require('./selectors');
+const { evaluateWithReader } = require('./extractor');
+const { normalizeProduct } = require('./normalize');
+
+// Runs inside the page - must be self-contained (no closures over Node scope)
+function extractDetailsInPage({ details, baseUrl }, readSpecValue) {
+    const pageBase = location.href.startsWith('http') ? location.href : baseUrl;
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    const readValue = (element, spec) => readSpecValue(element, spec, pageBase);
+
+    const toSpec = spec => typeof spec === 'string' ? { selector: spec } : spec;
+
+    // First value from the ordered specs
+    const readOne = specs => {
+        for (const spec of (specs || []).map(toSpec)) {
+            if (spec.combine) {
+                const value = clean(spec.combine
+                    .map(selector => clean((document.querySelector(selector) || {}).textContent))
+                    .filter(Boolean)
+                    .join(' '));
+                if (value) return value;
+                continue;
+            }
+            for (const element of document.querySelectorAll(spec.selector)) {
+                const value = readValue(element, spec);
+                if (value) return value;
+            }
+        }
+        return '';
+    };
+
+    // Badge icons have no text, so a plain selector only has to be present
+    const isPresent = specs => (specs || []).map(toSpec)
+        .some(spec => spec.pattern || spec.attribute ? readOne([spec]) : document.querySelector(spec.selector));
+
+    // Every value from the first spec that matches anything
+    const readAll = specs => {
+        for (const spec of (specs || []).map(toSpec)) {
+            const values = [...document.querySelectorAll(spec.selector)]
+                .map(element => readValue(element, spec))
+                .filter(Boolean);
+            if (values.length > 0) return [...new Set(values)];
+        }
+        return [];
+    };
+
+    // schema.org Product from JSON-LD, if the site publishes one
+    const findJsonLdProduct = () => {
+        const nodes = [];
+        document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                const queue = Array.isArray(data) ? [...data] : [data];
+                while (queue.length > 0) {
+                    const node = queue.shift();
+                    if (!node || typeof node !== 'object') continue;
+                    nodes.push(node);
+                    if (Array.isArray(node['@graph'])) queue.push(...node['@graph']);
+                }
+            } catch (e) {
+                // Ignore malformed blocks
+            }
+        });
+        return nodes.find(node => [].concat(node['@type'] || []).includes('Product')) || null;
+    };
+
+    const fields = {};
+    for (const [field, specs] of Object.entries(details.fields || {})) {
+        fields[field] = readOne(specs);
+    }
+
+    const specs = {};
+    for (const table of details.specs || []) {
+        document.querySelectorAll(table.rows).forEach(row => {
+            const key = clean((row.querySelector(table.key) || {}).textContent).replace(/[\s:\u200e\u200f]+$/, '');
+            const value = clean((row.querySelector(table.value) || {}).textContent).replace(/^[\s:\u200e\u200f]+/, '');
+            if (key && value && !specs[key]) specs[key] = value;
+        });
+    }
+
+    const badges = Object.entries(details.badges || {})
+        .filter(([, badgeSpecs]) => isPresent(badgeSpecs))
+        .map(([badge]) => badge);
+
+    const purchasable = isPresent(details.purchasable);
+
+    const ld = findJsonLdProduct();
+    if (ld) {
+        const offers = [].concat(ld.offers || [])[0] || {};
+        const seller = offers.seller || {};
+        const rating = ld.aggregateRating || {};
+        const price = offers.price || offers.lowPrice;
+
+        fields.title = fields.title || clean(ld.name);
+        fields.brand = fields.brand || clean(typeof ld.brand === 'object' ? ld.brand.name : ld.brand);
+        fields.price = fields.price || (price ? `₹${price}` : '');
+        fields.seller = fields.seller || clean(seller.name);
+        fields.availability = fields.availability || clean(String(offers.availability || '').split('/').pop());
+        fields.rating = fields.rating || clean(String(rating.ratingValue || ''));
+        fields.reviewCount = fields.reviewCount || clean(String(rating.reviewCount || rating.ratingCount || ''));
+        fields.description = fields.description || clean(ld.description);
+
+        for (const property of [].concat(ld.additionalProperty || [])) {
+            if (property.name && property.value && !specs[property.name]) specs[property.name] = clean(String(property.value));
+        }
+    }
+
+    // JSON-LD images are often other sizes of the same shots, so only as a fallback
+    let gallery = readAll(details.gallery);
+    if (gallery.length === 0 && ld) {
+        gallery = [].concat(ld.image || [])
+            .map(image => typeof image === 'object' ? image.url : image)
+            .filter(image => image && image.startsWith('http'));
+    }
+
+    return {
+        ...fields,
+        features: readAll(details.features),
+        specs,
+        badges,
+        purchasable,
+        images: gallery
+    };
+}
+
+// "In stock", "Only 2 left", "Currently unavailable", "Sold Out", schema.org InStock ...
+function parseAvailability(text, purchasable = false) {
+    const value = (text || '').toLowerCase();
+    if (/out of stock|outofstock|unavailable|sold ?out|discontinued|notify me|coming soon/.test(value)) return false;
+    if (/in ?stock|only \d+ left|available|hurry|limitedavailability|preorder/.test(value)) return true;
+    return purchasable ? true : null;
+}
+
+// Type the pincode into the site's delivery checker and let the estimate refresh
+async function checkPincode(page, pincodeConfig, pincode) {
+    for (const selector of pincodeConfig.open || []) {
+        const opener = await page.$(selector);
+        if (opener && await opener.isVisible()) {
+            await opener.click();
+            break;
+        }
+    }
+
+    await page.waitForSelector(pincodeConfig.input, { timeout: 8000 });
+    await page.fill(pincodeConfig.input, '');
+    await page.fill(pincodeConfig.input, String(pincode));
+
+    const submit = pincodeConfig.submit ? await page.$(pincodeConfig.submit) : null;
+    if (submit) {
+        await submit.click();
+    } else {
+        await page.keyboard.press('Enter');
+    }
+    await page.waitForLoadState('domcontentloaded');
+    await page.waitForTimeout(3000);
+}
+
+// Reads one product page the browser is already on.
+// Returns the product in the same shape as search results plus the details.
+async function extractProductDetails(page, platform, { pincode } = {}) {
+    const config = getSelectorConfig(platform.id);
+    const details = (config && config.details) || {};
+
+    let deliveryError;
+    if (pincode && details.pincode) {
+        try {
+            await checkPincode(page, details.pincode, pincode);
+        } catch (e) {
+            console.log(`⚠️  ${platform.name}: could not check pincode ${pincode}: ${e.message}`);
+            deliveryError = 'Could not check delivery for this pincode';
+        }
+    } else if (pincode) {
+        deliveryError = `${platform.name} pincode check not configured`;
+    }
+
+    const raw = await evaluateWithReader(page, extractDetailsInPage, { details, baseUrl: platform.baseUrl });
+    const { delivery, purchasable, ...fields } = raw;
+
+    return normalizeProduct({
+        ...fields,
+        platform: platform.name,
+        productUrl: page.url(),
+        image: raw.images[0] || '',
+        inStock: parseAvailability(raw.availability, purchasable),
+        fulfilled: raw.badges.length > 0,
+        delivery: {
+            pincode: pincode || null,
+            estimate: delivery || null,
+            error: deliveryError
+        }
+    });
+}
+
+module.exports = {
+    extractProductDetails,
+    parseAvailability
+};
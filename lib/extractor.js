@@ -0,0 +1,249 @@
+// ============================================
+// GENERIC PRODUCT EXTRACTION ENGINE
+// ============================================
+// Interprets a selector config from lib/selectors.js against the current
+// search results page. See lib/selectors.js for the config format.
+// Every run is reported to lib/health.js so silent breakage is visible.
+
+const { scrollAndWait } = require('./browser');
+const { getSelectorConfig } = require('./selectors');
+const { recordExtraction } = require('./health');
+
+// Reads one value from an element by a field spec (see lib/selectors.js).
+// Search results, product pages and carts all read through this, so a spec
+// gives the same value wherever it is used. Runs inside the page - must be
+// self-contained. onPlaceholder is called when a lazy-load image is skipped.
+function readSpecValue(element, spec, pageBase, onPlaceholder) {
+    const isPlaceholder = value => !value ||
+        value.startsWith('data:') ||
+        value.includes('1x1') ||
+        value.includes('transparent-pixel') ||
+        value.includes('placeholder') ||
+        value.includes('loading');
+
+    const firstFromSrcset = srcset => {
+        if (!srcset) return '';
+        for (const source of srcset.split(',')) {
+            const url = source.trim().split(/\s+/)[0];
+            if (url && url.startsWith('http') && !isPlaceholder(url)) return url;
+        }
+        return '';
+    };
+
+    const attributes = spec.attribute ? [].concat(spec.attribute) : [null];
+
+    for (const attribute of attributes) {
+        let value;
+        if (attribute === null) value = element.textContent;
+        else if (attribute === 'srcset') value = firstFromSrcset(element.getAttribute('srcset'));
+        else value = element.getAttribute(attribute);
+
+        value = (value || '').replace(/\s+/g, ' ').trim();
+        if (!value) continue;
+
+        if (spec.type === 'url' || spec.type === 'image') {
+            if (spec.type === 'image' && isPlaceholder(value)) {
+                if (onPlaceholder) onPlaceholder();
+                continue;
+            }
+            try {
+                value = new URL(value, pageBase).href;
+            } catch (e) {
+                continue;
+            }
+            if (!value.startsWith('http')) continue;
+        }
+
+        if (spec.pattern) {
+            const match = value.match(new RegExp(spec.pattern, 'i'));
+            value = match ? (match[1] !== undefined ? match[1] : match[0]).trim() : '';
+            if (!value) continue;
+        }
+
+        // Regex rewrite, e.g. thumbnail URL -> full size
+        if (spec.replace) {
+            value = value.replace(new RegExp(spec.replace[0], 'g'), spec.replace[1]);
+            if (!value) continue;
+        }
+
+        return (spec.prefix || '') + value;
+    }
+    return '';
+}
+
+// page.evaluate() only ships a function's own source, so in-page extractors
+// get readSpecValue as their second argument instead of closing over it
+function evaluateWithReader(page, pageFunction, arg) {
+    return page.evaluate(`(${pageFunction})(${JSON.stringify(arg)}, ${readSpecValue})`);
+}
+
+// Runs inside the page - must be self-contained (no closures over Node scope)
+function extractInPage({ config, platformName, baseUrl }, readSpecValue) {
+    const pageBase = location.href.startsWith('http') ? location.href : baseUrl;
+    let sawPlaceholder = false;
+
+    const readValue = (element, spec) => readSpecValue(element, spec, pageBase, () => {
+        sawPlaceholder = true;
+    });
+
+    const readField = (item, specs) => {
+        for (const rawSpec of specs) {
+            const spec = typeof rawSpec === 'string' ? { selector: rawSpec } : rawSpec;
+
+            if (spec.combine) {
+                const value = spec.combine
+                    .map(selector => item.querySelector(selector))
+                    .filter(Boolean)
+                    .map(element => element.textContent.trim())
+                    .filter(Boolean)
+                    .join(' ');
+                if (value) return value;
+                continue;
+            }
+
+            let element;
+            if (spec.self) {
+                if (spec.matches && !item.matches(spec.matches)) continue;
+                element = item;
+            } else {
+                element = item.querySelector(spec.selector);
+            }
+            if (!element) continue;
+
+            const value = readValue(element, spec);
+            if (value) return value;
+        }
+        return '';
+    };
+
+    let containers = [];
+    for (const selector of config.containers) {
+        const found = document.querySelectorAll(selector);
+        if (found.length > 0) {
+            containers = Array.from(found);
+            break;
+        }
+    }
+
+    console.log(`${platformName}: Found`, containers.length, 'containers');
+
+    const results = [];
+    const seenUrls = new Set();
+    const dropped = {};
+    const drop = reason => { dropped[reason] = (dropped[reason] || 0) + 1; };
+
+    containers.forEach((item, index) => {
+        try {
+            const product = { id: String(index + 1), platform: platformName };
+            if (config.cardText) product.text = (item.innerText || item.textContent || '').trim();
+            const placeholderFields = new Set();
+            for (const [field, specs] of Object.entries(config.fields)) {
+                sawPlaceholder = false;
+                product[field] = readField(item, specs);
+                if (!product[field] && sawPlaceholder) placeholderFields.add(field);
+            }
+
+            // Candidate is dropped for the first required field it lacks
+            const missing = config.required.find(field => !product[field]);
+            if (missing) {
+                drop(placeholderFields.has(missing) ? `placeholder_${missing}` : `no_${missing}`);
+                return;
+            }
+
+            // Comma-separated container selectors can match a card and its inner link
+            if (product.productUrl && seenUrls.has(product.productUrl)) {
+                drop('duplicate');
+                return;
+            }
+
+            if (product.productUrl) seenUrls.add(product.productUrl);
+            results.push(product);
+        } catch (e) {
+            drop('error');
+            console.error(`Error extracting ${platformName} product:`, e);
+        }
+    });
+
+    console.log(`${platformName}: Extracted`, results.length, 'products');
+    return {
+        products: results,
+        stats: { containers: containers.length, kept: results.length, dropped }
+    };
+}
+
+async function extractWithConfig(page, config, platform) {
+    const startedAt = Date.now();
+    await scrollAndWait(page, config.scrolls);
+    if (config.settleMs > 0) {
+        await page.waitForTimeout(config.settleMs);
+    }
+
+    const { products, stats } = await evaluateWithReader(page, extractInPage, {
+        config,
+        platformName: platform.name,
+        baseUrl: platform.baseUrl
+    });
+
+    recordExtraction(platform.id, {
+        ...stats,
+        fillRates: fieldFillRates(products, Object.keys(config.fields)),
+        latencyMs: Date.now() - startedAt,
+        url: page.url()
+    });
+
+    return products;
+}
+
+// Waits for the platform's result cards and returns how many are on the page
+// (0 when none appear in time). Used to decide whether a search landed.
+async function waitForContainers(page, platform, timeout = 10000) {
+    const config = getSelectorConfig(platform.id);
+    if (!config) return null;
+
+    try {
+        await page.waitForSelector(config.containers.join(', '), { timeout });
+    } catch (e) {
+        return 0;
+    }
+    return page.evaluate(selectors => {
+        for (const selector of selectors) {
+            const count = document.querySelectorAll(selector).length;
+            if (count > 0) return count;
+        }
+        return 0;
+    }, config.containers);
+}
+
+// Build an adapter's extract() from its selectors/<id>.json file
+function createConfigExtractor(platform) {
+    return async page => {
+        const config = getSelectorConfig(platform.id);
+        if (!config) {
+            throw new Error(`No selector config for ${platform.name}`);
+        }
+        return extractWithConfig(page, config, platform);
+    };
+}
+
+// Share of products with a non-empty value for each field (0..1)
+function fieldFillRates(products, fields) {
+    const rates = {};
+    for (const field of fields) {
+        const filled = products.filter(product => {
+            const value = product[field];
+            return value !== undefined && value !== null && value !== '';
+        }).length;
+        rates[field] = products.length > 0 ? Math.round((filled / products.length) * 100) / 100 : 0;
+    }
+    return rates;
+}
+
+module.exports = {
+    extractInPage,
+    readSpecValue,
+    evaluateWithReader,
+    extractWithConfig,
+    createConfigExtractor,
+    waitForContainers,
+    fieldFillRates
+};
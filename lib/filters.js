@@ -0,0 +1,138 @@
+// ============================================
+// SHOPPING FILTERS & SORTING
+// ============================================
+// Applies the structured constraints from the AI task (task.filters) to
+// normalized products. Products must already carry `pricing` and
+// `ratingValue` from lib/normalize.js.
+
+const SORT_ORDERS = {
+    price_asc: (a, b) => priceOf(a, Infinity) - priceOf(b, Infinity),
+    price_desc: (a, b) => priceOf(b, -Infinity) - priceOf(a, -Infinity),
+    rating_desc: (a, b) => (b.ratingValue || 0) - (a.ratingValue || 0) ||
+        (b.reviewCountValue || 0) - (a.reviewCountValue || 0),
+    discount_desc: (a, b) => (b.pricing?.discountPercent || 0) - (a.pricing?.discountPercent || 0)
+};
+
+function priceOf(product, fallback) {
+    const amount = product.pricing?.amount;
+    return typeof amount === 'number' ? amount : fallback;
+}
+
+function toPositiveNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+// "50k" -> 50000, "1.5 lakh" -> 150000, "2,000" -> 2000
+function parseAmount(text) {
+    const match = String(text).match(/(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|lac)?\b/i);
+    if (!match) return null;
+    const multipliers = { k: 1e3, l: 1e5, lakh: 1e5, lac: 1e5 };
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    return Math.round(value * (multipliers[(match[2] || '').toLowerCase()] || 1));
+}
+
+// Fallback when the AI leaves budget hints only inside the query text
+function parseFiltersFromQuery(query) {
+    const filters = {};
+    if (!query) return filters;
+    let text = String(query).toLowerCase();
+
+    // "above 4 star", "4+ rating", "4 star se upar" - taken out first so the
+    // rating isn't read as a price
+    const rating = text.match(/(?:(?:above|over|more than|min|at least)\s*)?(\d(?:\.\d)?)\s*\+?\s*(?:stars?|★|rating|rated)(?:\s*(?:and above|& above|or more|se (?:zyada|upar)))?/);
+    if (rating) {
+        filters.minRating = parseFloat(rating[1]);
+        text = text.replace(rating[0], ' ');
+    }
+
+    // Spec sizes are never budgets: "256gb", "5000 mah", "55 inch", "5g"
+    text = text.replace(/\d[\d,.]*\s*(?:gb|tb|mb|mah|mp|hz|inch(?:es)?|"|cm|mm|kg|g|w|litres?|liters?|ltr)(?![a-z])/g, ' ');
+
+    const between = text.match(/(?:between|from)\s*(?:rs\.?|₹)?\s*(\d[\d,.]*\s*(?:k|l|lakh|lac)?)\s*(?:and|to|-)\s*(?:rs\.?|₹)?\s*(\d[\d,.]*\s*(?:k|l|lakh|lac)?)/);
+    if (between) {
+        filters.minPrice = parseAmount(between[1]);
+        filters.maxPrice = parseAmount(between[2]);
+        return filters;
+    }
+
+    // No bare "max"/"min": "iphone 15 pro max" is a model name
+    const under = text.match(/(?:under|below|within|less than|upto|up to|max budget|budget)\s*(?:rs\.?|₹)?\s*(\d[\d,.]*\s*(?:k|l|lakh|lac)?)/) ||
+        text.match(/(\d[\d,.]*\s*(?:k|l|lakh|lac)?)\s*(?:se kam|ke andar|tak)/);
+    if (under) filters.maxPrice = parseAmount(under[1]);
+
+    const above = text.match(/(?:above|over|more than|min budget)\s*(?:rs\.?|₹)?\s*(\d[\d,.]*\s*(?:k|l|lakh|lac)?)/) ||
+        text.match(/(\d[\d,.]*\s*(?:k|l|lakh|lac)?)\s*se (?:zyada|upar)/);
+    if (above) filters.minPrice = parseAmount(above[1]);
+
+    return filters;
+}
+
+// Merge AI-provided filters with query hints; AI values win
+function resolveFilters(task) {
+    const fromQuery = parseFiltersFromQuery(task.query);
+    const raw = { ...fromQuery, ...(task.filters || {}) };
+
+    const filters = {
+        minPrice: toPositiveNumber(raw.minPrice),
+        maxPrice: toPositiveNumber(raw.maxPrice),
+        minRating: toPositiveNumber(raw.minRating),
+        sort: SORT_ORDERS[raw.sort] ? raw.sort : null
+    };
+
+    if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+        [filters.minPrice, filters.maxPrice] = [filters.maxPrice, filters.minPrice];
+    }
+
+    return filters;
+}
+
+function hasActiveFilters(filters) {
+    return filters.minPrice !== null || filters.maxPrice !== null ||
+        filters.minRating !== null || filters.sort !== null;
+}
+
+// Returns the kept products plus how many were dropped by each filter.
+// A product is counted against the first filter it fails.
+function applyShoppingFilters(products, filters) {
+    const dropped = { minPrice: 0, maxPrice: 0, minRating: 0 };
+    const kept = [];
+
+    for (const product of products) {
+        const amount = product.pricing?.amount;
+        const hasPrice = typeof amount === 'number';
+
+        if (filters.minPrice !== null && (!hasPrice || amount < filters.minPrice)) {
+            dropped.minPrice++;
+            continue;
+        }
+        if (filters.maxPrice !== null && (!hasPrice || amount > filters.maxPrice)) {
+            dropped.maxPrice++;
+            continue;
+        }
+        if (filters.minRating !== null && (product.ratingValue === null || product.ratingValue === undefined || product.ratingValue < filters.minRating)) {
+            dropped.minRating++;
+            continue;
+        }
+        kept.push(product);
+    }
+
+    if (filters.sort) {
+        kept.sort(SORT_ORDERS[filters.sort]);
+    }
+
+    return {
+        products: kept,
+        dropped,
+        droppedTotal: dropped.minPrice + dropped.maxPrice + dropped.minRating
+    };
+}
+
+module.exports = {
+    SORT_ORDERS,
+    parseFiltersFromQuery,
+    resolveFilters,
+    hasActiveFilters,
+    applyShoppingFilters
+};
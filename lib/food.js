@@ -0,0 +1,286 @@
+// ============================================
+// FOOD SEARCH (SWIGGY / ZOMATO)
+// ============================================
+// Sets the delivery location, searches the query and reads restaurant cards:
+// name, cuisine, rating, delivery time, cost for two, offers and the top
+// dishes matching the query with prices. Swiggy lists matching dishes on its
+// "Dishes" search tab; Zomato only shows them on the menu, so the first few
+// restaurants' menus are visited.
+//
+// Both sites hash their class names, so card fields come from data-testid
+// attributes where there are any and otherwise from the card's text
+// ("4.3 • 25-30 mins", "₹400 for two", "60% OFF UPTO ₹120").
+//
+// Selectors live in selectors/swiggy.json and selectors/zomato.json: the
+// top-level containers/fields read restaurant cards, "dishes" (Swiggy's
+// Dishes tab) and "menu" (Zomato menu items) are card configs of the same
+// format, and "location", "restaurantsTab", "dishesTab" and "searchInput"
+// are Playwright selectors for the search flow.
+
+const { openSite } = require('./browser');
+const { getSelectorConfig } = require('./selectors');
+const { extractInPage, evaluateWithReader } = require('./extractor');
+
+const MAX_RESTAURANTS = parseInt(process.env.MAX_RESTAURANTS || '10', 10);
+const MAX_DISHES_PER_RESTAURANT = 3;
+const MENU_VISITS = parseInt(process.env.FOOD_MENU_VISITS || '3', 10);
+
+const FOOD_SITES = {
+    swiggy: {
+        id: 'swiggy',
+        name: 'Swiggy',
+        baseUrl: 'https://www.swiggy.com',
+        searchUrl: query => `https://www.swiggy.com/search?${new URLSearchParams({ query })}`
+    },
+    zomato: {
+        id: 'zomato',
+        name: 'Zomato',
+        baseUrl: 'https://www.zomato.com'
+    }
+};
+
+function getFoodSite(platform) {
+    const id = String(platform || 'swiggy').toLowerCase();
+    return FOOD_SITES[id] || null;
+}
+
+function getFoodSelectors(site) {
+    const selectors = getSelectorConfig(site.id);
+    if (!selectors) {
+        throw new Error(`No selector config for ${site.name}`);
+    }
+    return selectors;
+}
+
+// Card rows ({ text, ...fields }) through the same extractor as product search
+async function extractCards(page, site, config, limit) {
+    const { products } = await evaluateWithReader(page, extractInPage, {
+        config: { cardText: true, required: [], ...config },
+        platformName: site.name,
+        baseUrl: site.baseUrl
+    }).catch(() => ({ products: [] }));
+    return products.slice(0, limit);
+}
+
+function parsePrice(text) {
+    const match = String(text || '').match(/₹\s*([\d,]+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+// Rating, delivery time, cost for two and offers from a card's text
+function parseRestaurantText(text) {
+    const value = String(text || '');
+    const lines = value.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const rating = value.match(/(?:^|[\s•(])([1-5]\.\d)(?=\s*(?:★|•|\(|\n|$|\s))/m);
+    const time = value.match(/(\d{1,3}\s*[-–]\s*\d{1,3}|\d{1,3})\s*min/i);
+    const costForTwo = value.match(/₹\s*([\d,]+)\s*for\s*(?:two|2)/i);
+    const offers = lines.filter(line => /\d+\s*%\s*off|flat\s*₹?\s*\d+|₹\s*\d+\s*off|items at ₹|free delivery|buy 1 get 1|b1g1/i.test(line));
+
+    return {
+        rating: rating ? parseFloat(rating[1]) : null,
+        deliveryTime: time ? `${time[1].replace(/\s+/g, '')} mins` : null,
+        deliveryMinutes: time ? parseInt(time[1], 10) : null,
+        costForTwo: costForTwo ? parseInt(costForTwo[1].replace(/,/g, ''), 10) : null,
+        offers: [...new Set(offers)].slice(0, 3)
+    };
+}
+
+function normalizeRestaurant(row, site) {
+    const parsed = parseRestaurantText(row.text);
+    // A cuisine line the field selector missed: the comma-separated line
+    const cuisine = row.cuisine && !/₹|min|\d\.\d/.test(row.cuisine)
+        ? row.cuisine
+        : (String(row.text || '').split('\n').map(line => line.trim()).find(line => /^[A-Za-z ]+(, [A-Za-z ]+)+$/.test(line)) || null);
+
+    return {
+        platform: site.name,
+        name: row.name || null,
+        cuisine,
+        rating: parsed.rating,
+        deliveryTime: parsed.deliveryTime,
+        deliveryMinutes: parsed.deliveryMinutes,
+        costForTwo: parsed.costForTwo,
+        offers: parsed.offers,
+        dishes: [],
+        url: row.url || null,
+        image: row.image || null
+    };
+}
+
+function normalizeDish(row) {
+    const price = parsePrice(row.price) ?? parsePrice(row.text);
+    return {
+        name: row.name || null,
+        price,
+        priceText: price !== null ? `₹${price.toLocaleString('en-IN')}` : null,
+        restaurant: row.restaurant || null
+    };
+}
+
+// "veg pizza" matches "Farmhouse Veg Pizza" and "Paneer Pizza" (any word)
+function matchesDishQuery(name, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    const dish = String(name || '').toLowerCase();
+    return words.length === 0 || words.some(word => dish.includes(word));
+}
+
+const restaurantKey = name => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Attach matching dishes to their restaurant cards; restaurants only seen
+// in the dish results get a card of their own
+function attachDishes(restaurants, dishes, query, site) {
+    const byName = new Map(restaurants.map(restaurant => [restaurantKey(restaurant.name), restaurant]));
+
+    for (const dish of dishes) {
+        if (!dish.name || !matchesDishQuery(dish.name, query)) continue;
+        const key = restaurantKey(dish.restaurant);
+        if (!key) continue;
+
+        let restaurant = byName.get(key);
+        if (!restaurant) {
+            restaurant = normalizeRestaurant({ name: dish.restaurant, text: '' }, site);
+            restaurants.push(restaurant);
+            byName.set(key, restaurant);
+        }
+        if (restaurant.dishes.length < MAX_DISHES_PER_RESTAURANT &&
+            !restaurant.dishes.some(existing => existing.name === dish.name)) {
+            restaurant.dishes.push({ name: dish.name, price: dish.price, priceText: dish.priceText });
+        }
+    }
+    return restaurants;
+}
+
+async function clickFirstVisible(page, selectors, timeout = 5000) {
+    for (const selector of selectors || []) {
+        try {
+            const element = page.locator(selector).first();
+            await element.waitFor({ state: 'visible', timeout });
+            await element.click();
+            return true;
+        } catch (e) {
+            // Try the next selector
+        }
+    }
+    return false;
+}
+
+async function fillFirstVisible(page, selectors, text) {
+    for (const selector of selectors || []) {
+        const input = page.locator(selector).first();
+        if (await input.isVisible().catch(() => false)) {
+            await input.click();
+            await input.fill(text);
+            return true;
+        }
+    }
+    return false;
+}
+
+// Pick the first suggestion for a pincode or address
+async function setDeliveryLocation(page, selectors, location) {
+    await clickFirstVisible(page, selectors.location.open, 3000);
+    if (!await fillFirstVisible(page, selectors.location.input, location)) return false;
+
+    await page.waitForTimeout(2000);
+    if (!await clickFirstVisible(page, selectors.location.suggestion, 5000)) {
+        await page.keyboard.press('Enter');
+    }
+    await page.waitForTimeout(3000);
+    return true;
+}
+
+async function openFoodSearch(page, site, selectors, query) {
+    if (site.searchUrl) {
+        await openSite(page, site.searchUrl(query));
+        return true;
+    }
+    if (!await fillFirstVisible(page, selectors.searchInput, query)) return false;
+    await page.waitForTimeout(1500);
+    await page.keyboard.press('Enter');
+    await page.waitForLoadState('domcontentloaded');
+    await page.waitForTimeout(4000);
+    return true;
+}
+
+// Scroll so lazy cards render, then read them
+async function readCards(page, site, config, limit) {
+    for (let i = 0; i < (config.scrolls ?? 3); i++) {
+        await page.evaluate(() => window.scrollBy(0, window.innerHeight)).catch(() => {});
+        await page.waitForTimeout(1000);
+    }
+    return extractCards(page, site, config, limit);
+}
+
+// Zomato: matching dishes from the first few restaurants' menus
+async function readMenus(page, site, menu, restaurants, query) {
+    for (const restaurant of restaurants.filter(item => item.url).slice(0, MENU_VISITS)) {
+        try {
+            await openSite(page, restaurant.url);
+            const items = (await readCards(page, site, menu, 60)).map(normalizeDish);
+            attachDishes([restaurant], items.map(item => ({ ...item, restaurant: restaurant.name })), query, site);
+        } catch (e) {
+            console.log(`⚠️  ${site.name} menu failed for ${restaurant.name}: ${e.message}`);
+        }
+    }
+}
+
+// Returns { platform, query, location, restaurants, warning }
+async function searchFood(page, platform, query, { location, progress = () => {} } = {}) {
+    const site = getFoodSite(platform);
+    if (!site) throw new Error(`Food search is not supported on ${platform}`);
+    const selectors = getFoodSelectors(site);
+
+    await openSite(page, site.baseUrl);
+
+    let locationSet = false;
+    if (location) {
+        progress({ type: 'status', stage: 'location', message: `Setting ${site.name} delivery location to ${location}...` });
+        locationSet = await setDeliveryLocation(page, selectors, String(location));
+        if (!locationSet) console.log(`⚠️  ${site.name}: could not set location ${location}`);
+    }
+
+    progress({ type: 'status', stage: 'platform_started', platform: site.name, message: `Searching ${site.name} for ${query}...` });
+    if (!await openFoodSearch(page, site, selectors, query)) {
+        return { platform: site.name, query, location, restaurants: [], warning: `Could not search on ${site.name}` };
+    }
+
+    await clickFirstVisible(page, selectors.restaurantsTab, 3000);
+    const restaurants = (await readCards(page, site, selectors, MAX_RESTAURANTS * 2))
+        .map(row => normalizeRestaurant(row, site))
+        .filter(restaurant => restaurant.name);
+
+    if (selectors.dishes && await clickFirstVisible(page, selectors.dishesTab, 3000)) {
+        const dishes = (await readCards(page, site, selectors.dishes, 40)).map(normalizeDish);
+        attachDishes(restaurants, dishes, query, site);
+    } else if (selectors.menu) {
+        await readMenus(page, site, selectors.menu, restaurants, query);
+    }
+
+    const unique = [...new Map(restaurants.map(restaurant => [restaurantKey(restaurant.name), restaurant])).values()]
+        .slice(0, MAX_RESTAURANTS);
+    console.log(`✅ ${site.name}: Found ${unique.length} restaurants for ${query}`);
+
+    let warning;
+    if (location && !locationSet) warning = `Could not set the delivery location on ${site.name}, results may be for another area`;
+    if (!location) warning = 'No delivery location given - share a pincode or address for accurate results';
+
+    return {
+        platform: site.name,
+        query,
+        location: location ? String(location) : null,
+        restaurants: unique,
+        warning
+    };
+}
+
+module.exports = {
+    getFoodSite,
+    getFoodSelectors,
+    searchFood,
+    parseRestaurantText,
+    normalizeRestaurant,
+    normalizeDish,
+    matchesDishQuery,
+    attachDishes
+};
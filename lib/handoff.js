@@ -0,0 +1,205 @@
+// ============================================
+// REMOTE LOGIN HANDOFF
+// ============================================
+// When a task lands on a login/OTP/CAPTCHA page there may be nobody at the
+// browser window (headless on a server). The task pauses here instead:
+// screenshots of the page are streamed to the web UI, and the user's
+// input (field values, clicks) is relayed back to the page. The task
+// resumes once the URL no longer looks like a login page.
+//
+// Events on handoffEvents (all carry handoffId and sessionId):
+//   'login_required'   { url, fields }
+//   'login_screenshot' { image, fields }
+//   'login_complete'   { status: 'completed' | 'timeout' | 'cancelled' | 'closed' }
+//
+// Typed values are filled into the page and never logged or stored.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { detectLoginPage } = require('./browser');
+
+const LOGIN_TIMEOUT_MS = parseInt(process.env.LOGIN_HANDOFF_TIMEOUT_MS || '300000', 10);
+const SCREENSHOT_INTERVAL_MS = parseInt(process.env.LOGIN_SCREENSHOT_MS || '1500', 10);
+
+const handoffEvents = new EventEmitter();
+handoffEvents.setMaxListeners(0);
+
+const handoffs = new Map();           // handoffId -> handoff
+const pageHandoffs = new WeakMap();   // page -> pending promise, so one page never gets two
+
+// Visible text-like inputs in the page, tagged so input can be relayed back
+async function describeLoginForm(page) {
+    return page.evaluate(() => {
+        const types = ['text', 'email', 'tel', 'password', 'number', 'search'];
+        const inputs = [...document.querySelectorAll('input')].filter(input => {
+            const box = input.getBoundingClientRect();
+            return types.includes((input.type || 'text').toLowerCase()) &&
+                !input.disabled && box.width > 0 && box.height > 0;
+        });
+
+        return inputs.map((input, index) => {
+            input.setAttribute('data-invrsly-field', String(index));
+            const label = (input.labels && input.labels[0] && input.labels[0].innerText) ||
+                input.getAttribute('aria-label') || input.placeholder || input.name || input.type;
+            return {
+                ref: String(index),
+                type: input.type === 'password' ? 'password' : 'text',
+                label: String(label).trim().slice(0, 60)
+            };
+        });
+    }).catch(() => []);
+}
+
+function publicView(handoff) {
+    return {
+        handoffId: handoff.id,
+        sessionId: handoff.sessionId,
+        url: handoff.url,
+        status: handoff.status,
+        fields: handoff.fields,
+        startedAt: handoff.startedAt
+    };
+}
+
+function emit(type, handoff, extra = {}) {
+    handoffEvents.emit('event', { type, handoffId: handoff.id, sessionId: handoff.sessionId, ...extra });
+}
+
+async function sendScreenshot(handoff, force = false) {
+    let buffer;
+    try {
+        buffer = await handoff.page.screenshot({ type: 'jpeg', quality: 60 });
+    } catch (e) {
+        return;
+    }
+
+    // Only stream frames that changed
+    const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+    if (!force && hash === handoff.lastFrame) return;
+    handoff.lastFrame = hash;
+    handoff.fields = await describeLoginForm(handoff.page);
+
+    emit('login_screenshot', handoff, {
+        image: `data:image/jpeg;base64,${buffer.toString('base64')}`,
+        fields: handoff.fields
+    });
+}
+
+function finish(handoff, status) {
+    if (handoff.status !== 'waiting') return;
+    handoff.status = status;
+    handoffs.delete(handoff.id);
+    emit('login_complete', handoff, { status, url: handoff.page.isClosed() ? handoff.url : handoff.page.url() });
+    handoff.resolve(status === 'completed');
+}
+
+async function runHandoff(page, sessionId) {
+    const handoff = {
+        id: crypto.randomUUID(),
+        sessionId,
+        page,
+        url: page.url(),
+        status: 'waiting',
+        fields: await describeLoginForm(page),
+        startedAt: new Date().toISOString(),
+        lastFrame: null
+    };
+    const done = new Promise(resolve => { handoff.resolve = resolve; });
+    handoffs.set(handoff.id, handoff);
+
+    console.log(`🔐 Login handoff ${handoff.id} for session ${sessionId}: ${handoff.url}`);
+    emit('login_required', handoff, { url: handoff.url, fields: handoff.fields });
+
+    const deadline = Date.now() + LOGIN_TIMEOUT_MS;
+    while (handoff.status === 'waiting') {
+        if (page.isClosed()) {
+            finish(handoff, 'closed');
+            break;
+        }
+        if (!detectLoginPage(page.url(), page)) {
+            await page.waitForTimeout(2000).catch(() => {});
+            finish(handoff, 'completed');
+            break;
+        }
+        if (Date.now() > deadline) {
+            finish(handoff, 'timeout');
+            break;
+        }
+
+        await sendScreenshot(handoff);
+        await Promise.race([
+            done,
+            new Promise(resolve => setTimeout(resolve, SCREENSHOT_INTERVAL_MS))
+        ]);
+    }
+
+    return done;
+}
+
+// Pauses until the page leaves the login pattern. Resolves true on success,
+// false on timeout, cancel or a closed page.
+function runLoginHandoff(page, { sessionId = 'default' } = {}) {
+    if (pageHandoffs.has(page)) return pageHandoffs.get(page);
+
+    const pending = runHandoff(page, sessionId).finally(() => pageHandoffs.delete(page));
+    pageHandoffs.set(page, pending);
+    return pending;
+}
+
+// A handoff only answers to the session it belongs to: its page may hold
+// someone's login form, so another tab with the id gets nothing
+function findHandoff(id, sessionId) {
+    const handoff = handoffs.get(id);
+    return handoff && handoff.sessionId === sessionId ? handoff : null;
+}
+
+function getLoginHandoff(id, sessionId) {
+    const handoff = findHandoff(id, sessionId);
+    return handoff ? publicView(handoff) : null;
+}
+
+function listLoginHandoffs(sessionId) {
+    return [...handoffs.values()]
+        .filter(handoff => !sessionId || handoff.sessionId === sessionId)
+        .map(publicView);
+}
+
+// input: { fields: { ref: value }, submit: bool, click: { x, y } }
+// Click coordinates are in page viewport pixels (the screenshot's size).
+async function relayLoginInput(id, sessionId, input = {}) {
+    const handoff = findHandoff(id, sessionId);
+    if (!handoff) return null;
+    const { page } = handoff;
+
+    const entries = Object.entries(input.fields || {});
+    for (const [ref, value] of entries) {
+        await page.fill(`[data-invrsly-field="${String(ref).replace(/\D/g, '')}"]`, String(value), { timeout: 5000 });
+    }
+
+    if (input.click && Number.isFinite(input.click.x) && Number.isFinite(input.click.y)) {
+        await page.mouse.click(input.click.x, input.click.y);
+    } else if (input.submit && entries.length > 0) {
+        const lastRef = String(entries[entries.length - 1][0]).replace(/\D/g, '');
+        await page.press(`[data-invrsly-field="${lastRef}"]`, 'Enter');
+    }
+
+    await page.waitForTimeout(1000);
+    await sendScreenshot(handoff, true);
+    return publicView(handoff);
+}
+
+function cancelLoginHandoff(id, sessionId) {
+    const handoff = findHandoff(id, sessionId);
+    if (!handoff) return false;
+    finish(handoff, 'cancelled');
+    return true;
+}
+
+module.exports = {
+    handoffEvents,
+    runLoginHandoff,
+    getLoginHandoff,
+    listLoginHandoffs,
+    relayLoginInput,
+    cancelLoginHandoff
+};
@@ -0,0 +1,119 @@
+// ============================================
+// EXTRACTOR HEALTH MONITORING
+// ============================================
+// Keeps a rolling window of recent extractor runs per platform so we can see
+// which site broke and which field broke, instead of just "Found 0 products".
+// Served by GET /api/health/extractors.
+
+const HEALTH_WINDOW = parseInt(process.env.EXTRACTOR_HEALTH_WINDOW || '50', 10);
+
+const extractionRuns = new Map();
+const searchOutcomes = new Map();
+
+function pushRolling(store, platformId, entry) {
+    const runs = store.get(platformId) || [];
+    runs.push(entry);
+    if (runs.length > HEALTH_WINDOW) runs.shift();
+    store.set(platformId, runs);
+}
+
+// One extractor pass over a results page (from lib/extractor.js)
+function recordExtraction(platformId, run) {
+    pushRolling(extractionRuns, platformId, { ...run, at: new Date().toISOString() });
+
+    if (run.containers > 0 && run.kept === 0) {
+        console.log(`🩺 ${platformId}: ${run.containers} containers but 0 products kept`, run.dropped);
+    }
+}
+
+// How a whole platform search ended (ok, blocked, timeout, ...)
+function recordSearchOutcome(platformId, outcome) {
+    pushRolling(searchOutcomes, platformId, { ...outcome, at: new Date().toISOString() });
+}
+
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// healthy: products coming through; degraded: many empty runs;
+// broken: the last runs found cards but kept none (a field selector broke)
+// or found no cards at all (the container selector broke)
+function classify(runs) {
+    if (runs.length === 0) return 'unknown';
+    const recent = runs.slice(-3);
+    if (recent.every(run => run.kept === 0)) return 'broken';
+    const emptyRate = runs.filter(run => run.kept === 0).length / runs.length;
+    return emptyRate >= 0.3 ? 'degraded' : 'healthy';
+}
+
+function summarizePlatform(platformId) {
+    const runs = extractionRuns.get(platformId) || [];
+    const outcomes = searchOutcomes.get(platformId) || [];
+
+    const dropReasons = {};
+    let candidates = 0;
+    for (const run of runs) {
+        candidates += run.containers;
+        for (const [reason, count] of Object.entries(run.dropped || {})) {
+            dropReasons[reason] = (dropReasons[reason] || 0) + count;
+        }
+    }
+
+    const fillRates = {};
+    const fields = new Set(runs.flatMap(run => Object.keys(run.fillRates || {})));
+    for (const field of fields) {
+        fillRates[field] = average(runs.filter(run => run.kept > 0).map(run => run.fillRates[field] || 0));
+    }
+
+    const outcomeCounts = {};
+    for (const outcome of outcomes) {
+        outcomeCounts[outcome.status] = (outcomeCounts[outcome.status] || 0) + 1;
+    }
+
+    const status = classify(runs);
+    const topDrop = Object.entries(dropReasons).sort((a, b) => b[1] - a[1])[0];
+    const lastRun = runs[runs.length - 1];
+
+    return {
+        platform: platformId,
+        status,
+        suspect: status === 'broken'
+            ? (lastRun.containers === 0 ? 'containers' : topDrop && topDrop[0])
+            : undefined,
+        runs: runs.length,
+        lastRunAt: lastRun ? lastRun.at : null,
+        containers: { avg: average(runs.map(run => run.containers)) },
+        kept: {
+            avg: average(runs.map(run => run.kept)),
+            zeroRate: runs.length > 0 ? Math.round((runs.filter(run => run.kept === 0).length / runs.length) * 100) / 100 : null
+        },
+        dropReasons,
+        dropRates: Object.fromEntries(Object.entries(dropReasons)
+            .map(([reason, count]) => [reason, Math.round((count / candidates) * 100) / 100])),
+        fillRates,
+        latencyMs: {
+            p50: percentile(runs.map(run => run.latencyMs), 50),
+            p95: percentile(runs.map(run => run.latencyMs), 95)
+        },
+        searchOutcomes: outcomeCounts,
+        lastRun
+    };
+}
+
+function getExtractorHealth(platformIds = []) {
+    const ids = new Set([...platformIds, ...extractionRuns.keys(), ...searchOutcomes.keys()]);
+    return [...ids].map(summarizePlatform);
+}
+
+module.exports = {
+    recordExtraction,
+    recordSearchOutcome,
+    getExtractorHealth
+};
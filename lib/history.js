@@ -0,0 +1,162 @@
+// ============================================
+// PRICE HISTORY STORE
+// ============================================
+// Every product we see in a search or on a detail page is appended to
+// data/price-history.jsonl (or PRICE_HISTORY_FILE), one JSON object per line.
+// An in-memory index is built from the file on first use.
+//
+// Products get a URL-safe historyId (amazon:b0chx1w1xy) and, when seen
+// before, a priceTrend for the sparkline and "lowest in 30 days" badge.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { productKey } = require('./search');
+
+const DEFAULT_HISTORY_FILE = path.join(__dirname, '..', 'data', 'price-history.jsonl');
+const TREND_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let index = null;
+
+function historyFile() {
+    return process.env.PRICE_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+}
+
+function addToIndex(observation) {
+    const entry = index.get(observation.id) || { points: [] };
+    entry.platform = observation.platform;
+    entry.title = observation.title || entry.title;
+    entry.productUrl = observation.productUrl || entry.productUrl;
+    entry.points.push({ at: observation.at, price: observation.price, mrp: observation.mrp });
+    index.set(observation.id, entry);
+}
+
+function loadIndex() {
+    if (index) return index;
+    index = new Map();
+
+    let lines = [];
+    try {
+        lines = fs.readFileSync(historyFile(), 'utf8').split('\n');
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.log(`⚠️  Could not read price history: ${e.message}`);
+    }
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            addToIndex(JSON.parse(line));
+        } catch (e) {
+            // A torn last line from a crash - skip it
+        }
+    }
+    return index;
+}
+
+// Stable, URL-safe id; long product URLs are hashed
+function historyId(product) {
+    const key = productKey(product);
+    if (!key.startsWith('http')) return key.toLowerCase().replace(/\s+/g, '-');
+    return 'url:' + crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// Lowest price per day for the last TREND_DAYS days
+function dailyLows(points, now) {
+    const lows = new Map();
+    for (const point of points) {
+        if (now - new Date(point.at).getTime() > TREND_DAYS * DAY_MS) continue;
+        const day = point.at.slice(0, 10);
+        if (!lows.has(day) || point.price < lows.get(day)) lows.set(day, point.price);
+    }
+    return [...lows.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([date, price]) => ({ date, price }));
+}
+
+function buildTrend(priorPoints, price, now) {
+    if (priorPoints.length === 0) return undefined;
+
+    const recentPrior = priorPoints.filter(point => now - new Date(point.at).getTime() <= TREND_DAYS * DAY_MS);
+    const points = dailyLows([...priorPoints, { at: new Date(now).toISOString(), price }], now);
+    const prices = points.map(point => point.price);
+    const priorLowest = recentPrior.length > 0 ? Math.min(...recentPrior.map(point => point.price)) : null;
+
+    return {
+        points,
+        lowest30d: Math.min(...prices),
+        highest30d: Math.max(...prices),
+        isLowest30d: priorLowest !== null && price <= priorLowest,
+        firstSeenAt: priorPoints[0].at
+    };
+}
+
+// Appends this batch of observations and returns the products with
+// historyId and (when seen before) priceTrend attached
+function trackPrices(products) {
+    loadIndex();
+    const now = Date.now();
+    const at = new Date(now).toISOString();
+    const lines = [];
+
+    const tracked = (products || []).map(product => {
+        const price = product.pricing && product.pricing.amount;
+        if (!price || !product.productUrl) return product;
+
+        const id = historyId(product);
+        const prior = (index.get(id) || { points: [] }).points.slice();
+        const observation = {
+            id,
+            platform: product.platform,
+            productId: product.productId || null,
+            productUrl: product.productUrl,
+            title: product.title,
+            price,
+            mrp: product.pricing.mrp || null,
+            at
+        };
+        addToIndex(observation);
+        lines.push(JSON.stringify(observation));
+
+        return { ...product, historyId: id, priceTrend: buildTrend(prior, price, now) };
+    });
+
+    if (lines.length > 0) {
+        try {
+            fs.mkdirSync(path.dirname(historyFile()), { recursive: true });
+            fs.appendFileSync(historyFile(), lines.join('\n') + '\n');
+        } catch (e) {
+            console.log(`⚠️  Could not save price history: ${e.message}`);
+        }
+    }
+    return tracked;
+}
+
+// Full history for GET /api/products/:id/history (optionally last `days` days)
+function getPriceHistory(id, { days } = {}) {
+    const entry = loadIndex().get(id);
+    if (!entry) return null;
+
+    const since = days ? Date.now() - days * DAY_MS : 0;
+    const history = entry.points.filter(point => new Date(point.at).getTime() >= since);
+    const prices = history.map(point => point.price);
+
+    return {
+        id,
+        platform: entry.platform,
+        title: entry.title,
+        productUrl: entry.productUrl,
+        history,
+        stats: {
+            count: history.length,
+            lowest: prices.length > 0 ? Math.min(...prices) : null,
+            highest: prices.length > 0 ? Math.max(...prices) : null,
+            latest: prices.length > 0 ? prices[prices.length - 1] : null
+        }
+    };
+}
+
+module.exports = {
+    historyId,
+    trackPrices,
+    getPriceHistory
+};
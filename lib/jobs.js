@@ -0,0 +1,151 @@
+// ============================================
+// TASK JOB QUEUE
+// ============================================
+// Browser tasks run as in-process jobs so a dropped HTTP connection no longer
+// loses the result. submitJob() returns at once with a job id; at most
+// TASK_CONCURRENCY jobs run together and the rest wait in order. Finished
+// jobs are kept for TASK_RETENTION_MS so a reconnecting UI can fetch them.
+//
+// A job's work function gets { signal, progress }:
+//   signal    - AbortSignal, aborted when the job is cancelled; the work
+//               should close its pages and stop
+//   progress  - records an event (kept on the job, last PROGRESS_LIMIT)
+
+const crypto = require('crypto');
+
+const CONCURRENCY = parseInt(process.env.TASK_CONCURRENCY || '2', 10);
+const RETENTION_MS = parseInt(process.env.TASK_RETENTION_MS || String(30 * 60 * 1000), 10);
+const PROGRESS_LIMIT = 20;
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+let pruneTimer = null;
+
+function publicView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        type: job.meta.type,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : undefined,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+    };
+}
+
+function finish(job, status, { result, error } = {}) {
+    if (job.finishedAt) return;
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = Date.now() + RETENTION_MS;
+    job.waiters.forEach(resolve => resolve(publicView(job)));
+    job.waiters = [];
+}
+
+async function run(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+        const result = await job.work({
+            signal: job.controller.signal,
+            progress: event => {
+                job.progress.push({ ...event, at: new Date().toISOString() });
+                if (job.progress.length > PROGRESS_LIMIT) job.progress.shift();
+            }
+        });
+        // Tasks report failures in the result rather than throwing
+        finish(job, result && result.error ? 'failed' : 'completed', { result, error: result && result.error });
+    } catch (e) {
+        finish(job, 'failed', { error: e.message });
+    } finally {
+        running--;
+        drain();
+    }
+}
+
+function drain() {
+    while (running < CONCURRENCY && queue.length > 0) {
+        run(queue.shift());
+    }
+}
+
+function startPruning() {
+    if (pruneTimer) return;
+    pruneTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [id, job] of jobs) {
+            if (job.expiresAt && job.expiresAt <= now) jobs.delete(id);
+        }
+    }, Math.min(RETENTION_MS, 60000));
+    pruneTimer.unref();
+}
+
+// meta: { type, sessionId } - shown in status and used to scope access
+function submitJob(work, meta = {}) {
+    startPruning();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        meta,
+        work,
+        controller: new AbortController(),
+        waiters: [],
+        progress: [],
+        createdAt: new Date().toISOString()
+    };
+    jobs.set(job.id, job);
+    queue.push(job);
+    drain();
+    return publicView(job);
+}
+
+// Returns the job only to the session that submitted it
+function getJob(id, sessionId) {
+    const job = jobs.get(id);
+    if (!job || (sessionId && job.meta.sessionId && job.meta.sessionId !== sessionId)) return null;
+    return publicView(job);
+}
+
+// Resolves with the job's final view once it completes, fails or is cancelled
+function waitForJob(id) {
+    const job = jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (job.finishedAt) return Promise.resolve(publicView(job));
+    return new Promise(resolve => job.waiters.push(resolve));
+}
+
+// Returns the cancelled job, null when unknown, or false when already finished
+function cancelJob(id, sessionId) {
+    const job = jobs.get(id);
+    if (!job || (sessionId && job.meta.sessionId && job.meta.sessionId !== sessionId)) return null;
+    if (job.finishedAt) return false;
+
+    const queued = queue.indexOf(job);
+    if (queued !== -1) queue.splice(queued, 1);
+
+    finish(job, 'cancelled', { error: 'Task cancelled' });
+    job.controller.abort();
+    return publicView(job);
+}
+
+function getJobStats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of jobs.values()) counts[job.status]++;
+    return { concurrency: CONCURRENCY, retentionMs: RETENTION_MS, ...counts };
+}
+
+module.exports = {
+    submitJob,
+    getJob,
+    waitForJob,
+    cancelJob,
+    getJobStats
+};
@@ -0,0 +1,171 @@
+// ============================================
+// CROSS-PLATFORM PRODUCT MATCHING
+// ============================================
+// Groups listings of the same product coming from different platforms
+// (e.g. one phone on Amazon, Flipkart and Croma) into a single entry with
+// per-platform offers, the cheapest offer and the price spread.
+
+const KNOWN_BRANDS = [
+    'apple', 'samsung', 'oneplus', 'xiaomi', 'redmi', 'poco', 'realme', 'oppo', 'vivo', 'iqoo',
+    'motorola', 'moto', 'nokia', 'google', 'pixel', 'nothing', 'infinix', 'tecno', 'lava', 'honor',
+    'sony', 'lg', 'boat', 'jbl', 'bose', 'sennheiser', 'noise', 'fire-boltt', 'boult', 'skullcandy',
+    'hp', 'dell', 'lenovo', 'asus', 'acer', 'msi', 'microsoft', 'avita',
+    'nike', 'adidas', 'puma', 'reebok', 'skechers', 'campus', 'bata', 'woodland', 'asics',
+    'philips', 'panasonic', 'whirlpool', 'godrej', 'haier', 'bajaj', 'prestige', 'havells'
+];
+
+const STOPWORDS = new Set([
+    'with', 'and', 'for', 'the', 'in', 'of', 'to', 'a', 'an', 'by', 'new', 'latest', 'edition',
+    'mobile', 'phone', 'smartphone', 'laptop', 'color', 'colour', 'pack', 'combo', 'free', 'india',
+    'warranty', 'year', 'years', 'inch', 'cm', 'display', 'screen'
+]);
+
+const COLORS = new Set([
+    'black', 'white', 'blue', 'red', 'green', 'grey', 'gray', 'silver', 'gold', 'pink', 'purple',
+    'yellow', 'orange', 'midnight', 'starlight', 'graphite', 'titanium', 'natural', 'violet', 'mint'
+]);
+
+const MATCH_THRESHOLD = 0.55;
+
+function tokenize(title) {
+    return String(title || '')
+        .toLowerCase()
+        .replace(/(\d+)\s*(gb|tb|mah|mp|hz|w)\b/g, '$1$2')
+        .replace(/[^a-z0-9+\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token.length > 0 && !STOPWORDS.has(token));
+}
+
+// Pull the identifying parts out of a title: brand, model tokens, storage, ram
+function extractSignature(title) {
+    const tokens = tokenize(title);
+    const text = String(title || '').toLowerCase();
+
+    const brand = tokens.find(token => KNOWN_BRANDS.includes(token)) || null;
+
+    // "8 GB RAM", "8GB+128GB", "128 GB ROM", "1TB SSD"
+    const sizes = [];
+    const sizePattern = /(\d+)\s*(gb|tb)\b(\s*(ram|rom|storage|ssd|hdd))?/g;
+    let match;
+    while ((match = sizePattern.exec(text)) !== null) {
+        const gb = parseInt(match[1], 10) * (match[2] === 'tb' ? 1024 : 1);
+        sizes.push({ gb, kind: match[4] || null });
+    }
+
+    let ram = null;
+    let storage = null;
+    for (const size of sizes) {
+        if (size.kind === 'ram') ram = size.gb;
+        else if (size.kind) storage = size.gb;
+    }
+    const untyped = sizes.filter(size => !size.kind).map(size => size.gb);
+    if (storage === null && untyped.length > 0) storage = Math.max(...untyped);
+    if (ram === null && untyped.length > 1) ram = Math.min(...untyped);
+
+    // Model tokens: mixed letters+digits ("s24", "m3", "15") or "pro/max/ultra/plus" variants
+    const models = tokens.filter(token =>
+        (/\d/.test(token) && !/^\d+(gb|tb|mah|mp|hz|w)$/.test(token)) ||
+        ['pro', 'max', 'ultra', 'plus', 'mini', 'lite', 'neo', 'fe', 'air'].includes(token)
+    );
+
+    const words = tokens.filter(token => !COLORS.has(token));
+
+    return { brand, ram, storage, models: new Set(models), words: new Set(words) };
+}
+
+function diceSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return (2 * shared) / (a.size + b.size);
+}
+
+function setsEqual(a, b) {
+    if (a.size !== b.size) return false;
+    for (const token of a) {
+        if (!b.has(token)) return false;
+    }
+    return true;
+}
+
+// Hard conflicts rule a match out regardless of title similarity
+function signaturesConflict(a, b) {
+    if (a.brand && b.brand && a.brand !== b.brand) return true;
+    if (a.storage !== null && b.storage !== null && a.storage !== b.storage) return true;
+    if (a.ram !== null && b.ram !== null && a.ram !== b.ram) return true;
+    if (a.models.size > 0 && b.models.size > 0 && !setsEqual(a.models, b.models)) return true;
+    return false;
+}
+
+function isSameProduct(a, b) {
+    if (signaturesConflict(a, b)) return false;
+    return diceSimilarity(a.words, b.words) >= MATCH_THRESHOLD;
+}
+
+function buildGroup(members, index) {
+    const offers = members
+        .map(({ product }) => ({
+            platform: product.platform,
+            title: product.title,
+            price: product.price,
+            pricing: product.pricing,
+            rating: product.rating,
+            ratingValue: product.ratingValue,
+            reviewCountValue: product.reviewCountValue,
+            productUrl: product.productUrl
+        }))
+        .sort((a, b) => (a.pricing?.amount ?? Infinity) - (b.pricing?.amount ?? Infinity));
+
+    const priced = offers.filter(offer => typeof offer.pricing?.amount === 'number');
+    const bestOffer = priced[0] || null;
+    let priceSpread = null;
+    if (priced.length > 1) {
+        const min = priced[0].pricing.amount;
+        const max = priced[priced.length - 1].pricing.amount;
+        priceSpread = {
+            min,
+            max,
+            difference: Math.round((max - min) * 100) / 100,
+            percent: min > 0 ? Math.round(((max - min) / min) * 100) : null
+        };
+    }
+
+    const lead = members[0].product;
+    return {
+        groupId: `g${index + 1}`,
+        title: lead.title,
+        brand: members[0].signature.brand,
+        image: (members.find(({ product }) => product.image) || members[0]).product.image,
+        platforms: [...new Set(offers.map(offer => offer.platform))],
+        offerCount: offers.length,
+        offers,
+        bestOffer,
+        priceSpread
+    };
+}
+
+// Greedy clustering: each product joins the first group whose lead it matches.
+// Listings from the same platform are kept as separate offers in the group.
+function groupMatchingProducts(products) {
+    const clusters = [];
+
+    for (const product of products || []) {
+        const signature = extractSignature(product.title);
+        const cluster = clusters.find(members => isSameProduct(members[0].signature, signature));
+        if (cluster) {
+            cluster.push({ product, signature });
+        } else {
+            clusters.push([{ product, signature }]);
+        }
+    }
+
+    return clusters.map(buildGroup);
+}
+
+module.exports = {
+    extractSignature,
+    isSameProduct,
+    groupMatchingProducts
+};
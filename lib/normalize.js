@@ -0,0 +1,119 @@
+// ============================================
+// PRODUCT NORMALIZATION
+// ============================================
+// Extractors return display strings ("₹1,299", "Rs. 999₹1,499 (33% OFF)",
+// "4.3 out of 5 stars", "(12,345)"). These helpers turn them into numbers
+// so products can be sorted, filtered and compared across platforms.
+
+const CURRENCY_PATTERNS = [
+    { currency: 'INR', pattern: /(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d+)?)/gi },
+    { currency: 'USD', pattern: /(?:\$|usd)\s*([\d,]+(?:\.\d+)?)/gi }
+];
+
+function toNumber(text) {
+    if (text === undefined || text === null) return null;
+    const value = parseFloat(String(text).replace(/,/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+// Pull every currency amount out of a price string, in order of appearance
+function extractAmounts(text) {
+    for (const { currency, pattern } of CURRENCY_PATTERNS) {
+        const amounts = [];
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            const value = toNumber(match[1]);
+            if (value !== null) amounts.push(value);
+        }
+        if (amounts.length > 0) return { currency, amounts };
+    }
+
+    // No currency marker - fall back to bare numbers, ignoring "33% OFF"
+    const stripped = text.replace(/\d+(?:\.\d+)?\s*%/g, '');
+    const amounts = (stripped.match(/\d[\d,]*(?:\.\d+)?/g) || [])
+        .map(toNumber)
+        .filter(value => value !== null);
+    return { currency: amounts.length > 0 ? 'INR' : null, amounts };
+}
+
+// "Rs. 999₹1,499 (33% OFF)" -> { amount: 999, currency: 'INR', mrp: 1499, discountPercent: 33 }
+function parsePrice(priceText, mrpText) {
+    const result = { amount: null, currency: null, mrp: null, discountPercent: null };
+    if (!priceText) return result;
+
+    const text = String(priceText);
+    const { currency, amounts } = extractAmounts(text);
+    if (amounts.length === 0) return result;
+
+    result.amount = amounts[0];
+    result.currency = currency;
+
+    // MRP is either passed separately or the larger amount after the selling price
+    const mrpCandidates = mrpText ? extractAmounts(String(mrpText)).amounts : amounts.slice(1);
+    const mrp = mrpCandidates.length > 0 ? Math.max(...mrpCandidates) : null;
+    if (mrp !== null && mrp > result.amount) {
+        result.mrp = mrp;
+    }
+
+    const discountMatch = text.match(/(\d+(?:\.\d+)?)\s*%\s*off/i);
+    if (discountMatch) {
+        result.discountPercent = Math.round(parseFloat(discountMatch[1]));
+    } else if (result.mrp) {
+        result.discountPercent = Math.round((1 - result.amount / result.mrp) * 100);
+    }
+
+    return result;
+}
+
+// "4.3 out of 5 stars" -> 4.3
+function parseRating(ratingText) {
+    if (!ratingText) return null;
+    const match = String(ratingText).match(/\d+(?:\.\d+)?/);
+    if (!match) return null;
+    const value = parseFloat(match[0]);
+    return value >= 0 && value <= 5 ? value : null;
+}
+
+// "(12,345)", "2.5K", "1.2L Ratings & 4,321 Reviews" -> number.
+// When the text names reviews, that count wins over the ratings count.
+function parseReviewCount(reviewText) {
+    if (!reviewText) return null;
+    const text = String(reviewText);
+    const match = text.match(/(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|m)?\s*reviews?\b/i) ||
+        text.match(/(\d[\d,]*(?:\.\d+)?)\s*(k|l|lakh|m)?\b/i);
+    if (!match) return null;
+
+    const value = toNumber(match[1]);
+    if (value === null) return null;
+
+    const multipliers = { k: 1e3, l: 1e5, lakh: 1e5, m: 1e6 };
+    const suffix = (match[2] || '').toLowerCase();
+    return Math.round(value * (multipliers[suffix] || 1));
+}
+
+// Add structured fields next to the original display strings
+function normalizeProduct(product) {
+    const pricing = parsePrice(product.price, product.mrp);
+    return {
+        ...product,
+        price: product.price || '',
+        rating: product.rating || '',
+        reviewCount: product.reviewCount || '',
+        pricing,
+        ratingValue: parseRating(product.rating),
+        reviewCountValue: parseReviewCount(product.reviewCount)
+    };
+}
+
+function normalizeProducts(products) {
+    return (products || []).map(normalizeProduct);
+}
+
+module.exports = {
+    parsePrice,
+    parseRating,
+    parseReviewCount,
+    normalizeProduct,
+    normalizeProducts
+};
@@ -0,0 +1,138 @@
+// ============================================
+// PLATFORM ADAPTER REGISTRY
+// ============================================
+// Every shopping site is an adapter module in platforms/ (or PLATFORMS_DIR).
+// Dropping a new file there adds the site to search, universal search and
+// the AI prompt without touching server.js.
+//
+// Adapter shape:
+// {
+//     id: 'amazon',                       // lowercase key used in AI tasks
+//     name: 'Amazon',                     // display name
+//     baseUrl: 'https://www.amazon.in',
+//     aliases: ['amzn'],                  // optional extra names
+//     priority: 10,                       // optional, lower runs first in universal search
+//     search: async (page, query) => bool,        // typing flow from the homepage
+//     searchUrl: (query, pageNumber) => url,      // optional direct results URL (null if
+//                                                 // that page can't be addressed)
+//     extract: async (page) => products[],      // optional when selectors/<id>.json exists
+//     detectBlocked: async (page) => bool,        // optional login/captcha check
+//     capabilities: { search: true, categories: [] }
+// }
+
+const fs = require('fs');
+const path = require('path');
+const { detectLoginPage } = require('./browser');
+const { hasSelectorConfig } = require('./selectors');
+const { createConfigExtractor } = require('./extractor');
+
+const DEFAULT_PLATFORMS_DIR = path.join(__dirname, '..', 'platforms');
+
+const registry = new Map();
+const aliases = new Map();
+
+function validateAdapter(adapter, file) {
+    const missing = ['id', 'name', 'baseUrl', 'search'].filter(key => !adapter[key]);
+    if (adapter.id && !adapter.extract && !hasSelectorConfig(adapter.id.toLowerCase())) {
+        missing.push('extract or selectors/' + adapter.id.toLowerCase() + '.json');
+    }
+    if (missing.length > 0) {
+        throw new Error(`Platform adapter ${file} is missing: ${missing.join(', ')}`);
+    }
+}
+
+function registerPlatform(adapter, file = adapter.id) {
+    validateAdapter(adapter, file);
+
+    const platform = {
+        aliases: [],
+        priority: 100,
+        capabilities: { search: true, categories: [] },
+        detectBlocked: async page => detectLoginPage(page.url(), page),
+        ...adapter,
+        id: adapter.id.toLowerCase()
+    };
+    if (!platform.extract) {
+        platform.extract = createConfigExtractor(platform);
+    }
+
+    registry.set(platform.id, platform);
+    aliases.set(platform.id, platform.id);
+    aliases.set(platform.name.toLowerCase(), platform.id);
+    platform.aliases.forEach(alias => aliases.set(alias.toLowerCase(), platform.id));
+
+    return platform;
+}
+
+function loadPlatforms(dir = process.env.PLATFORMS_DIR || DEFAULT_PLATFORMS_DIR) {
+    if (!fs.existsSync(dir)) {
+        console.log(`⚠️  Platforms directory not found: ${dir}`);
+        return listPlatforms();
+    }
+
+    const files = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+        .sort();
+
+    for (const file of files) {
+        try {
+            registerPlatform(require(path.join(dir, file)), file);
+        } catch (e) {
+            console.log(`❌ Could not load platform ${file}: ${e.message}`);
+        }
+    }
+
+    console.log(`🧩 Loaded ${registry.size} platforms: ${listPlatforms().map(p => p.name).join(', ')}`);
+    return listPlatforms();
+}
+
+function getPlatform(idOrName) {
+    if (!idOrName) return null;
+    const id = aliases.get(String(idOrName).toLowerCase());
+    return id ? registry.get(id) : null;
+}
+
+function listPlatforms(filter = () => true) {
+    return [...registry.values()]
+        .filter(filter)
+        .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+}
+
+// Adapter whose site a product link belongs to (www./m. prefixes ignored)
+function platformForUrl(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.replace(/^(www|m)\./, '');
+    } catch (e) {
+        return null;
+    }
+    return listPlatforms().find(platform => {
+        const platformHost = new URL(platform.baseUrl).hostname.replace(/^(www|m)\./, '');
+        return host === platformHost || host.endsWith('.' + platformHost);
+    }) || null;
+}
+
+// Platforms that can take part in a search (used by universal search)
+function searchablePlatforms() {
+    return listPlatforms(platform => platform.capabilities.search !== false);
+}
+
+// "amazon, flipkart, ..." for the AI system prompt
+function platformPromptList() {
+    return searchablePlatforms()
+        .map(platform => {
+            const categories = platform.capabilities.categories || [];
+            return categories.length > 0 ? `${platform.id} (${categories.join(', ')})` : platform.id;
+        })
+        .join(', ');
+}
+
+module.exports = {
+    loadPlatforms,
+    registerPlatform,
+    getPlatform,
+    listPlatforms,
+    platformForUrl,
+    searchablePlatforms,
+    platformPromptList
+};
@@ -0,0 +1,295 @@
+// ============================================
+// BROWSER POOL
+// ============================================
+// One warm Chromium per launch mode (headed/headless) shared by every
+// request, with a browser context per user session that is reused across
+// requests. At most POOL_MAX_CONCURRENT leases run at once; the rest queue.
+// Idle contexts (and finally the browser) are closed after POOL_IDLE_MS, and
+// a crashed browser is relaunched on the next request.
+//
+// BROWSER_HEADLESS=true|false picks the default mode; when unset, Chromium
+// runs headless on Linux machines without a display (servers, containers).
+//
+//     const lease = await acquireContext(sessionId, { headless: true });
+//     try {
+//         const page = await lease.context.newPage();
+//         ...
+//     } finally {
+//         await lease.release();
+//     }
+
+const { chromium } = require('playwright');
+
+const MAX_CONCURRENT = parseInt(process.env.POOL_MAX_CONCURRENT || '3', 10);
+const QUEUE_TIMEOUT_MS = parseInt(process.env.POOL_QUEUE_TIMEOUT_MS || '120000', 10);
+const IDLE_MS = parseInt(process.env.POOL_IDLE_MS || String(5 * 60 * 1000), 10);
+const DEFAULT_HEADLESS = process.env.BROWSER_HEADLESS
+    ? process.env.BROWSER_HEADLESS === 'true'
+    : process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+
+const LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-blink-features=AutomationControlled'
+];
+
+const CONTEXT_OPTIONS = {
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    locale: 'en-IN'
+};
+
+const browsers = new Map();     // mode -> { promise, browser, lastUsed }
+const contexts = new Map();     // mode:sessionId -> { promise, context, leases, lastUsed }
+const detachedContexts = new Set();
+const waiting = [];
+let activeLeases = 0;
+let onContextCreated = async () => {};
+let storageStateFor = async () => null;
+let evictionTimer = null;
+
+class PoolBusyError extends Error {
+    constructor(waitedMs) {
+        super(`Browser pool busy - waited ${Math.round(waitedMs / 1000)}s for a free slot`);
+        this.name = 'PoolBusyError';
+    }
+}
+
+// Hooks for per-session setup: storageState(sessionId) returns the saved
+// logins a new context starts from; contextCreated runs once it exists
+function configureBrowserPool({ storageState, contextCreated } = {}) {
+    if (storageState) storageStateFor = storageState;
+    if (contextCreated) onContextCreated = contextCreated;
+}
+
+function modeOf(headless) {
+    return headless ? 'headless' : 'headed';
+}
+
+async function getBrowser(mode) {
+    let entry = browsers.get(mode);
+    if (entry && entry.browser && !entry.browser.isConnected()) {
+        browsers.delete(mode);
+        entry = null;
+    }
+
+    if (!entry) {
+        entry = { lastUsed: Date.now() };
+        entry.promise = chromium.launch({ headless: mode === 'headless', args: LAUNCH_ARGS })
+            .then(browser => {
+                entry.browser = browser;
+                console.log(`🌐 Browser pool: launched ${mode} Chromium`);
+                browser.on('disconnected', () => {
+                    // Crash or close: forget it and its contexts, next request relaunches
+                    if (browsers.get(mode) === entry) browsers.delete(mode);
+                    for (const [key, contextEntry] of contexts) {
+                        if (contextEntry.mode === mode) contexts.delete(key);
+                    }
+                    console.log(`⚠️  Browser pool: ${mode} Chromium disconnected`);
+                });
+                return browser;
+            })
+            .catch(error => {
+                browsers.delete(mode);
+                throw error;
+            });
+        browsers.set(mode, entry);
+    }
+
+    entry.lastUsed = Date.now();
+    return entry.promise;
+}
+
+async function getContext(sessionId, mode) {
+    const key = `${mode}:${sessionId}`;
+    let entry = contexts.get(key);
+
+    if (!entry) {
+        entry = { mode, sessionId, leases: 0, lastUsed: Date.now() };
+        entry.promise = (async () => {
+            const browser = await getBrowser(mode);
+            const storageState = await storageStateFor(sessionId);
+            const context = await browser.newContext(storageState ? { ...CONTEXT_OPTIONS, storageState } : CONTEXT_OPTIONS);
+            await context.addInitScript(() => {
+                Object.defineProperty(navigator, 'webdriver', { get: () => false });
+            });
+            context.on('close', () => {
+                if (contexts.get(key) === entry) contexts.delete(key);
+            });
+            await onContextCreated(context, sessionId);
+            entry.context = context;
+            return context;
+        })().catch(error => {
+            contexts.delete(key);
+            throw error;
+        });
+        contexts.set(key, entry);
+    }
+
+    const context = await entry.promise;
+    return { entry, context };
+}
+
+function waitForSlot() {
+    if (activeLeases < MAX_CONCURRENT) {
+        activeLeases++;
+        return Promise.resolve();
+    }
+
+    const queuedAt = Date.now();
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve };
+        waiter.timer = setTimeout(() => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(new PoolBusyError(Date.now() - queuedAt));
+        }, QUEUE_TIMEOUT_MS);
+        waiting.push(waiter);
+        console.log(`⏳ Browser pool: request queued (${waiting.length} waiting)`);
+    });
+}
+
+function freeSlot() {
+    const next = waiting.shift();
+    if (next) {
+        // Hand the slot straight to the next waiter
+        clearTimeout(next.timer);
+        next.resolve();
+    } else {
+        activeLeases--;
+    }
+}
+
+async function acquireContext(sessionId = 'default', { headless = DEFAULT_HEADLESS } = {}) {
+    startEviction();
+    await waitForSlot();
+
+    let entry;
+    try {
+        const leased = await getContext(sessionId, modeOf(headless));
+        entry = leased.entry;
+        entry.leases++;
+
+        let released = false;
+        return {
+            context: leased.context,
+            sessionId,
+            headless,
+            release: async () => {
+                if (released) return;
+                released = true;
+                entry.leases--;
+                entry.lastUsed = Date.now();
+                // Pages are per request; the context (cookies, login) stays warm.
+                // Another lease on the same session may still be using its pages.
+                if (entry.leases === 0) {
+                    for (const page of entry.context.pages()) {
+                        await page.close().catch(() => {});
+                    }
+                    if (entry.closeOnRelease) await entry.context.close().catch(() => {});
+                }
+                freeSlot();
+            }
+        };
+    } catch (error) {
+        freeSlot();
+        throw error;
+    }
+}
+
+// A context outside the pool and its slot limit, for a page that has to
+// outlive its lease (a checkout waiting for approval). It keeps its browser
+// from being evicted; the caller closes it.
+async function openDetachedContext({ headless = DEFAULT_HEADLESS, storageState } = {}) {
+    const browser = await getBrowser(modeOf(headless));
+    const context = await browser.newContext(storageState ? { ...CONTEXT_OPTIONS, storageState } : CONTEXT_OPTIONS);
+    await context.addInitScript(() => {
+        Object.defineProperty(navigator, 'webdriver', { get: () => false });
+    });
+    const detached = { mode: modeOf(headless), context };
+    detachedContexts.add(detached);
+    context.on('close', () => detachedContexts.delete(detached));
+    return context;
+}
+
+// Drops a session's warm contexts (e.g. after its saved logins are deleted)
+// so the next request starts from what is in the vault. Busy contexts close
+// when their last lease is released.
+async function closeSessionContexts(sessionId) {
+    for (const entry of [...contexts.values()]) {
+        if (entry.sessionId !== sessionId || !entry.context) continue;
+        if (entry.leases > 0) {
+            entry.closeOnRelease = true;
+        } else {
+            await entry.context.close().catch(() => {});
+        }
+    }
+}
+
+async function evictIdle() {
+    const now = Date.now();
+
+    for (const [key, entry] of contexts) {
+        if (entry.leases === 0 && entry.context && now - entry.lastUsed > IDLE_MS) {
+            contexts.delete(key);
+            console.log(`🧹 Browser pool: closing idle context ${key}`);
+            await entry.context.close().catch(() => {});
+        }
+    }
+
+    for (const [mode, entry] of browsers) {
+        const inUse = [...contexts.values(), ...detachedContexts].some(contextEntry => contextEntry.mode === mode);
+        if (!inUse && entry.browser && now - entry.lastUsed > IDLE_MS) {
+            browsers.delete(mode);
+            console.log(`🧹 Browser pool: closing idle ${mode} Chromium`);
+            await entry.browser.close().catch(() => {});
+        }
+    }
+}
+
+function startEviction() {
+    if (evictionTimer) return;
+    evictionTimer = setInterval(() => {
+        evictIdle().catch(error => console.log('⚠️  Browser pool eviction failed:', error.message));
+    }, Math.min(IDLE_MS, 60000));
+    evictionTimer.unref();
+}
+
+function getPoolStats() {
+    return {
+        headless: DEFAULT_HEADLESS,
+        maxConcurrent: MAX_CONCURRENT,
+        active: activeLeases,
+        queued: waiting.length,
+        detached: detachedContexts.size,
+        browsers: [...browsers.entries()].map(([mode, entry]) => ({
+            mode,
+            connected: Boolean(entry.browser && entry.browser.isConnected())
+        })),
+        contexts: [...contexts.values()].map(entry => ({
+            sessionId: entry.sessionId,
+            mode: entry.mode,
+            leases: entry.leases,
+            idleSeconds: entry.leases > 0 ? 0 : Math.round((Date.now() - entry.lastUsed) / 1000)
+        }))
+    };
+}
+
+async function closeBrowserPool() {
+    clearInterval(evictionTimer);
+    evictionTimer = null;
+    const open = [...browsers.values()];
+    browsers.clear();
+    contexts.clear();
+    detachedContexts.clear();
+    await Promise.all(open.map(entry => entry.promise.then(browser => browser.close()).catch(() => {})));
+}
+
+module.exports = {
+    PoolBusyError,
+    configureBrowserPool,
+    acquireContext,
+    openDetachedContext,
+    closeSessionContexts,
+    getPoolStats,
+    closeBrowserPool
+};
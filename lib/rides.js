@@ -0,0 +1,199 @@
+// ============================================
+// RIDE FARE ESTIMATES (UBER / OLA)
+// ============================================
+// Fills pickup and drop into each provider's web booking flow and reads the
+// vehicle options it offers (type, ETA, fare range). Nothing is ever
+// requested: we stop on the options screen, before any confirm button.
+//
+// Option rows are read from their text ("Uber Go  4 min away  ₹212-₹260"),
+// since both sites hash their class names. Selectors live in
+// selectors/uber.json and selectors/ola.json: "containers" are the option
+// rows, "pickup", "drop", "suggestion" and "showPrices" are Playwright
+// selectors for the booking form.
+
+const { openSite, detectLoginPage } = require('./browser');
+const { getSelectorConfig } = require('./selectors');
+const { extractInPage, evaluateWithReader } = require('./extractor');
+
+const MAX_OPTIONS = 8;
+
+const RIDE_SITES = {
+    uber: {
+        id: 'uber',
+        name: 'Uber',
+        baseUrl: 'https://www.uber.com/in/en/',
+        bookingUrl: 'https://m.uber.com/go/home'
+    },
+    ola: {
+        id: 'ola',
+        name: 'Ola',
+        baseUrl: 'https://www.olacabs.com',
+        bookingUrl: 'https://book.olacabs.com/'
+    }
+};
+
+// Never clicked - the flow stops on the options screen
+const CONFIRM_PATTERN = /request|confirm|book now|book ride|choose .*|pay/i;
+
+function getRideSite(platform) {
+    return RIDE_SITES[String(platform || '').toLowerCase()] || null;
+}
+
+function listRideSites() {
+    return Object.values(RIDE_SITES);
+}
+
+function getRideSelectors(site) {
+    const selectors = getSelectorConfig(site.id);
+    if (!selectors) {
+        throw new Error(`No selector config for ${site.name}`);
+    }
+    return selectors;
+}
+
+// "Uber Go\n4 min away\n₹212.50-₹260" -> { type, eta, etaMinutes, fare, fareMin, fareMax }
+function parseRideOption(text) {
+    const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const value = lines.join(' ');
+
+    const fare = value.match(/₹\s*([\d,]+(?:\.\d+)?)(?:\s*[-–]\s*₹?\s*([\d,]+(?:\.\d+)?))?/);
+    const eta = value.match(/(\d{1,3})\s*min(?:s|utes)?\b(?:\s*away)?/i);
+    const type = lines.find(line => !/₹|\bmins?\b|away|\d{1,2}:\d{2}/i.test(line) && /[a-z]/i.test(line));
+
+    if (!type || !fare) return null;
+    const fareMin = parseFloat(fare[1].replace(/,/g, ''));
+    const fareMax = fare[2] ? parseFloat(fare[2].replace(/,/g, '')) : fareMin;
+
+    return {
+        type,
+        category: rideCategory(type),
+        eta: eta ? `${eta[1]} min` : null,
+        etaMinutes: eta ? parseInt(eta[1], 10) : null,
+        fare: fareMax > fareMin ? `₹${Math.round(fareMin)}-₹${Math.round(fareMax)}` : `₹${Math.round(fareMin)}`,
+        fareMin,
+        fareMax
+    };
+}
+
+// Comparable buckets across providers: "Uber Go" and "Ola Mini" are both hatchbacks
+function rideCategory(type) {
+    const value = String(type || '').toLowerCase();
+    if (/auto/.test(value)) return 'auto';
+    if (/moto|bike/.test(value)) return 'bike';
+    if (/xl|suv/.test(value)) return 'suv';
+    if (/premier|sedan|prime|comfort/.test(value)) return 'sedan';
+    if (/\bgo\b|mini|micro|hatch/.test(value)) return 'hatchback';
+    return value.replace(/^(uber|ola)\s+/, '') || 'other';
+}
+
+// Cheapest option per category from each provider, side by side
+function compareRides(providers) {
+    const categories = new Map();
+    for (const provider of providers) {
+        for (const option of provider.options || []) {
+            if (!categories.has(option.category)) categories.set(option.category, {});
+            const row = categories.get(option.category);
+            const current = row[provider.platform];
+            if (!current || option.fareMin < current.fareMin) row[provider.platform] = option;
+        }
+    }
+
+    return [...categories.entries()].map(([category, offers]) => {
+        const priced = Object.entries(offers).sort((a, b) => a[1].fareMin - b[1].fareMin);
+        return {
+            category,
+            offers,
+            cheapest: priced.length > 1 && priced[0][1].fareMin < priced[1][1].fareMin ? priced[0][0] : null
+        };
+    }).sort((a, b) => Object.keys(b.offers).length - Object.keys(a.offers).length || a.category.localeCompare(b.category));
+}
+
+async function fillLocation(page, selectors, inputs, text) {
+    for (const selector of inputs) {
+        const input = page.locator(selector).first();
+        if (!await input.isVisible().catch(() => false)) continue;
+
+        await input.click();
+        await input.fill(text);
+        await page.waitForTimeout(2000);
+
+        for (const suggestionSelector of selectors.suggestion) {
+            const suggestion = page.locator(suggestionSelector).first();
+            if (await suggestion.isVisible().catch(() => false)) {
+                await suggestion.click();
+                await page.waitForTimeout(1500);
+                return true;
+            }
+        }
+        await page.keyboard.press('Enter');
+        return true;
+    }
+    return false;
+}
+
+async function clickShowPrices(page, selectors) {
+    for (const selector of selectors.showPrices) {
+        const button = page.locator(selector).first();
+        if (!await button.isVisible().catch(() => false)) continue;
+        const label = (await button.textContent().catch(() => '')) || '';
+        if (CONFIRM_PATTERN.test(label)) continue;
+        await button.click();
+        return true;
+    }
+    return false;
+}
+
+async function readRideOptions(page, site, selectors) {
+    const { products: rows } = await evaluateWithReader(page, extractInPage, {
+        config: { ...selectors, cardText: true },
+        platformName: site.name,
+        baseUrl: site.baseUrl
+    }).catch(() => ({ products: [] }));
+
+    return rows.map(row => parseRideOption(row.text)).filter(Boolean).slice(0, MAX_OPTIONS);
+}
+
+// One provider: returns { platform, options, url, error? }
+// waitForLogin(page) is awaited when the booking page asks to log in first
+async function estimateFares(page, platform, { pickup, drop, waitForLogin }) {
+    const site = getRideSite(platform);
+    if (!site) throw new Error(`Ride estimates are not supported on ${platform}`);
+    const selectors = getRideSelectors(site);
+
+    await openSite(page, site.bookingUrl);
+    if (waitForLogin && detectLoginPage(page.url(), page)) {
+        if (!await waitForLogin(page)) {
+            return { platform: site.name, options: [], url: site.bookingUrl, error: `${site.name} needs you to log in first` };
+        }
+        if (!page.url().startsWith(site.bookingUrl)) await openSite(page, site.bookingUrl);
+    }
+
+    if (!await fillLocation(page, selectors, selectors.pickup, pickup)) {
+        return { platform: site.name, options: [], url: site.bookingUrl, error: `Could not find the pickup box on ${site.name} (login may be needed)` };
+    }
+    if (!await fillLocation(page, selectors, selectors.drop, drop)) {
+        return { platform: site.name, options: [], url: site.bookingUrl, error: `Could not find the drop box on ${site.name}` };
+    }
+
+    await clickShowPrices(page, selectors);
+    await page.waitForTimeout(5000);
+
+    const options = await readRideOptions(page, site, selectors);
+    console.log(`✅ ${site.name}: ${options.length} ride options`);
+    return {
+        platform: site.name,
+        options,
+        url: page.url(),
+        error: options.length === 0 ? `${site.name} showed no fares for this route` : undefined
+    };
+}
+
+module.exports = {
+    getRideSite,
+    getRideSelectors,
+    listRideSites,
+    parseRideOption,
+    rideCategory,
+    compareRides,
+    estimateFares
+};
@@ -0,0 +1,155 @@
+// ============================================
+// SEARCH NAVIGATION
+// ============================================
+// Gets a page onto a platform's search results. Adapters with searchUrl are
+// opened directly (no homepage, no guessed search box); the homepage typing
+// flow is the fallback when that URL shows no result cards.
+// SEARCH_MODE=typing forces the typing flow everywhere.
+//
+// searchPages() goes deeper than the first page for single-platform searches,
+// using the page URL parameter or the selector config's "nextPage" link.
+
+const { waitForContainers } = require('./extractor');
+const { getSelectorConfig } = require('./selectors');
+const { normalizeProducts } = require('./normalize');
+
+const SEARCH_MODE = process.env.SEARCH_MODE || 'url';
+const RESULTS_TIMEOUT_MS = parseInt(process.env.SEARCH_RESULTS_TIMEOUT_MS || '10000', 10);
+const DEFAULT_LIMIT = 15;
+const MAX_LIMIT = parseInt(process.env.SEARCH_MAX_RESULTS || '100', 10);
+const MAX_PAGES = parseInt(process.env.SEARCH_MAX_PAGES || '5', 10);
+
+// Returns { status: 'ok' | 'blocked' | 'search_failed' | 'zero_results', mode: 'url' | 'typing', url }
+async function openSearchResults(page, platform, query, { pageNumber = 1 } = {}) {
+    const url = SEARCH_MODE !== 'typing' && platform.searchUrl
+        ? platform.searchUrl(query, pageNumber)
+        : null;
+
+    if (url) {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+        if (await platform.detectBlocked(page)) {
+            return { status: 'blocked', mode: 'url', url: page.url() };
+        }
+
+        // null means the adapter has its own extract() and no selectors to wait for
+        const containers = await waitForContainers(page, platform, RESULTS_TIMEOUT_MS);
+        if (containers === null || containers > 0) {
+            return { status: 'ok', mode: 'url', url: page.url() };
+        }
+
+        // Past page 1 an empty page just means we ran out of results
+        if (pageNumber > 1) {
+            return { status: 'zero_results', mode: 'url', url: page.url() };
+        }
+        console.log(`⚠️  ${platform.name}: no results at search URL, falling back to typing`);
+    }
+
+    // The typing flow can only reach the first page of results
+    if (pageNumber > 1) {
+        return { status: 'zero_results', mode: 'typing', url: page.url() };
+    }
+
+    await page.goto(platform.baseUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForTimeout(2000);
+
+    if (await platform.detectBlocked(page)) {
+        return { status: 'blocked', mode: 'typing', url: page.url() };
+    }
+
+    const searchSuccess = await platform.search(page, query);
+    return { status: searchSuccess ? 'ok' : 'search_failed', mode: 'typing', url: page.url() };
+}
+
+// Moves to the next page of results: the page URL when the site has one,
+// otherwise the "nextPage" link/button from selectors/<id>.json
+async function openNextPage(page, platform, query, pageNumber) {
+    if (SEARCH_MODE !== 'typing' && platform.searchUrl && platform.searchUrl(query, pageNumber)) {
+        return openSearchResults(page, platform, query, { pageNumber });
+    }
+
+    const config = getSelectorConfig(platform.id);
+    for (const selector of (config && config.nextPage) || []) {
+        const next = await page.$(selector);
+        if (!next || !(await next.isVisible())) continue;
+
+        await next.click();
+        await page.waitForLoadState('domcontentloaded');
+        await page.waitForTimeout(2000);
+        return { status: 'ok', mode: 'next_link', url: page.url() };
+    }
+
+    return { status: 'zero_results', mode: 'next_link', url: page.url() };
+}
+
+// Stable identity of a listing across result pages: ASIN / Flipkart pid /
+// product URL without tracking parameters
+function productKey(product) {
+    if (product.productId) return `${product.platform}:${String(product.productId).toUpperCase()}`;
+
+    const url = product.productUrl || '';
+    const asin = url.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+    if (asin) return `${product.platform}:${asin[1].toUpperCase()}`;
+    const pid = url.match(/[?&]pid=([A-Z0-9]+)/i);
+    if (pid) return `${product.platform}:${pid[1].toUpperCase()}`;
+
+    return url.split(/[?#]/)[0];
+}
+
+// limit/pages from the shopping task. A limit above the default walks up to
+// MAX_PAGES pages; asking for pages without a limit lifts the limit.
+function resolvePagination(task = {}) {
+    const clamp = (value, max) => Math.min(Math.max(parseInt(value, 10) || 1, 1), max);
+    const limit = task.limit ? clamp(task.limit, MAX_LIMIT) : (task.pages ? MAX_LIMIT : DEFAULT_LIMIT);
+    const pages = task.pages ? clamp(task.pages, MAX_PAGES) : (limit > DEFAULT_LIMIT ? MAX_PAGES : 1);
+    return { limit, pages };
+}
+
+// Collects normalized products from up to `pages` result pages, deduped,
+// stopping at `limit` products or when a page brings nothing new
+async function searchPages(page, platform, query, { limit = DEFAULT_LIMIT, pages = 1 } = {}) {
+    const products = [];
+    const seen = new Set();
+    const pagination = { limit, pages, pagesVisited: 0, exhausted: false };
+
+    for (let pageNumber = 1; pageNumber <= pages; pageNumber++) {
+        const navigation = pageNumber === 1
+            ? await openSearchResults(page, platform, query)
+            : await openNextPage(page, platform, query, pageNumber);
+
+        if (navigation.status !== 'ok') {
+            // A failure on page 1 is the search failing; later it's the end of results
+            if (pageNumber === 1) return { status: navigation.status, products, pagination };
+            pagination.exhausted = true;
+            break;
+        }
+        pagination.pagesVisited = pageNumber;
+
+        let added = 0;
+        for (const product of normalizeProducts(await platform.extract(page))) {
+            const key = productKey(product);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            products.push(product);
+            added++;
+        }
+        console.log(`📄 ${platform.name} page ${pageNumber}: ${added} new products (${products.length} total)`);
+
+        if (products.length >= limit) break;
+        if (added === 0) {
+            pagination.exhausted = true;
+            break;
+        }
+    }
+
+    // Card ids restart on every page
+    const limited = products.slice(0, limit).map((product, index) => ({ ...product, id: String(index + 1) }));
+    return { status: 'ok', products: limited, pagination };
+}
+
+module.exports = {
+    openSearchResults,
+    searchPages,
+    resolvePagination,
+    productKey
+};
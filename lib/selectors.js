@@ -0,0 +1,110 @@
+// ============================================
+// SELECTOR CONFIGURATION (LIVE-RELOAD)
+// ============================================
+// Per-platform extractor selectors live in selectors/<platformId>.json
+// (or SELECTORS_DIR). Files are re-read whenever their mtime changes, so
+// fixing a rotated Flipkart class name is an edit to JSON, not a redeploy.
+// Food (lib/food.js) and ride (lib/rides.js) sites keep theirs here too.
+//
+// {
+//     "scrolls": 5,                      // lazy-load scrolls before extracting
+//     "settleMs": 2000,                  // extra wait after scrolling
+//     "containers": ["sel1", "sel2"],    // ordered fallbacks, first non-empty wins
+//     "fields": {
+//         "title": ["h2 span", { "selector": "h2", "pattern": "^(.*)$" }],
+//         "image": [{ "selector": "img", "attribute": ["src", "srcset", "data-src"], "type": "image" }]
+//     },
+//     "required": ["title", "price", "image", "productUrl"],
+//     "cardText": false,                 // also return each card's visible text as "text"
+//                                        // (line breaks kept) for text-parsed cards
+//     "nextPage": ["a.next-page"]        // optional next-page link or "load more"
+//                                        // button (Playwright selectors)
+// }
+//
+// Field specs are tried in order. A spec is a CSS selector string or an object:
+//   selector   CSS selector inside the container
+//   self       use the container itself (optionally only if it `matches` a selector)
+//   combine    list of selectors whose texts are joined with a space (brand + name)
+//   attribute  attribute name or ordered list (srcset picks the first http URL);
+//              text content when omitted
+//   type       "url" resolves relative links, "image" also skips placeholders
+//   pattern    regex applied to the value, first capture group kept
+//   replace    [regex, replacement] rewrite (e.g. thumbnail URL -> full size)
+//   prefix     string prepended to the value (e.g. "₹")
+// Values are read by readSpecValue in lib/extractor.js for search results,
+// product pages and carts alike.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SELECTORS_DIR = path.join(__dirname, '..', 'selectors');
+const DEFAULT_REQUIRED = ['title', 'price', 'image', 'productUrl'];
+
+const cache = new Map();
+
+function selectorsDir() {
+    return process.env.SELECTORS_DIR || DEFAULT_SELECTORS_DIR;
+}
+
+function validateConfig(config, file) {
+    if (!Array.isArray(config.containers) || config.containers.length === 0) {
+        throw new Error(`${file}: "containers" must be a non-empty array`);
+    }
+    if (!config.fields || typeof config.fields !== 'object') {
+        throw new Error(`${file}: "fields" must be an object`);
+    }
+    for (const [field, specs] of Object.entries(config.fields)) {
+        if (!Array.isArray(specs) || specs.length === 0) {
+            throw new Error(`${file}: field "${field}" must be a non-empty array of selectors`);
+        }
+    }
+}
+
+// Returns the platform's selector config, reloading it if the file changed.
+// A broken edit keeps the last good config so extraction keeps working.
+function getSelectorConfig(platformId) {
+    const file = path.join(selectorsDir(), `${platformId}.json`);
+    const cached = cache.get(platformId);
+
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (e) {
+        return cached ? cached.config : null;
+    }
+
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.config;
+    }
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        validateConfig(raw, file);
+        const config = {
+            scrolls: 3,
+            settleMs: 0,
+            required: DEFAULT_REQUIRED,
+            ...raw
+        };
+        cache.set(platformId, { mtimeMs, config });
+        if (cached) console.log(`🔄 Reloaded selectors for ${platformId}`);
+        return config;
+    } catch (e) {
+        console.log(`❌ Invalid selectors for ${platformId}: ${e.message}`);
+        if (cached) {
+            // Don't retry the broken file until it changes again
+            cache.set(platformId, { mtimeMs, config: cached.config });
+            return cached.config;
+        }
+        return null;
+    }
+}
+
+function hasSelectorConfig(platformId) {
+    return fs.existsSync(path.join(selectorsDir(), `${platformId}.json`));
+}
+
+module.exports = {
+    getSelectorConfig,
+    hasSelectorConfig
+};
@@ -0,0 +1,238 @@
+// ============================================
+// SESSION VAULT
+// ============================================
+// Saved logins (Playwright storageState: cookies + localStorage) per user and
+// per site, so one person's Amazon login is never replayed for someone else.
+// Each site is its own file under data/sessions/<userId>/ (or
+// SESSION_VAULT_DIR), encrypted with AES-256-GCM using SESSION_VAULT_KEY.
+// Without a key nothing is written to disk - logins then only last as long
+// as the pooled browser context.
+//
+// Only userId, site and timestamps are stored in the clear so sessions can
+// be listed and expired without decrypting them.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { platformForUrl } = require('./platforms');
+
+const DEFAULT_VAULT_DIR = path.join(__dirname, '..', 'data', 'sessions');
+const TTL_DAYS = parseFloat(process.env.SESSION_TTL_DAYS || '30');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^[\w.-]{1,64}$/;
+
+let cachedKey = null;
+let warnedNoKey = false;
+
+function vaultDir() {
+    return process.env.SESSION_VAULT_DIR || DEFAULT_VAULT_DIR;
+}
+
+// Any passphrase works; it is stretched to a 256-bit key once
+function vaultKey() {
+    const secret = process.env.SESSION_VAULT_KEY;
+    if (!secret) {
+        if (!warnedNoKey) console.log('⚠️  SESSION_VAULT_KEY not set - logins will not be saved to disk');
+        warnedNoKey = true;
+        return null;
+    }
+    if (!cachedKey || cachedKey.secret !== secret) {
+        cachedKey = { secret, key: crypto.scryptSync(secret, 'invrsly-session-vault', 32) };
+    }
+    return cachedKey.key;
+}
+
+function isValidId(id) {
+    return ID_PATTERN.test(String(id || '')) && !/^\.+$/.test(id);
+}
+
+function sessionFile(userId, site) {
+    return path.join(vaultDir(), userId, `${site}.json`);
+}
+
+// amazon for .amazon.in cookies, otherwise the bare host (swiggy.com)
+function siteForDomain(domain) {
+    const host = String(domain).replace(/^\./, '').replace(/^(www|m)\./, '');
+    const platform = platformForUrl('https://' + host);
+    return platform ? platform.id : host;
+}
+
+function encrypt(key, payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(key, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+}
+
+function readRecord(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.log(`⚠️  Could not read session ${file}: ${e.message}`);
+        return null;
+    }
+}
+
+function writeRecord(file, record) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file + '.tmp', JSON.stringify(record), { mode: 0o600 });
+    fs.renameSync(file + '.tmp', file);
+}
+
+function isExpired(record, now = Date.now()) {
+    return Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+}
+
+function summarize(record) {
+    return {
+        site: record.site,
+        savedAt: record.savedAt,
+        expiresAt: record.expiresAt,
+        cookies: record.cookies,
+        origins: record.origins
+    };
+}
+
+// Splits a context's storageState by site and stores each piece.
+// Returns the sites saved (empty when there is no key).
+function saveStorageState(userId, state) {
+    const key = vaultKey();
+    if (!key || !isValidId(userId)) return [];
+
+    const bySite = new Map();
+    const pieceFor = site => {
+        if (!bySite.has(site)) bySite.set(site, { cookies: [], origins: [] });
+        return bySite.get(site);
+    };
+    for (const cookie of state.cookies || []) pieceFor(siteForDomain(cookie.domain)).cookies.push(cookie);
+    for (const origin of state.origins || []) pieceFor(siteForDomain(new URL(origin.origin).hostname)).origins.push(origin);
+
+    const now = Date.now();
+    for (const [site, storageState] of bySite) {
+        if (!isValidId(site)) continue;
+        writeRecord(sessionFile(userId, site), {
+            v: 1,
+            userId,
+            site,
+            savedAt: new Date(now).toISOString(),
+            expiresAt: TTL_DAYS > 0 ? new Date(now + TTL_DAYS * DAY_MS).toISOString() : null,
+            cookies: storageState.cookies.length,
+            origins: storageState.origins.length,
+            sealed: encrypt(key, storageState)
+        });
+    }
+    return [...bySite.keys()];
+}
+
+// All of a user's unexpired sites merged into one storageState for
+// browser.newContext(), or null when there is nothing to restore
+function loadStorageState(userId) {
+    const key = vaultKey();
+    if (!key || !isValidId(userId)) return null;
+
+    const merged = { cookies: [], origins: [] };
+    for (const record of readUserRecords(userId)) {
+        try {
+            const state = decrypt(key, record.sealed);
+            merged.cookies.push(...state.cookies);
+            merged.origins.push(...state.origins);
+        } catch (e) {
+            // Wrong key (rotated) or a tampered file - treat as logged out
+            console.log(`⚠️  Could not decrypt ${record.site} session for ${userId}`);
+        }
+    }
+    return merged.cookies.length > 0 || merged.origins.length > 0 ? merged : null;
+}
+
+// Unexpired records for a user; expired ones are removed on the way
+function readUserRecords(userId) {
+    let files = [];
+    try {
+        files = fs.readdirSync(path.join(vaultDir(), userId)).filter(file => file.endsWith('.json'));
+    } catch (e) {
+        return [];
+    }
+
+    const records = [];
+    for (const file of files) {
+        const record = readRecord(path.join(vaultDir(), userId, file));
+        if (!record) continue;
+        if (isExpired(record)) {
+            deleteSession(userId, record.site);
+            continue;
+        }
+        records.push(record);
+    }
+    return records.sort((a, b) => a.site.localeCompare(b.site));
+}
+
+function listSessions(userId) {
+    if (!isValidId(userId)) return [];
+    return readUserRecords(userId).map(summarize);
+}
+
+// New expiry for a saved site; ttlDays 0 expires it now. Returns the
+// updated summary, or null when there is no such session.
+function expireSession(userId, site, ttlDays = 0) {
+    if (!isValidId(userId) || !isValidId(site)) return null;
+    const record = readRecord(sessionFile(userId, site));
+    if (!record) return null;
+
+    if (ttlDays <= 0) {
+        deleteSession(userId, site);
+        return { ...summarize(record), expiresAt: new Date().toISOString() };
+    }
+    record.expiresAt = new Date(Date.now() + ttlDays * DAY_MS).toISOString();
+    writeRecord(sessionFile(userId, site), record);
+    return summarize(record);
+}
+
+function deleteSession(userId, site) {
+    if (!isValidId(userId) || !isValidId(site)) return false;
+    try {
+        fs.unlinkSync(sessionFile(userId, site));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function deleteUserSessions(userId) {
+    if (!isValidId(userId)) return 0;
+    const sites = listSessions(userId).map(session => session.site);
+    sites.forEach(site => deleteSession(userId, site));
+    return sites.length;
+}
+
+// Drops expired sessions for every user (run at startup)
+function pruneExpiredSessions() {
+    let users = [];
+    try {
+        users = fs.readdirSync(vaultDir());
+    } catch (e) {
+        return;
+    }
+    users.filter(isValidId).forEach(readUserRecords);
+}
+
+module.exports = {
+    siteForDomain,
+    saveStorageState,
+    loadStorageState,
+    listSessions,
+    expireSession,
+    deleteSession,
+    deleteUserSessions,
+    pruneExpiredSessions
+};
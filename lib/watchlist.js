@@ -0,0 +1,223 @@
+// ============================================
+// PRICE WATCHLIST
+// ============================================
+// Products or queries we re-check on an interval. Every check is appended to
+// the item's price history in data/watchlist.json (or WATCHLIST_FILE). When
+// the price drops to the target an 'alert' event is emitted (SSE in the chat
+// UI) and posted to WATCHLIST_WEBHOOK_URL if set.
+//
+// The actual price lookup lives in server.js and is passed to
+// startWatchScheduler(), which keeps this module free of browser code.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { EventEmitter } = require('events');
+
+const DEFAULT_WATCHLIST_FILE = path.join(__dirname, '..', 'data', 'watchlist.json');
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.WATCH_INTERVAL_MINUTES || '360', 10);
+const MIN_INTERVAL_MINUTES = 5;
+const HISTORY_LIMIT = parseInt(process.env.WATCH_HISTORY_LIMIT || '500', 10);
+const TICK_MS = parseInt(process.env.WATCH_TICK_MS || '60000', 10);
+
+const watchEvents = new EventEmitter();
+let watches = null;
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+function watchlistFile() {
+    return process.env.WATCHLIST_FILE || DEFAULT_WATCHLIST_FILE;
+}
+
+function load() {
+    if (watches) return watches;
+    try {
+        watches = JSON.parse(fs.readFileSync(watchlistFile(), 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.log(`⚠️  Could not read watchlist: ${e.message}`);
+        watches = [];
+    }
+    return watches;
+}
+
+// Write to a temp file first so a crash never leaves half a watchlist
+function save() {
+    const file = watchlistFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file + '.tmp', JSON.stringify(watches, null, 2));
+    fs.renameSync(file + '.tmp', file);
+}
+
+// Returns an error message for a bad POST /api/watchlist body, or null
+function validateWatch(input = {}) {
+    if (!input.productUrl && !input.query) return 'Provide a productUrl or a query to watch';
+    if (input.productUrl && !/^https?:\/\//.test(input.productUrl)) return 'productUrl must be an http(s) link';
+    const target = Number(input.targetPrice);
+    if (!Number.isFinite(target) || target <= 0) return 'targetPrice must be a positive number';
+    if (input.intervalMinutes !== undefined && !(Number(input.intervalMinutes) >= MIN_INTERVAL_MINUTES)) {
+        return `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}`;
+    }
+    return null;
+}
+
+function addWatch(input) {
+    const item = {
+        id: crypto.randomUUID(),
+        productUrl: input.productUrl || null,
+        query: input.query || null,
+        platform: input.platform || null,
+        targetPrice: Number(input.targetPrice),
+        intervalMinutes: Number(input.intervalMinutes) || DEFAULT_INTERVAL_MINUTES,
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastPrice: null,
+        belowTarget: false,
+        title: input.title || null,
+        history: []
+    };
+    load().push(item);
+    save();
+    return item;
+}
+
+// Items without their (possibly long) history
+function summarize(item) {
+    const { history, ...summary } = item;
+    return { ...summary, checks: history.length };
+}
+
+function listWatches() {
+    return load().map(summarize);
+}
+
+function getWatch(id) {
+    return load().find(item => item.id === id) || null;
+}
+
+function removeWatch(id) {
+    const before = load().length;
+    watches = watches.filter(item => item.id !== id);
+    if (watches.length === before) return false;
+    save();
+    return true;
+}
+
+async function postWebhook(alert) {
+    const url = process.env.WATCHLIST_WEBHOOK_URL;
+    if (!url) return;
+    try {
+        await axios.post(url, alert, { timeout: 10000 });
+    } catch (e) {
+        console.log(`⚠️  Watchlist webhook failed: ${e.message}`);
+    }
+}
+
+// Store one check. Returns the alert when the price just crossed the target.
+// observation: { price, title, productUrl, platform, inStock } or { error }
+function recordPrice(id, observation) {
+    const item = getWatch(id);
+    if (!item) return null;
+
+    const at = new Date().toISOString();
+    item.lastCheckedAt = at;
+
+    if (observation.error || !Number.isFinite(observation.price)) {
+        item.lastError = observation.error || 'No price found';
+        save();
+        return null;
+    }
+
+    item.history.push({
+        at,
+        price: observation.price,
+        inStock: observation.inStock ?? null,
+        platform: observation.platform || null,
+        productUrl: observation.productUrl || item.productUrl
+    });
+    if (item.history.length > HISTORY_LIMIT) item.history.splice(0, item.history.length - HISTORY_LIMIT);
+
+    const previousPrice = item.lastPrice;
+    const wasBelow = item.belowTarget;
+    item.lastPrice = observation.price;
+    item.title = item.title || observation.title || null;
+    item.belowTarget = observation.price <= item.targetPrice;
+    delete item.lastError;
+    save();
+
+    // Alert once per crossing; re-arms when the price goes back above target
+    if (!item.belowTarget || wasBelow) return null;
+
+    const alert = {
+        type: 'price_alert',
+        watchId: item.id,
+        title: item.title || item.query || item.productUrl,
+        platform: observation.platform || item.platform,
+        productUrl: observation.productUrl || item.productUrl,
+        price: observation.price,
+        previousPrice,
+        targetPrice: item.targetPrice,
+        at
+    };
+    console.log(`🔔 Price alert: ${alert.title} is ₹${alert.price} (target ₹${alert.targetPrice})`);
+    watchEvents.emit('alert', alert);
+    postWebhook(alert);
+    return alert;
+}
+
+function dueWatches(now = Date.now()) {
+    return load().filter(item => !item.lastCheckedAt ||
+        now - new Date(item.lastCheckedAt).getTime() >= item.intervalMinutes * 60000);
+}
+
+async function checkWatch(id, lookupPrice) {
+    const item = getWatch(id);
+    if (!item) return null;
+    let observation;
+    try {
+        observation = await lookupPrice(item);
+    } catch (e) {
+        observation = { error: e.message };
+    }
+    const alert = recordPrice(id, observation);
+    return { item: summarize(getWatch(id)), observation, alert };
+}
+
+// Re-checks due items one at a time so background work never competes
+// with chat requests for more than one browser
+function startWatchScheduler(lookupPrice) {
+    if (schedulerTimer) return;
+    schedulerTimer = setInterval(async () => {
+        if (schedulerRunning) return;
+        schedulerRunning = true;
+        try {
+            for (const item of dueWatches()) {
+                console.log(`⏰ Re-checking watch ${item.id} (${item.title || item.query || item.productUrl})`);
+                await checkWatch(item.id, lookupPrice);
+            }
+        } finally {
+            schedulerRunning = false;
+        }
+    }, TICK_MS);
+    schedulerTimer.unref();
+    console.log(`⏰ Watchlist scheduler running (${load().length} items)`);
+}
+
+function stopWatchScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    watchEvents,
+    validateWatch,
+    addWatch,
+    listWatches,
+    getWatch,
+    removeWatch,
+    recordPrice,
+    dueWatches,
+    checkWatch,
+    startWatchScheduler,
+    stopWatchScheduler
+};
@@ -0,0 +1,38 @@
+// ============================================
+// AJIO ADAPTER
+// ============================================
+// Products are extracted with selectors/ajio.json
+const { typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input[name="searchbar"], input[placeholder*="Search"]';
+
+// Direct results URL. AJIO loads further results on scroll, so there
+// is no page parameter
+function ajioSearchUrl(query, pageNumber = 1) {
+    if (pageNumber > 1) return null;
+    return `https://www.ajio.com/search/?${new URLSearchParams({ text: query })}`;
+}
+
+async function searchAjio(page, query) {
+    try {
+        console.log('🔍 Searching Ajio for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Ajio search failed:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    id: 'ajio',
+    name: 'Ajio',
+    baseUrl: 'https://www.ajio.com',
+    priority: 50,
+    search: searchAjio,
+    searchUrl: ajioSearchUrl,
+    capabilities: {
+        search: true,
+        categories: ['fashion', 'footwear']
+    }
+};
@@ -0,0 +1,45 @@
+// ============================================
+// AMAZON ADAPTER
+// ============================================
+// Products are extracted with selectors/amazon.json
+const { detectLoginPage, typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input#twotabsearchtextbox, input[name="field-keywords"]';
+
+// Direct results URL, e.g. /s?k=iphone+15&page=2
+function amazonSearchUrl(query, pageNumber = 1) {
+    const params = new URLSearchParams({ k: query });
+    if (pageNumber > 1) params.set('page', pageNumber);
+    return `https://www.amazon.in/s?${params}`;
+}
+
+async function searchAmazon(page, query) {
+    try {
+        console.log('🔍 Searching Amazon for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Amazon search failed:', e.message);
+        return false;
+    }
+}
+
+// Amazon serves a captcha page on the same URL instead of redirecting
+async function detectAmazonBlocked(page) {
+    if (detectLoginPage(page.url(), page)) return true;
+    return (await page.$('form[action*="validateCaptcha"]')) !== null;
+}
+
+module.exports = {
+    id: 'amazon',
+    name: 'Amazon',
+    baseUrl: 'https://www.amazon.in',
+    priority: 10,
+    search: searchAmazon,
+    searchUrl: amazonSearchUrl,
+    detectBlocked: detectAmazonBlocked,
+    capabilities: {
+        search: true,
+        categories: ['electronics', 'fashion', 'home', 'books', 'grocery']
+    }
+};
@@ -0,0 +1,39 @@
+// ============================================
+// CROMA ADAPTER
+// ============================================
+// Products are extracted with selectors/croma.json
+const { typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input[type="search"], input[placeholder*="Search"]';
+
+// Direct results URL. Croma pages with a "View More" button, so there
+// is no page parameter
+function cromaSearchUrl(query, pageNumber = 1) {
+    if (pageNumber > 1) return null;
+    const params = new URLSearchParams({ q: `${query}:relevance`, text: query });
+    return `https://www.croma.com/searchB?${params}`;
+}
+
+async function searchCroma(page, query) {
+    try {
+        console.log('🔍 Searching Croma for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Croma search failed:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    id: 'croma',
+    name: 'Croma',
+    baseUrl: 'https://www.croma.com',
+    priority: 60,
+    search: searchCroma,
+    searchUrl: cromaSearchUrl,
+    capabilities: {
+        search: true,
+        categories: ['electronics', 'appliances']
+    }
+};
@@ -0,0 +1,38 @@
+// ============================================
+// FLIPKART ADAPTER
+// ============================================
+// Products are extracted with selectors/flipkart.json
+const { typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input[name="q"], input[type="text"], input.Pke_EE';
+
+// Direct results URL, e.g. /search?q=iphone+15&page=2
+function flipkartSearchUrl(query, pageNumber = 1) {
+    const params = new URLSearchParams({ q: query });
+    if (pageNumber > 1) params.set('page', pageNumber);
+    return `https://www.flipkart.com/search?${params}`;
+}
+
+async function searchFlipkart(page, query) {
+    try {
+        console.log('🔍 Searching Flipkart for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Flipkart search failed:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    id: 'flipkart',
+    name: 'Flipkart',
+    baseUrl: 'https://www.flipkart.com',
+    priority: 20,
+    search: searchFlipkart,
+    searchUrl: flipkartSearchUrl,
+    capabilities: {
+        search: true,
+        categories: ['electronics', 'fashion', 'home', 'appliances']
+    }
+};
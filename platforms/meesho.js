@@ -0,0 +1,38 @@
+// ============================================
+// MEESHO ADAPTER
+// ============================================
+// Products are extracted with selectors/meesho.json
+const { typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input[type="text"], input[placeholder*="Search"], input[class*="SearchBar"]';
+
+// Direct results URL. Meesho loads further results on scroll, so
+// there is no page parameter
+function meeshoSearchUrl(query, pageNumber = 1) {
+    if (pageNumber > 1) return null;
+    return `https://www.meesho.com/search?${new URLSearchParams({ q: query })}`;
+}
+
+async function searchMeesho(page, query) {
+    try {
+        console.log('🔍 Searching Meesho for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Meesho search failed:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    id: 'meesho',
+    name: 'Meesho',
+    baseUrl: 'https://www.meesho.com',
+    priority: 30,
+    search: searchMeesho,
+    searchUrl: meeshoSearchUrl,
+    capabilities: {
+        search: true,
+        categories: ['fashion', 'home', 'beauty']
+    }
+};
@@ -0,0 +1,39 @@
+// ============================================
+// MYNTRA ADAPTER
+// ============================================
+// Products are extracted with selectors/myntra.json
+const { typeSearchQuery } = require('../lib/browser');
+
+const SEARCH_INPUT = 'input.desktop-searchBar, input[placeholder*="Search"]';
+
+// Direct results URL, e.g. /men-tshirt?rawQuery=men+tshirt&p=2
+function myntraSearchUrl(query, pageNumber = 1) {
+    const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'search';
+    const params = new URLSearchParams({ rawQuery: query });
+    if (pageNumber > 1) params.set('p', pageNumber);
+    return `https://www.myntra.com/${slug}?${params}`;
+}
+
+async function searchMyntra(page, query) {
+    try {
+        console.log('🔍 Searching Myntra for:', query);
+        await typeSearchQuery(page, SEARCH_INPUT, query);
+        return true;
+    } catch (e) {
+        console.log('⚠️  Myntra search failed:', e.message);
+        return false;
+    }
+}
+
+module.exports = {
+    id: 'myntra',
+    name: 'Myntra',
+    baseUrl: 'https://www.myntra.com',
+    priority: 40,
+    search: searchMyntra,
+    searchUrl: myntraSearchUrl,
+    capabilities: {
+        search: true,
+        categories: ['fashion', 'footwear', 'beauty']
+    }
+};
@@ -0,0 +1,93 @@
+// ============================================
+// CAPTURE EXTRACTOR FIXTURE FROM A LIVE PAGE
+// ============================================
+// Usage: npm run fixture:capture -- <platform> "<query>" [name]
+//
+// Searches the live site, saves the rendered results page to
+// test/fixtures/<platform>/<name>.html and writes expectations based on
+// what the extractor finds right now. Review the JSON before committing.
+// Set HEADLESS=false to watch the browser (e.g. to solve a CAPTCHA).
+
+const { chromium } = require('playwright');
+const { loadPlatforms, getPlatform, listPlatforms } = require('../lib/platforms');
+const { normalizeProducts } = require('../lib/normalize');
+const { fieldFillRates } = require('../lib/extractor');
+const { openSearchResults } = require('../lib/search');
+const { saveFixture } = require('../test/helpers/fixtures');
+
+const EXPECTED_FIELDS = ['productId', 'title', 'price', 'productUrl', 'image', 'rating', 'reviewCount'];
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function main() {
+    const [platformId, query, name] = process.argv.slice(2);
+    loadPlatforms();
+
+    const platform = getPlatform(platformId);
+    if (!platform || !query) {
+        console.log('Usage: npm run fixture:capture -- <platform> "<query>" [name]');
+        console.log('Platforms:', listPlatforms().map(p => p.id).join(', '));
+        process.exit(1);
+    }
+
+    const browser = await chromium.launch({
+        headless: process.env.HEADLESS !== 'false',
+        args: ['--disable-blink-features=AutomationControlled']
+    });
+
+    try {
+        const context = await browser.newContext({
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+            viewport: { width: 1920, height: 1080 },
+            locale: 'en-IN'
+        });
+        const page = await context.newPage();
+
+        console.log(`🔍 Searching ${platform.name} for "${query}"...`);
+        const navigation = await openSearchResults(page, platform, query);
+        if (navigation.status === 'blocked') {
+            throw new Error(`${platform.name} is showing a login/CAPTCHA page`);
+        }
+        if (navigation.status !== 'ok') {
+            throw new Error(`Search failed on ${platform.name}`);
+        }
+
+        // Extract first so lazy images are loaded into the saved HTML
+        const products = normalizeProducts(await platform.extract(page));
+        const html = await page.content();
+        const rates = fieldFillRates(products, EXPECTED_FIELDS);
+
+        const minFillRates = {};
+        for (const [field, rate] of Object.entries(rates)) {
+            if (rate > 0) minFillRates[field] = Math.floor(rate * 10) / 10;
+        }
+
+        const file = saveFixture(platform.id, name || slugify(query), html, {
+            platform: platform.id,
+            query,
+            url: page.url(),
+            source: 'live',
+            capturedAt: new Date().toISOString(),
+            minProducts: Math.max(1, Math.floor(products.length * 0.8)),
+            minFillRates,
+            expected: products.slice(0, 2).map(product => ({
+                productId: product.productId,
+                title: product.title,
+                price: product.price,
+                productUrl: product.productUrl
+            }))
+        });
+
+        console.log(`✅ Saved ${file} (${products.length} products)`);
+        console.table(rates);
+    } finally {
+        await browser.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Capture failed:', error.message);
+    process.exit(1);
+});
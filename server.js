@@ -1,16 +1,45 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const { chromium } = require('playwright');
 const fs = require('fs');
-const path = require('path');
+const { normalizeProducts } = require('./lib/normalize');
+const { resolveFilters, hasActiveFilters, applyShoppingFilters } = require('./lib/filters');
+const { groupMatchingProducts } = require('./lib/matching');
+const { TimeoutError, withTimeout, runWithConcurrency } = require('./lib/async');
+const { openSite, detectLoginPage, detectCheckoutPage } = require('./lib/browser');
+const { loadPlatforms, getPlatform, listPlatforms, platformForUrl, searchablePlatforms, platformPromptList } = require('./lib/platforms');
+const { recordSearchOutcome, getExtractorHealth } = require('./lib/health');
+const { openSearchResults, searchPages, resolvePagination } = require('./lib/search');
+const { extractProductDetails } = require('./lib/details');
+const { getFoodSite, searchFood } = require('./lib/food');
+const { getRideSite, listRideSites, compareRides, estimateFares } = require('./lib/rides');
+const { getCartConfig, readCart, addToCart } = require('./lib/cart');
+const { MAX_PRODUCTS: MAX_COMPARE_PRODUCTS, buildComparison, comparisonAsText } = require('./lib/compare');
+const {
+    recordTaskResult, getConversation, clearConversation, conversationContext, resolveItems, similarQuery
+} = require('./lib/conversation');
+const { trackPrices, getPriceHistory } = require('./lib/history');
+const { searchCacheKey, getCachedSearch, setCachedSearch } = require('./lib/cache');
+const { submitJob, getJob, waitForJob, cancelJob, getJobStats } = require('./lib/jobs');
+const {
+    configureBrowserPool, acquireContext, openDetachedContext, closeSessionContexts, getPoolStats, closeBrowserPool
+} = require('./lib/pool');
+const {
+    saveStorageState, loadStorageState, listSessions, expireSession, deleteSession, deleteUserSessions, pruneExpiredSessions
+} = require('./lib/vault');
+const {
+    handoffEvents, runLoginHandoff, getLoginHandoff, listLoginHandoffs, relayLoginInput, cancelLoginHandoff
+} = require('./lib/handoff');
+const {
+    guardContext, findCheckoutConfirmation, getConfirmation, listConfirmations, decideConfirmation, detachConfirmation, readCheckoutAudit
+} = require('./lib/checkout');
+const {
+    watchEvents, validateWatch, addWatch, listWatches, getWatch, removeWatch, checkWatch, startWatchScheduler
+} = require('./lib/watchlist');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Session storage path
-const SESSION_FILE = path.join(__dirname, 'browser-session.json');
-
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -37,759 +66,144 @@ ensureDirectories();
 // BROWSER AUTOMATION HELPERS
 // ============================================
 
-async function openSite(page, url) {
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await page.waitForTimeout(3000);
-}
-
-function detectLoginPage(url, page) {
-    const loginPatterns = [
-        '/login', '/signin', '/auth', '/ap/signin',
-        'accounts.google', 'login.live', 'account/login',
-        'captcha', 'robot_check'
-    ];
-    return loginPatterns.some(pattern => url.toLowerCase().includes(pattern));
-}
-
-function detectCheckoutPage(url) {
-    const checkoutPatterns = [
-        '/checkout', '/payment', '/buy', '/place-order',
-        '/confirm-order', '/billing', '/pay'
-    ];
-    return checkoutPatterns.some(pattern => url.toLowerCase().includes(pattern));
-}
-
-async function waitForUserLogin(page) {
-    console.log('⏸️  Waiting for manual login...');
+// The login page is streamed to the web UI (lib/handoff.js), so this works
+// headless on a server as well as in a visible browser window
+async function waitForUserLogin(page, sessionId = 'default') {
+    console.log('⏸️  Waiting for login via the web UI...');
     
-    try {
-        await page.waitForFunction(() => {
-            const url = window.location.href.toLowerCase();
-            return !url.includes('/login') && 
-                   !url.includes('/signin') && 
-                   !url.includes('/auth') &&
-                   !url.includes('/ap/signin');
-        }, { timeout: 300000 });
-        
-        await page.waitForTimeout(2000);
-        console.log('✅ Login detected, resuming automation');
-        return true;
-    } catch (e) {
-        console.log('❌ Login timeout');
-        return false;
-    }
-}
-
-async function saveSession(context) {
-    try {
-        const state = await context.storageState();
-        fs.writeFileSync(SESSION_FILE, JSON.stringify(state, null, 2));
-        console.log('💾 Session saved');
-    } catch (e) {
-        console.log('⚠️  Could not save session');
-    }
+    const loggedIn = await runLoginHandoff(page, { sessionId });
+    console.log(loggedIn ? '✅ Login detected, resuming automation' : '❌ Login not completed');
+    return loggedIn;
 }
 
-async function loadSession(context) {
+// Logins are kept per user (sessionId) and per site in lib/vault.js
+async function saveSession(context, sessionId = 'default') {
     try {
-        if (fs.existsSync(SESSION_FILE)) {
-            const state = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
-            await context.addCookies(state.cookies);
-            console.log('✅ Session loaded');
-            return true;
-        }
+        const sites = saveStorageState(sessionId, await context.storageState());
+        if (sites.length > 0) console.log(`💾 Session saved for ${sessionId}: ${sites.join(', ')}`);
     } catch (e) {
-        console.log('⚠️  Could not load session');
+        console.log('⚠️  Could not save session:', e.message);
     }
-    return false;
 }
 
-async function searchAmazon(page, query) {
+function loadSession(sessionId) {
     try {
-        const selector = 'input#twotabsearchtextbox, input[name="field-keywords"]';
-        
-        console.log('🔍 Searching Amazon for:', query);
-        
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.waitForTimeout(1000);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        
-        return true;
+        const state = loadStorageState(sessionId);
+        if (state) console.log(`✅ Session loaded for ${sessionId}`);
+        return state;
     } catch (e) {
-        console.log('⚠️  Search failed:', e.message);
-        return false;
+        console.log('⚠️  Could not load session:', e.message);
+        return null;
     }
 }
 
-// ============================================
-// UNIVERSAL PRODUCT EXTRACTION ENGINE
-// ============================================
-
-// Helper: Scroll to load lazy images
-async function scrollAndWait(page, scrolls = 3) {
-    for (let i = 0; i < scrolls; i++) {
-        await page.evaluate(() => window.scrollBy(0, window.innerHeight));
-        await page.waitForTimeout(1000);
-    }
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await page.waitForTimeout(500);
-}
-
-// Amazon Extractor - Enhanced with Multiple Selectors
-async function extractAmazonProducts(page) {
-    await scrollAndWait(page, 5); // More scrolling for Amazon
-    await page.waitForTimeout(2000);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        
-        // Try multiple container selectors
-        let containers = document.querySelectorAll('[data-component-type="s-search-result"]');
-        if (containers.length === 0) {
-            containers = document.querySelectorAll('div[data-asin]:not([data-asin=""])');
-        }
-        if (containers.length === 0) {
-            containers = document.querySelectorAll('.s-result-item[data-asin]');
-        }
-        
-        console.log('Amazon: Found', containers.length, 'containers');
-        
-        containers.forEach((item, index) => {
-            try {
-                const asin = item.getAttribute('data-asin');
-                if (!asin || asin === '') return;
-                
-                // Title - multiple selectors
-                let titleElement = item.querySelector('h2 a span');
-                if (!titleElement) titleElement = item.querySelector('h2 span');
-                if (!titleElement) titleElement = item.querySelector('.a-text-normal');
-                
-                let linkElement = item.querySelector('h2 a');
-                if (!linkElement) linkElement = item.querySelector('a.a-link-normal');
-                
-                if (!titleElement || !linkElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href;
-                
-                if (!title || !url) return;
-                
-                // Price - multiple methods
-                let price = '';
-                const priceWhole = item.querySelector('.a-price-whole');
-                const priceFraction = item.querySelector('.a-price-fraction');
-                
-                if (priceWhole) {
-                    const whole = priceWhole.textContent.replace(/[,\.]/g, '').trim();
-                    const fraction = priceFraction ? priceFraction.textContent.trim() : '00';
-                    price = `₹${whole}.${fraction}`;
-                } else {
-                    const priceText = item.querySelector('.a-price .a-offscreen');
-                    if (priceText) {
-                        price = priceText.textContent.trim();
-                    } else {
-                        const priceSymbol = item.querySelector('.a-price-symbol');
-                        const priceValue = item.querySelector('.a-price span:not(.a-price-symbol)');
-                        if (priceSymbol && priceValue) {
-                            price = priceSymbol.textContent + priceValue.textContent;
-                        }
-                    }
-                }
-                
-                // Rating
-                const ratingElement = item.querySelector('.a-icon-alt');
-                let rating = '';
-                if (ratingElement) {
-                    const ratingText = ratingElement.textContent.trim();
-                    rating = ratingText.split(' ')[0];
-                }
-                
-                // Reviews
-                let reviewCount = '';
-                const reviewElement = item.querySelector('span[aria-label*="stars"]');
-                if (reviewElement && reviewElement.parentElement) {
-                    const reviewsSpan = reviewElement.parentElement.nextElementSibling;
-                    if (reviewsSpan) reviewCount = reviewsSpan.textContent.trim();
-                }
-                if (!reviewCount) {
-                    const altReview = item.querySelector('.a-size-base.s-underline-text');
-                    if (altReview) reviewCount = altReview.textContent.trim();
-                }
-                
-                // Image - Enhanced extraction
-                let imageUrl = '';
-                const imgElement = item.querySelector('img.s-image') || item.querySelector('img');
-                
-                if (imgElement) {
-                    // Try src
-                    imageUrl = imgElement.src || '';
-                    
-                    // If placeholder, try srcset
-                    if (!imageUrl || imageUrl.startsWith('data:') || imageUrl.includes('transparent-pixel') || imageUrl.includes('1x1')) {
-                        const srcset = imgElement.getAttribute('srcset');
-                        if (srcset) {
-                            const sources = srcset.split(',');
-                            for (let src of sources) {
-                                const url = src.trim().split(' ')[0];
-                                if (url && url.startsWith('http') && !url.includes('1x1')) {
-                                    imageUrl = url;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Try data-src
-                    if (!imageUrl || imageUrl.startsWith('data:')) {
-                        imageUrl = imgElement.getAttribute('data-src') || '';
-                    }
-                    
-                    // Try loading attribute
-                    if (!imageUrl || imageUrl.startsWith('data:')) {
-                        const lazyImg = imgElement.getAttribute('data-old-hires');
-                        if (lazyImg) imageUrl = lazyImg;
-                    }
-                }
-                
-                // Only add if has essential data
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Amazon',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Amazon product:', e);
-            }
-        });
-        
-        console.log('Amazon: Extracted', results.length, 'products');
-        return results;
-    });
-    
-    return products;
-}
+// Pooled contexts start from that user's saved logins, and every page they
+// open freezes at checkout/payment until the user approves (lib/checkout.js)
+configureBrowserPool({
+    storageState: async sessionId => loadSession(sessionId),
+    contextCreated: async (context, sessionId) => guardContext(context, sessionId)
+});
 
-// Flipkart Extractor - Enhanced
-async function extractFlipkartProducts(page) {
-    await scrollAndWait(page, 5);
-    await page.waitForTimeout(2000);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        
-        // Try multiple container selectors
-        let containers = document.querySelectorAll('[data-id]');
-        if (containers.length === 0) {
-            containers = document.querySelectorAll('._1AtVbE, ._13oc-S, .tUxRFH, ._1fQZEK, .DOjaWF, .CGtC98, ._75nlfW');
-        }
-        if (containers.length === 0) {
-            containers = document.querySelectorAll('div[class*="product"], div[class*="item"]');
-        }
-        
-        console.log('Flipkart: Found', containers.length, 'containers');
-        
-        containers.forEach((item, index) => {
-            try {
-                // Link
-                let linkElement = item.querySelector('a[href*="/p/"]');
-                if (!linkElement) linkElement = item.querySelector('a._1fQZEK, a.s1Q9rs, a._2rpwqI, a.wjcEIp, a.VJA3rP');
-                if (!linkElement) linkElement = item.querySelector('a');
-                if (!linkElement) return;
-                
-                // Title
-                let titleElement = item.querySelector('.s1Q9rs, ._4rR01T, .IRpwTa, ._2WkVRV, .KzDlHZ, .wjcEIp');
-                if (!titleElement) titleElement = item.querySelector('a[class*="title"]');
-                if (!titleElement) titleElement = item.querySelector('div[class*="title"]');
-                if (!titleElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href.startsWith('http') ? linkElement.href : 'https://www.flipkart.com' + linkElement.href;
-                
-                // Price
-                let price = '';
-                let priceElement = item.querySelector('._30jeq3, ._1_WHN1, ._3tbKJL, .Nx9bqj, ._4b5DiR');
-                if (!priceElement) priceElement = item.querySelector('div[class*="price"]');
-                if (priceElement) price = priceElement.textContent.trim();
-                
-                // Rating
-                let rating = '';
-                let ratingElement = item.querySelector('._3LWZlK, .XQDdHH, .Y1HWO0');
-                if (!ratingElement) ratingElement = item.querySelector('div[class*="rating"]');
-                if (ratingElement) rating = ratingElement.textContent.trim();
-                
-                // Reviews
-                let reviewCount = '';
-                let reviewElement = item.querySelector('._2_R_DZ span, ._13vcmD, .Wphh3N');
-                if (!reviewElement) reviewElement = item.querySelector('span[class*="review"]');
-                if (reviewElement) reviewCount = reviewElement.textContent.trim();
-                
-                // Image
-                let imageUrl = '';
-                const imgElement = item.querySelector('img');
-                
-                if (imgElement) {
-                    imageUrl = imgElement.src || '';
-                    
-                    // Try data-src if src is not valid
-                    if (!imageUrl || imageUrl.startsWith('data:') || imageUrl.includes('1x1')) {
-                        imageUrl = imgElement.getAttribute('data-src') || '';
-                    }
-                    
-                    // Try srcset
-                    if (!imageUrl || imageUrl.startsWith('data:')) {
-                        const srcset = imgElement.getAttribute('srcset');
-                        if (srcset) {
-                            const sources = srcset.split(',');
-                            for (let src of sources) {
-                                const url = src.trim().split(' ')[0];
-                                if (url && url.startsWith('http')) {
-                                    imageUrl = url;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                }
-                
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Flipkart',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Flipkart product:', e);
-            }
-        });
-        
-        console.log('Flipkart: Extracted', results.length, 'products');
-        return results;
-    });
-    
-    return products;
+// Sessions are per browser tab; 'default' keeps old clients working
+function sessionIdFrom(req) {
+    const sessionId = String(req.body?.sessionId || req.query?.sessionId || req.get('x-session-id') || 'default');
+    return /^[\w-]{1,64}$/.test(sessionId) ? sessionId : 'default';
 }
 
-// Meesho Extractor
-async function extractMeeshoProducts(page) {
-    await scrollAndWait(page, 4);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        const containers = document.querySelectorAll('[class*="ProductCard"], [class*="product-card"], a[href*="/product/"], [class*="Card__"]');
-        
-        containers.forEach((item, index) => {
-            try {
-                const linkElement = item.tagName === 'A' ? item : item.querySelector('a[href*="/product/"]');
-                if (!linkElement) return;
-                
-                const titleElement = item.querySelector('[class*="title"], [class*="name"], p, h3, h4, [class*="Text__"]');
-                if (!titleElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href;
-                
-                const priceElement = item.querySelector('[class*="price"], [class*="Price"]');
-                const price = priceElement ? priceElement.textContent.trim() : '';
-                
-                const ratingElement = item.querySelector('[class*="rating"], [class*="Rating"]');
-                const rating = ratingElement ? ratingElement.textContent.trim() : '';
-                
-                const reviewElement = item.querySelector('[class*="review"], [class*="Review"]');
-                const reviewCount = reviewElement ? reviewElement.textContent.trim() : '';
-                
-                const imgElement = item.querySelector('img');
-                let imageUrl = '';
-                
-                if (imgElement) {
-                    imageUrl = imgElement.src || imgElement.getAttribute('data-src') || '';
-                }
-                
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Meesho',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Meesho product:', e);
-            }
-        });
-        
-        return results;
-    });
-    
-    return products;
-}
+// Progress callbacks receive { type: 'status', stage, message, platform? }
+// or { type: 'products', platform, products } - streamed by /api/chat/stream
+const noProgress = () => {};
 
-// Myntra Extractor
-async function extractMyntraProducts(page) {
-    await scrollAndWait(page);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        const containers = document.querySelectorAll('.product-base, li[class*="product"], .productCard');
-        
-        containers.forEach((item, index) => {
-            try {
-                const linkElement = item.querySelector('a');
-                if (!linkElement) return;
-                
-                const titleElement = item.querySelector('.product-product, h3, h4, [class*="productName"], .product-brand, .product-productMetaInfo');
-                if (!titleElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href.startsWith('http') ? linkElement.href : 'https://www.myntra.com' + linkElement.href;
-                
-                const priceElement = item.querySelector('.product-price, [class*="price"], .product-discountedPrice');
-                const price = priceElement ? priceElement.textContent.trim() : '';
-                
-                const ratingElement = item.querySelector('.product-rating, [class*="rating"]');
-                const rating = ratingElement ? ratingElement.textContent.trim() : '';
-                
-                const reviewElement = item.querySelector('[class*="count"], .product-ratingsCount');
-                const reviewCount = reviewElement ? reviewElement.textContent.trim() : '';
-                
-                const imgElement = item.querySelector('img');
-                let imageUrl = '';
-                
-                if (imgElement) {
-                    imageUrl = imgElement.src || imgElement.getAttribute('data-src') || '';
-                }
-                
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Myntra',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Myntra product:', e);
-            }
-        });
-        
-        return results;
-    });
-    
-    return products;
-}
-
-// Ajio Extractor
-async function extractAjioProducts(page) {
-    await scrollAndWait(page);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        const containers = document.querySelectorAll('.item, [class*="product"], .rilrtl-products-list__item');
-        
-        containers.forEach((item, index) => {
-            try {
-                const linkElement = item.querySelector('a');
-                if (!linkElement) return;
-                
-                const titleElement = item.querySelector('.nameCls, [class*="brand"], [class*="name"]');
-                if (!titleElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href.startsWith('http') ? linkElement.href : 'https://www.ajio.com' + linkElement.href;
-                
-                const priceElement = item.querySelector('.price, [class*="price"]');
-                const price = priceElement ? priceElement.textContent.trim() : '';
-                
-                const ratingElement = item.querySelector('[class*="rating"]');
-                const rating = ratingElement ? ratingElement.textContent.trim() : '';
-                
-                const reviewElement = item.querySelector('[class*="count"]');
-                const reviewCount = reviewElement ? reviewElement.textContent.trim() : '';
-                
-                const imgElement = item.querySelector('img');
-                let imageUrl = '';
-                
-                if (imgElement) {
-                    imageUrl = imgElement.src || imgElement.getAttribute('data-src') || '';
-                }
-                
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Ajio',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Ajio product:', e);
-            }
-        });
-        
-        return results;
-    });
-    
-    return products;
-}
-
-// Croma Extractor
-async function extractCromaProducts(page) {
-    await scrollAndWait(page);
-    
-    const products = await page.evaluate(() => {
-        const results = [];
-        const containers = document.querySelectorAll('.product, [class*="product-item"], li.product');
+// Pages opened for a task pause for manual login and save the session after
+function watchForLogin(page, context, sessionId, progress = noProgress) {
+    page.on('framenavigated', async () => {
+        const currentUrl = page.url();
         
-        containers.forEach((item, index) => {
-            try {
-                const linkElement = item.querySelector('a.product-title, a[class*="product"]');
-                if (!linkElement) return;
-                
-                const titleElement = item.querySelector('.product-title, [class*="title"], h3, h4');
-                if (!titleElement) return;
-                
-                const title = titleElement.textContent.trim();
-                const url = linkElement.href.startsWith('http') ? linkElement.href : 'https://www.croma.com' + linkElement.href;
-                
-                const priceElement = item.querySelector('.amount, .price, [class*="price"]');
-                const price = priceElement ? priceElement.textContent.trim() : '';
-                
-                const ratingElement = item.querySelector('[class*="rating"]');
-                const rating = ratingElement ? ratingElement.textContent.trim() : '';
-                
-                const reviewElement = item.querySelector('[class*="review"]');
-                const reviewCount = reviewElement ? reviewElement.textContent.trim() : '';
-                
-                const imgElement = item.querySelector('img');
-                let imageUrl = '';
-                
-                if (imgElement) {
-                    imageUrl = imgElement.src || imgElement.getAttribute('data-src') || '';
-                }
-                
-                if (title && price && imageUrl && imageUrl.startsWith('http')) {
-                    results.push({
-                        id: String(index + 1),
-                        platform: 'Croma',
-                        title: title,
-                        price: price,
-                        rating: rating,
-                        reviewCount: reviewCount,
-                        image: imageUrl,
-                        productUrl: url
-                    });
-                }
-            } catch (e) {
-                console.error('Error extracting Croma product:', e);
+        if (detectLoginPage(currentUrl, page)) {
+            console.log('🔐 Login page detected');
+            progress({ type: 'status', stage: 'login', message: 'Login page detected - waiting for you to log in' });
+            const loginSuccess = await waitForUserLogin(page, sessionId);
+            if (loginSuccess) {
+                await saveSession(context, sessionId);
             }
-        });
-        
-        return results;
+        }
     });
-    
-    return products;
-}
-
-// Search functions for each platform
-async function searchFlipkart(page, query) {
-    try {
-        const selector = 'input[name="q"], input[type="text"], input.Pke_EE';
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        return true;
-    } catch (e) {
-        console.log('⚠️  Flipkart search failed:', e.message);
-        return false;
-    }
-}
-
-async function searchMeesho(page, query) {
-    try {
-        const selector = 'input[type="text"], input[placeholder*="Search"], input[class*="SearchBar"]';
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        return true;
-    } catch (e) {
-        console.log('⚠️  Meesho search failed:', e.message);
-        return false;
-    }
 }
 
-async function searchMyntra(page, query) {
-    try {
-        const selector = 'input.desktop-searchBar, input[placeholder*="Search"]';
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        return true;
-    } catch (e) {
-        console.log('⚠️  Myntra search failed:', e.message);
-        return false;
-    }
-}
-
-async function searchAjio(page, query) {
-    try {
-        const selector = 'input[name="searchbar"], input[placeholder*="Search"]';
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        return true;
-    } catch (e) {
-        console.log('⚠️  Ajio search failed:', e.message);
-        return false;
-    }
-}
-
-async function searchCroma(page, query) {
-    try {
-        const selector = 'input[type="search"], input[placeholder*="Search"]';
-        await page.waitForSelector(selector, { timeout: 10000 });
-        await page.click(selector);
-        await page.fill(selector, '');
-        await page.fill(selector, query);
-        await page.keyboard.press('Enter');
-        await page.waitForLoadState('domcontentloaded');
-        await page.waitForTimeout(4000);
-        return true;
-    } catch (e) {
-        console.log('⚠️  Croma search failed:', e.message);
-        return false;
-    }
-}
+// ============================================
+// SHOPPING SEARCH
+// ============================================
+// Platforms come from the adapter registry (lib/platforms.js, platforms/*.js)
+loadPlatforms();
 
 // Platform-Specific Shopping Search
-async function platformSpecificSearch(page, query, platform) {
+// options: { limit, pages, filters, refresh, progress } - see shoppingSearchOptions()
+async function platformSpecificSearch(page, query, platform, options = {}) {
+    const progress = options.progress || noProgress;
     console.log(`🛍️  Platform-Specific Search: ${platform} - ${query}`);
     
-    const platformMap = {
-        'amazon': { 
-            name: 'Amazon', 
-            url: 'https://www.amazon.in', 
-            searchFn: searchAmazon, 
-            extractFn: extractAmazonProducts 
-        },
-        'flipkart': { 
-            name: 'Flipkart', 
-            url: 'https://www.flipkart.com', 
-            searchFn: searchFlipkart, 
-            extractFn: extractFlipkartProducts 
-        },
-        'meesho': { 
-            name: 'Meesho', 
-            url: 'https://www.meesho.com', 
-            searchFn: searchMeesho, 
-            extractFn: extractMeeshoProducts 
-        },
-        'myntra': { 
-            name: 'Myntra', 
-            url: 'https://www.myntra.com', 
-            searchFn: searchMyntra, 
-            extractFn: extractMyntraProducts 
-        },
-        'ajio': { 
-            name: 'Ajio', 
-            url: 'https://www.ajio.com', 
-            searchFn: searchAjio, 
-            extractFn: extractAjioProducts 
-        },
-        'croma': { 
-            name: 'Croma', 
-            url: 'https://www.croma.com', 
-            searchFn: searchCroma, 
-            extractFn: extractCromaProducts 
-        }
-    };
-    
-    const selectedPlatform = platformMap[platform.toLowerCase()];
+    const selectedPlatform = getPlatform(platform);
     
     if (!selectedPlatform) {
         console.log(`⚠️  Unknown platform: ${platform}, using universal search`);
-        return await universalShoppingSearch(page, query);
+        return await universalShoppingSearch(page, query, options);
+    }
+    
+    const cacheKey = shoppingCacheKey(query, selectedPlatform.id, options);
+    const cached = !options.refresh && getCachedSearch(cacheKey);
+    if (cached) {
+        console.log(`⚡ Cache hit: ${selectedPlatform.name} - ${query}`);
+        return { ...cached.value, cached: true, cacheAgeMs: cached.ageMs };
     }
     
+    const startedAt = Date.now();
+    const record = status => recordSearchOutcome(selectedPlatform.id, { status, elapsedMs: Date.now() - startedAt });
+    
     try {
         console.log(`🔍 Searching on ${selectedPlatform.name}...`);
+        progress({ type: 'status', stage: 'platform_started', platform: selectedPlatform.name, message: `Searching ${selectedPlatform.name}...` });
         
-        await page.goto(selectedPlatform.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        await page.waitForTimeout(2000);
+        const pagination = resolvePagination(options);
+        const { status, products, pagination: pageStats } = await searchPages(page, selectedPlatform, query, pagination);
         
         // Check for login/captcha
-        const currentUrl = page.url();
-        if (detectLoginPage(currentUrl, page)) {
+        if (status === 'blocked') {
             console.log(`⚠️  ${selectedPlatform.name} requires login or showing CAPTCHA`);
+            record('blocked');
+            progress({ type: 'status', stage: 'platform_done', platform: selectedPlatform.name, status: 'blocked', message: `${selectedPlatform.name}: login or CAPTCHA required` });
             return {
                 products: [],
                 warning: `${selectedPlatform.name} requires login or is blocking automation`
             };
         }
         
-        const searchSuccess = await selectedPlatform.searchFn(page, query);
-        if (!searchSuccess) {
+        if (status !== 'ok') {
             console.log(`⚠️  ${selectedPlatform.name} search failed`);
+            record('search_failed');
+            progress({ type: 'status', stage: 'platform_done', platform: selectedPlatform.name, status: 'search_failed', message: `${selectedPlatform.name}: search failed` });
             return {
                 products: [],
                 warning: `Search failed on ${selectedPlatform.name}`
             };
         }
         
-        const products = await selectedPlatform.extractFn(page);
-        console.log(`✅ ${selectedPlatform.name}: Found ${products.length} products`);
+        console.log(`✅ ${selectedPlatform.name}: Found ${products.length} products across ${pageStats.pagesVisited} page(s)`);
+        record(products.length > 0 ? 'ok' : 'zero_results');
         
-        return {
-            products: products.slice(0, 15), // Return up to 15 for single platform
-            platformUsed: selectedPlatform.name
+        const result = {
+            products: trackPrices(products),
+            platformUsed: selectedPlatform.name,
+            pagination: pageStats
         };
+        progress({ type: 'status', stage: 'platform_done', platform: selectedPlatform.name, status: 'ok', count: products.length, message: `${selectedPlatform.name}: Found ${products.length} products` });
+        progress({ type: 'products', platform: selectedPlatform.name, products: result.products });
+        if (products.length > 0) setCachedSearch(cacheKey, result);
+        return result;
         
     } catch (e) {
         console.log(`❌ ${selectedPlatform.name} error:`, e.message);
+        record('error');
+        progress({ type: 'status', stage: 'platform_done', platform: selectedPlatform.name, status: 'error', message: `${selectedPlatform.name}: ${e.message}` });
         return {
             products: [],
             error: `${selectedPlatform.name}: ${e.message}`
@@ -797,59 +211,378 @@ async function platformSpecificSearch(page, query, platform) {
     }
 }
 
-// Universal Shopping Aggregator with Smart Fallback
-async function universalShoppingSearch(page, query) {
-    console.log('🛍️  Universal Shopping Search:', query);
-    
-    let allProducts = [];
-    const sources = [
-        { name: 'Amazon', url: 'https://www.amazon.in', searchFn: searchAmazon, extractFn: extractAmazonProducts },
-        { name: 'Flipkart', url: 'https://www.flipkart.com', searchFn: searchFlipkart, extractFn: extractFlipkartProducts },
-        { name: 'Meesho', url: 'https://www.meesho.com', searchFn: searchMeesho, extractFn: extractMeeshoProducts },
-        { name: 'Myntra', url: 'https://www.myntra.com', searchFn: searchMyntra, extractFn: extractMyntraProducts },
-        { name: 'Ajio', url: 'https://www.ajio.com', searchFn: searchAjio, extractFn: extractAjioProducts },
-        { name: 'Croma', url: 'https://www.croma.com', searchFn: searchCroma, extractFn: extractCromaProducts }
-    ];
+// Positive number from the environment. A typo ("45s") falls back to the
+// default instead of NaN, which would time every platform out at once.
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Universal search tuning
+const UNIVERSAL_CONCURRENCY = envNumber('UNIVERSAL_CONCURRENCY', 3);
+const PLATFORM_TIMEOUT_MS = envNumber('PLATFORM_TIMEOUT_MS', 45000);
+const MAX_PRODUCTS_PER_PLATFORM = envNumber('MAX_PRODUCTS_PER_PLATFORM', 6);
+
+// Search one platform in its own page and report how it went
+async function searchSource(context, source, query, progress = noProgress) {
+    const startedAt = Date.now();
+    const status = { platform: source.name, status: 'ok', count: 0, elapsedMs: 0 };
+    let sourcePage;
     
-    for (const source of sources) {
-        if (allProducts.length >= 10) break;
+    try {
+        sourcePage = await context.newPage();
         
-        try {
+        const products = await withTimeout((async () => {
             console.log(`🔍 Trying ${source.name}...`);
+            progress({ type: 'status', stage: 'platform_started', platform: source.name, message: `Trying ${source.name}...` });
             
-            await page.goto(source.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-            await page.waitForTimeout(2000);
+            const navigation = await openSearchResults(sourcePage, source, query);
+            status.searchMode = navigation.mode;
             
             // Check for login/captcha/robot check
-            const currentUrl = page.url();
-            if (detectLoginPage(currentUrl, page)) {
+            if (navigation.status === 'blocked') {
                 console.log(`⚠️  ${source.name} requires login or showing CAPTCHA, skipping...`);
-                continue;
+                status.status = 'blocked';
+                return [];
             }
             
-            const searchSuccess = await source.searchFn(page, query);
-            if (!searchSuccess) {
-                console.log(`⚠️  ${source.name} search failed, trying next...`);
-                continue;
+            if (navigation.status !== 'ok') {
+                console.log(`⚠️  ${source.name} search failed, skipping...`);
+                status.status = 'search_failed';
+                return [];
             }
             
-            const products = await source.extractFn(page);
-            console.log(`✅ ${source.name}: Found ${products.length} products`);
+            return trackPrices(normalizeProducts(await source.extract(sourcePage)));
+        })(), PLATFORM_TIMEOUT_MS, source.name, () => sourcePage.close());
+        
+        status.count = products.length;
+        if (status.status === 'ok' && products.length === 0) status.status = 'zero_results';
+        console.log(`✅ ${source.name}: Found ${products.length} products`);
+        
+        return { products, status };
+        
+    } catch (e) {
+        status.status = e instanceof TimeoutError ? 'timeout' : 'error';
+        status.error = e.message;
+        console.log(`❌ ${source.name} ${status.status}: ${e.message}`);
+        return { products: [], status };
+    } finally {
+        status.elapsedMs = Date.now() - startedAt;
+        recordSearchOutcome(source.id, { status: status.status, elapsedMs: status.elapsedMs });
+        progress({
+            type: 'status',
+            stage: 'platform_done',
+            platform: source.name,
+            status: status.status,
+            count: status.count,
+            message: status.count > 0 ? `${source.name}: Found ${status.count} products` : `${source.name}: ${status.status.replace('_', ' ')}`
+        });
+        if (sourcePage && !sourcePage.isClosed()) {
+            await sourcePage.close().catch(() => {});
+        }
+    }
+}
+
+// Summarize platforms that did not return products for the response warning
+function describeSourceIssues(sources) {
+    const issues = (sources || []).filter(source => source.status !== 'ok');
+    if (issues.length === 0) return undefined;
+    return 'Some platforms had issues: ' + issues.map(source => `${source.platform} (${source.status.replace('_', ' ')})`).join(', ');
+}
+
+// Universal Shopping Aggregator - all platforms in parallel with per-source deadlines
+async function universalShoppingSearch(page, query, options = {}) {
+    console.log('🛍️  Universal Shopping Search:', query);
+    const progress = options.progress || noProgress;
+    
+    const cacheKey = shoppingCacheKey(query, 'universal', options);
+    const cached = !options.refresh && getCachedSearch(cacheKey);
+    if (cached) {
+        console.log(`⚡ Cache hit: universal - ${query}`);
+        return { ...cached.value, cached: true, cacheAgeMs: cached.ageMs };
+    }
+    
+    let allProducts = [];
+    const sources = searchablePlatforms();
+    
+    const context = page.context();
+    const results = await runWithConcurrency(
+        sources,
+        UNIVERSAL_CONCURRENCY,
+        source => searchSource(context, source, query, progress),
+        // Merge each platform's products as soon as it completes
+        result => {
+            const batch = result.products.slice(0, MAX_PRODUCTS_PER_PLATFORM);
+            allProducts = allProducts.concat(batch);
+            if (batch.length > 0) progress({ type: 'products', platform: result.status.platform, products: batch });
+        }
+    );
+    const sourceStatus = results.map(result => result.status);
+    
+    console.log(`🎯 Total products collected: ${allProducts.length}`);
+    
+    // Group matching listings across platforms
+    const groups = groupMatchingProducts(allProducts);
+    console.log(`🔗 Matched into ${groups.length} product groups`);
+    
+    const result = {
+        products: allProducts,
+        groups,
+        sources: sourceStatus,
+        platformUsed: 'Multiple Platforms',
+        warning: describeSourceIssues(sourceStatus)
+    };
+    if (allProducts.length > 0) setCachedSearch(cacheKey, result);
+    return result;
+}
+
+// ============================================
+// SHOPPING TASK
+// ============================================
+// Search options from the AI task. Pagination only applies to one platform.
+function shoppingSearchOptions(task) {
+    return {
+        limit: task.limit,
+        pages: task.pages,
+        filters: resolveFilters(task),
+        refresh: task.refresh === true
+    };
+}
+
+// Filters are applied after the lookup (buildShoppingResult), so a new
+// budget on the same query is served from the cache
+function shoppingCacheKey(query, platformId, options = {}) {
+    const universal = platformId === 'universal';
+    return searchCacheKey({
+        query,
+        platform: platformId,
+        limit: universal ? null : options.limit,
+        pages: universal ? null : options.pages
+    });
+}
+
+// Cached search for this task, if any - lets executeTask skip launching Chromium
+function cachedShoppingSearch(task) {
+    if (task.refresh === true) return null;
+    const platform = task.platform && task.platform !== 'universal' ? getPlatform(task.platform) : null;
+    const cached = getCachedSearch(shoppingCacheKey(task.query, platform ? platform.id : 'universal', shoppingSearchOptions(task)));
+    return cached ? { ...cached.value, cached: true, cacheAgeMs: cached.ageMs } : null;
+}
+
+async function runShoppingSearch(page, task, progress = noProgress) {
+    const options = { ...shoppingSearchOptions(task), progress };
+    
+    // Check if specific platform requested
+    if (task.platform && task.platform !== 'universal') {
+        console.log(`🎯 Platform-specific search: ${task.platform}`);
+        return platformSpecificSearch(page, task.query, task.platform, options);
+    }
+    
+    // Universal multi-platform search
+    console.log('🌐 Universal multi-platform search');
+    return universalShoppingSearch(page, task.query, options);
+}
+
+function formatCacheAge(ageMs) {
+    const seconds = Math.round(ageMs / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)}m`;
+}
+
+// Turn a search result into the shopping_results payload (filters applied)
+function buildShoppingResult(task, search) {
+    let products = search.products || [];
+    let groups = search.groups;
+    const platformUsed = search.platformUsed || task.platform;
+    
+    // "More like the first one" shouldn't list the first one again
+    if (task.similarTo) {
+        products = products.filter(product => product.productUrl !== task.similarTo);
+    }
+    
+    console.log('📦 Total products collected:', products.length);
+
+    // Apply price/rating constraints and sort order
+    const filters = resolveFilters(task);
+    let filterStats;
+    if (hasActiveFilters(filters)) {
+        const filtered = applyShoppingFilters(products, filters);
+        products = filtered.products;
+        filterStats = {
+            applied: filters,
+            dropped: filtered.dropped,
+            droppedTotal: filtered.droppedTotal
+        };
+        console.log(`🧹 Filters kept ${products.length}, dropped ${filtered.droppedTotal}`, filtered.dropped);
+        
+        // Regroup so comparison offers respect the filters
+        if (groups) groups = groupMatchingProducts(products);
+    }
+
+    return {
+        type: 'shopping_results',
+        query: task.query,
+        sourceStrategy: task.platform === 'universal' ? 'universal_multi_platform' : 'platform_specific',
+        platform: platformUsed,
+        products: products,
+        count: products.length,
+        groups: groups,
+        sources: search.sources,
+        filters: filterStats,
+        pagination: search.pagination,
+        cached: search.cached === true,
+        cacheAgeSeconds: search.cached ? Math.round(search.cacheAgeMs / 1000) : undefined,
+        message: `Found ${products.length} products${platformUsed !== 'Multiple Platforms' ? ' on ' + platformUsed : ' from multiple sources'}! 🛍️` +
+            (filterStats && filterStats.droppedTotal > 0 ? ` (${filterStats.droppedTotal} filtered out)` : '') +
+            (search.cached ? ` (saved results from ${formatCacheAge(search.cacheAgeMs)} ago - say "refresh karo" for live prices)` : ''),
+        warning: search.warning || search.error
+    };
+}
+
+// ============================================
+// PRODUCT DETAILS
+// ============================================
+// Detail pages carry specs, seller, stock and delivery that search cards don't
+const DETAILS_CONCURRENCY = envNumber('DETAILS_CONCURRENCY', 2);
+const DETAILS_TIMEOUT_MS = envNumber('DETAILS_TIMEOUT_MS', 45000);
+const MAX_DETAIL_URLS = envNumber('MAX_DETAIL_URLS', 5);
+
+// Visit one product link in its own page
+async function fetchProductDetails(context, productUrl, pincode) {
+    const platform = platformForUrl(productUrl);
+    if (!platform) {
+        return { productUrl, error: 'Product details are not supported for this site' };
+    }
+    
+    let detailPage;
+    try {
+        detailPage = await context.newPage();
+        
+        return await withTimeout((async () => {
+            console.log(`🔎 Reading ${platform.name} product page...`);
+            await detailPage.goto(productUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+            await detailPage.waitForTimeout(2000);
             
-            if (products.length > 0) {
-                allProducts = allProducts.concat(products);
+            if (await platform.detectBlocked(detailPage)) {
+                return { productUrl, platform: platform.name, error: `${platform.name} requires login or is blocking automation` };
             }
             
-        } catch (e) {
-            console.log(`❌ ${source.name} error: ${e.message}, trying next...`);
-            continue;
+            return trackPrices([await extractProductDetails(detailPage, platform, { pincode })])[0];
+        })(), DETAILS_TIMEOUT_MS, platform.name, () => detailPage.close());
+        
+    } catch (e) {
+        console.log(`❌ ${platform.name} product page error: ${e.message}`);
+        return { productUrl, platform: platform.name, error: e.message };
+    } finally {
+        if (detailPage && !detailPage.isClosed()) {
+            await detailPage.close().catch(() => {});
         }
     }
+}
+
+async function productDetailsSearch(page, productUrls, pincode, progress = noProgress) {
+    const urls = [...new Set(productUrls.filter(url => /^https?:\/\//.test(url)))].slice(0, MAX_DETAIL_URLS);
+    const context = page.context();
     
-    console.log(`🎯 Total products collected: ${allProducts.length}`);
+    return runWithConcurrency(urls, DETAILS_CONCURRENCY, url => fetchProductDetails(context, url, pincode), product => {
+        progress({
+            type: 'status',
+            stage: 'details_done',
+            platform: product.platform,
+            message: product.error ? `Could not read ${product.platform || 'page'}: ${product.error}` : `${product.platform}: read ${product.title || 'product page'}`
+        });
+    });
+}
+
+// ============================================
+// RIDE ESTIMATES
+// ============================================
+// Each provider's fare flow runs in its own page; nothing is booked
+const RIDE_TIMEOUT_MS = envNumber('RIDE_TIMEOUT_MS', 90000);
+
+async function estimateRide(context, site, route, { sessionId, progress = noProgress } = {}) {
+    let ridePage;
+    try {
+        ridePage = await context.newPage();
+        progress({ type: 'status', stage: 'platform_started', platform: site.name, message: `Checking ${site.name} fares...` });
+        
+        const estimate = await withTimeout(estimateFares(ridePage, site.id, {
+            ...route,
+            waitForLogin: async loginPage => {
+                progress({ type: 'status', stage: 'login', message: `${site.name} wants you to log in` });
+                const loggedIn = await waitForUserLogin(loginPage, sessionId);
+                if (loggedIn) await saveSession(context, sessionId);
+                return loggedIn;
+            }
+        }), RIDE_TIMEOUT_MS, site.name, () => ridePage.close());
+        
+        progress({
+            type: 'status',
+            stage: 'platform_done',
+            platform: site.name,
+            count: estimate.options.length,
+            message: estimate.error ? `${site.name}: ${estimate.error}` : `${site.name}: ${estimate.options.length} ride options`
+        });
+        return estimate;
+    } catch (e) {
+        console.log(`❌ ${site.name} fare error: ${e.message}`);
+        progress({ type: 'status', stage: 'platform_done', platform: site.name, message: `${site.name}: ${e.message}` });
+        return { platform: site.name, options: [], error: e.message };
+    } finally {
+        if (ridePage && !ridePage.isClosed()) await ridePage.close().catch(() => {});
+    }
+}
+
+// Uber and Ola side by side, or just the provider the user named
+async function rideEstimateSearch(page, task, options = {}) {
+    const named = getRideSite(task.platform);
+    const sites = named ? [named] : listRideSites();
+    const route = { pickup: String(task.pickup), drop: String(task.drop) };
     
-    // Return up to 10 products
-    return allProducts.slice(0, 10);
+    const providers = await runWithConcurrency(sites, sites.length, site => estimateRide(page.context(), site, route, options));
+    return { providers, comparison: compareRides(providers) };
+}
+
+// ============================================
+// PRICE WATCHLIST
+// ============================================
+// Background price lookup for lib/watchlist.js. Product links are read from
+// the detail page; queries track the top result's best offer.
+async function lookupWatchPrice(item) {
+    const lease = await acquireContext('watchlist', { headless: true });
+    const context = lease.context;
+    
+    try {
+        if (item.productUrl) {
+            const product = await fetchProductDetails(context, item.productUrl);
+            if (product.error) return { error: product.error };
+            return {
+                price: product.pricing.amount,
+                title: product.title,
+                platform: product.platform,
+                productUrl: item.productUrl,
+                inStock: product.inStock
+            };
+        }
+        
+        const page = await context.newPage();
+        const result = item.platform
+            ? await platformSpecificSearch(page, item.query, item.platform, { refresh: true })
+            : await universalShoppingSearch(page, item.query, { refresh: true });
+        const products = (result.products || []).filter(product => product.pricing.amount);
+        if (products.length === 0) return { error: result.warning || result.error || 'No products found' };
+        
+        const topGroup = groupMatchingProducts(products)
+            .find(group => group.offers.some(offer => offer.productUrl === products[0].productUrl));
+        const best = (topGroup && topGroup.bestOffer) || products[0];
+        return {
+            price: best.pricing.amount,
+            title: best.title,
+            platform: best.platform,
+            productUrl: best.productUrl
+        };
+    } finally {
+        await lease.release();
+    }
 }
 
 function convertToEmbedUrl(videoId) {
@@ -896,51 +629,24 @@ async function fetchYouTubeEmbeds(page, query) {
 // WEB TASK AUTOMATION ENDPOINT
 // ============================================
 app.post('/api/web-task', async (req, res) => {
-    let browser;
+    let lease;
     try {
-        const { task, query, headless = false } = req.body;
+        const { task, query, headless } = req.body;
+        const sessionId = sessionIdFrom(req);
         
         console.log('🔧 Web Task:', task, query || '');
         
-        browser = await chromium.launch({ 
-            headless: headless,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-blink-features=AutomationControlled'
-            ]
-        });
-        
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1920, height: 1080 },
-            locale: 'en-IN'
-        });
-        
-        await context.addInitScript(() => {
-            Object.defineProperty(navigator, 'webdriver', { get: () => false });
-        });
-        
-        await loadSession(context);
+        lease = await acquireContext(sessionId, headless === undefined ? {} : { headless: Boolean(headless) });
+        const context = lease.context;
         
         const page = await context.newPage();
         let result = {};
         
-        page.on('framenavigated', async () => {
-            const currentUrl = page.url();
-            
-            if (detectLoginPage(currentUrl, page)) {
-                console.log('🔐 Login page detected');
-                const loginSuccess = await waitForUserLogin(page);
-                if (loginSuccess) {
-                    await saveSession(context);
-                }
-            }
-        });
+        watchForLogin(page, context, sessionId);
         
         if (task === 'search_product') {
             // Use universal shopping search
-            const products = await universalShoppingSearch(page, query);
+            const { products, groups, sources } = await universalShoppingSearch(page, query);
             
             console.log('📦 Found products:', products.length);
             
@@ -948,32 +654,60 @@ app.post('/api/web-task', async (req, res) => {
                 success: true,
                 message: `Found ${products.length} products from multiple sources`,
                 products,
+                groups,
+                sources,
                 count: products.length,
-                warning: products.length < 10 ? 'Some platforms blocked automated access' : undefined
+                warning: describeSourceIssues(sources)
             };
             
-            await saveSession(context);
+            await saveSession(context, sessionId);
         } else {
             result = { success: false, message: 'Unknown task type' };
         }
         
-        await browser.close();
         res.json(result);
         
     } catch (error) {
-        if (browser) await browser.close();
         console.error('❌ Web task error:', error.message);
-        res.status(500).json({
+        res.status(error.name === 'PoolBusyError' ? 503 : 500).json({
             success: false,
             error: error.message
         });
+    } finally {
+        if (lease) await lease.release();
     }
 });
 
 // ============================================
 // INVRSLY AI SYSTEM - ENHANCED WITH UNIVERSAL SHOPPING
 // ============================================
-async function invrslyAI(userMessage, conversationHistory = []) {
+// One OpenRouter JSON-mode completion; every model call goes through here so
+// the model, headers and response format stay the same. Returns the reply text.
+async function requestCompletion(messages, { temperature = 0.7, maxTokens = 2000 } = {}) {
+    const response = await axios.post(
+        OPENROUTER_API_URL,
+        {
+            model: 'openai/gpt-4o-mini',
+            messages: messages,
+            temperature: temperature,
+            max_tokens: maxTokens,
+            response_format: { type: "json_object" }
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
+                'Content-Type': 'application/json',
+                'HTTP-Referer': 'http://localhost:3000',
+                'X-Title': 'Invrsly AI Agent'
+            }
+        }
+    );
+
+    return response.data.choices[0].message.content;
+}
+
+// context: products already shown in this session (lib/conversation.js)
+async function invrslyAI(userMessage, conversationHistory = [], context = '') {
     try {
         const messages = [
             {
@@ -996,34 +730,70 @@ PLATFORM DETECTION:
 - "shoes chahiye" → platform: "universal" (ALL platforms)
 
 SUPPORTED PLATFORMS:
-- amazon, flipkart, meesho, myntra, ajio, croma
+- ${platformPromptList()}
 - Use platform: "universal" when no specific platform mentioned
 
 CAPABILITIES:
 1. Platform-Specific Shopping - Search on user's requested platform ONLY
 2. Universal Shopping - Search ALL e-commerce platforms when no platform specified
-3. YouTube Content Viewing - Show videos in chat
-4. Food Ordering - Swiggy, Zomato
-5. Ride Booking - Uber, Ola
-6. Web Browsing - Open any website
-7. Chatbot - Answer questions
-8. Screenshots
+3. Product Details - Specs, seller, stock and delivery from product links
+   Product Comparison - Spec table and pros/cons for 2-4 products
+4. Add to Cart - Amazon/Flipkart cart with a cart summary (never checkout)
+5. YouTube Content Viewing - Show videos in chat
+6. Food Ordering - Swiggy, Zomato
+7. Ride Fares - Compare Uber and Ola for a pickup and drop
+8. Web Browsing - Open any website
+9. Chatbot - Answer questions
+10. Screenshots
 
 JSON Response Format:
 {
     "response": "Friendly message in Hinglish",
     "needsWebTask": true/false,
     "task": {
-        "type": "shopping|youtube|food|ride|browse|screenshot|chat",
-        "platform": "amazon|flipkart|myntra|meesho|ajio|croma|universal|youtube|swiggy|etc",
-        "action": "search|view|book|order",
+        "type": "shopping|product_details|compare|details|similar|watch|cart|youtube|food|ride|browse|screenshot|chat",
+        "platform": "${searchablePlatforms().map(p => p.id).join('|')}|universal|youtube|swiggy|etc",
+        "action": "search|view|add|estimate|order",
         "url": "target URL",
         "query": "search term",
+        "filters": {
+            "minPrice": number or null,
+            "maxPrice": number or null,
+            "minRating": number or null,
+            "sort": "price_asc|price_desc|rating_desc|discount_desc|null"
+        },
+        "limit": number or null,
+        "pages": number or null,
+        "refresh": true/false,
+        "urls": ["product links, for product_details only"],
+        "pincode": "6-digit pincode or null",
+        "items": [1, 3],
+        "targetPrice": "alert price in rupees, for watch only",
+        "variant": "size/colour/storage to pick, for cart only (e.g. \"M\" or {\"size\": \"UK 9\", \"color\": \"Black\"})",
+        "location": "delivery pincode or address, for food only",
+        "pickup": "pickup place, for ride only",
+        "drop": "destination, for ride only",
         "data": {}
     },
     "suggestions": []
 }
 
+SHOPPING FILTERS:
+- "under 2000", "2000 se kam", "budget 50k" → filters.maxPrice (in rupees, 50k = 50000)
+- "above 10000", "between 20k and 30k" → filters.minPrice / filters.maxPrice
+- "4 star se upar", "good rating" → filters.minRating (e.g. 4)
+- "sabse sasta", "cheapest" → sort: "price_asc"; "best rated" → sort: "rating_desc"; "sabse zyada discount" → sort: "discount_desc"
+- Leave filters out when the user gives no constraints
+
+FRESH RESULTS:
+- Repeated shopping searches are served from a short cache (the reply says "saved results")
+- "refresh karo", "latest price dikha", "fresh results" → repeat the previous shopping task from the conversation with "refresh": true
+
+RESULT DEPTH (single platform only):
+- "top 40 laptops", "50 results dikha" → limit: 40 / 50
+- "3 pages tak dekh", "aur results" → pages: 3
+- Leave limit and pages out for a normal search (15 results from the first page)
+
 SHOPPING EXAMPLES:
 
 User: "Amazon pe laptop under 50k"
@@ -1034,7 +804,8 @@ User: "Amazon pe laptop under 50k"
         "type": "shopping",
         "platform": "amazon",
         "action": "search",
-        "query": "laptop under 50000"
+        "query": "laptop",
+        "filters": { "maxPrice": 50000 }
     }
 }
 
@@ -1050,6 +821,19 @@ User: "Flipkart me phone dikha"
     }
 }
 
+User: "Flipkart pe top 40 laptops dikha"
+{
+    "response": "Flipkart pe 40 laptops nikal raha hoon! 💻",
+    "needsWebTask": true,
+    "task": {
+        "type": "shopping",
+        "platform": "flipkart",
+        "action": "search",
+        "query": "laptop",
+        "limit": 40
+    }
+}
+
 User: "shoes dikha" (no platform specified)
 {
     "response": "Sabhi platforms pe shoes search kar raha hoon! 👟",
@@ -1082,7 +866,75 @@ User: "headphones under 2000"
         "type": "shopping",
         "platform": "universal",
         "action": "search",
-        "query": "headphones under 2000"
+        "query": "headphones",
+        "filters": { "maxPrice": 2000, "sort": "rating_desc" }
+    }
+}
+
+PRODUCT DETAILS:
+Use type "product_details" when the user shares product links (or asks about specs, seller, stock or delivery of listed products).
+User: "https://www.amazon.in/dp/B0CHX1W1XY ka specs aur 560001 pe delivery kab tak?"
+{
+    "response": "Product page check kar raha hoon - specs, seller aur delivery! 🔎",
+    "needsWebTask": true,
+    "task": {
+        "type": "product_details",
+        "urls": ["https://www.amazon.in/dp/B0CHX1W1XY"],
+        "pincode": "560001"
+    }
+}
+
+REFERENCES TO EARLIER RESULTS:
+The CONVERSATION STATE message (when present) lists the products the user has already seen, numbered. "pehla wala", "dusra", "the 3rd one", "last wala" point at those numbers in the latest results; "L1:2" is item 2 of earlier results L1. Put the numbers in "items" - never make up product links.
+- Price, rating or platform of a listed item → answer from the state directly, needsWebTask: false
+- Specs, seller, stock, delivery of listed items → type "details"
+- "compare 2nd and 4th", "pehle do compare karo" → type "compare" (2-4 items; or "urls" when the user pastes links)
+- "show more like the first", "iske jaisa aur dikha" → type "similar" (one item; platform only if the user names one)
+- "3rd wale pe 50000 ka alert laga do" → type "watch" with "targetPrice"; ask for the price if the user gave none
+- "pehla wala cart me daal do" → type "cart", action "add"
+User: "compare the first two"
+{
+    "response": "Pehle do products compare kar raha hoon! ⚖️",
+    "needsWebTask": true,
+    "task": { "type": "compare", "items": [1, 2] }
+}
+
+User: "dusre wale jaisa aur dikha"
+{
+    "response": "Dusre wale jaise aur products dhoondh raha hoon! 🔍",
+    "needsWebTask": true,
+    "task": { "type": "similar", "items": [2] }
+}
+
+User: "teesre wale pe 45000 ka alert laga do"
+{
+    "response": "Teesre product pe ₹45000 ka price alert laga raha hoon! 👀",
+    "needsWebTask": true,
+    "task": { "type": "watch", "items": [3], "targetPrice": 45000 }
+}
+
+CART:
+Use type "cart" with action "add" and "items" (a listed product) or "url" (a product link) when the user wants something put in the cart ("cart me daal do", "add to cart"). Put any size/colour in "variant". Works on Amazon and Flipkart. We only add and show the cart - never checkout or pay.
+User: "https://www.flipkart.com/puma-sneakers/p/itm123 ka size 9 cart me daal do"
+{
+    "response": "Size 9 select karke Flipkart cart me daal raha hoon! 🛒",
+    "needsWebTask": true,
+    "task": {
+        "type": "cart",
+        "action": "add",
+        "url": "https://www.flipkart.com/puma-sneakers/p/itm123",
+        "variant": "9"
+    }
+}
+
+User: "mera Amazon cart dikhao"
+{
+    "response": "Amazon cart khol raha hoon! 🛒",
+    "needsWebTask": true,
+    "task": {
+        "type": "cart",
+        "action": "view",
+        "platform": "amazon"
     }
 }
 
@@ -1102,6 +954,7 @@ User: "YouTube pe cooking videos"
 }
 
 FOOD:
+Always put the dish or cuisine in "query" and any pincode/area/address in "location". Default platform is "swiggy".
 User: "pizza order karo"
 {
     "response": "Swiggy pe pizza dekh raha hoon! 🍕",
@@ -1114,18 +967,52 @@ User: "pizza order karo"
     }
 }
 
+User: "Zomato pe Koramangala me biryani"
+{
+    "response": "Zomato pe Koramangala ke biryani restaurants dekh raha hoon! 🍛",
+    "needsWebTask": true,
+    "task": {
+        "type": "food",
+        "platform": "zomato",
+        "action": "search",
+        "query": "biryani",
+        "location": "Koramangala, Bangalore"
+    }
+}
+
 RIDE:
-User: "cab book kar"
+Put the start in "pickup" and the destination in "drop" (add the city if the user said it). Leave "platform" out to compare Uber and Ola; set it only when the user names one. We only show fares - nothing is booked, so "action" is always "estimate" for rides (never "book").
+User: "Koramangala se airport cab kitne ka hoga"
+{
+    "response": "Koramangala se airport ke Uber aur Ola fares compare kar raha hoon! 🚗",
+    "needsWebTask": true,
+    "task": {
+        "type": "ride",
+        "action": "estimate",
+        "pickup": "Koramangala, Bangalore",
+        "drop": "Kempegowda International Airport, Bangalore"
+    }
+}
+
+User: "Ola auto from Andheri station to Powai"
 {
-    "response": "Uber pe cab dekh raha hoon! 🚗",
+    "response": "Ola pe Andheri se Powai ka auto fare dekh raha hoon! 🛺",
     "needsWebTask": true,
     "task": {
         "type": "ride",
-        "platform": "uber",
-        "action": "book"
+        "platform": "ola",
+        "action": "estimate",
+        "pickup": "Andheri Station, Mumbai",
+        "drop": "Powai, Mumbai"
     }
 }
 
+User: "cab book kar" (no route given)
+{
+    "response": "Kahan se kahan jaana hai? Pickup aur drop batao, main Uber aur Ola ke fares compare kar dunga! 🚗",
+    "needsWebTask": false
+}
+
 BROWSE:
 User: "Instagram khol"
 {
@@ -1154,6 +1041,10 @@ STRICT RULES:
 - Use emojis
 - Product URLs will open in browser`
             },
+            ...(context ? [{
+                role: 'system',
+                content: `CONVERSATION STATE - results already shown to the user, numbered as they see them:\n${context}`
+            }] : []),
             ...conversationHistory,
             {
                 role: 'user',
@@ -1161,176 +1052,392 @@ STRICT RULES:
             }
         ];
 
-        const response = await axios.post(
-            OPENROUTER_API_URL,
-            {
-                model: 'openai/gpt-4o-mini',
-                messages: messages,
-                temperature: 0.7,
-                max_tokens: 2000,
-                response_format: { type: "json_object" }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'http://localhost:3000',
-                    'X-Title': 'Invrsly AI Agent'
-                }
-            }
-        );
-
-        return response.data.choices[0].message.content;
+        return await requestCompletion(messages);
     } catch (error) {
         console.error('AI Error:', error.response?.data || error.message);
         throw new Error('AI failed: ' + (error.response?.data?.error?.message || error.message));
     }
 }
 
+// Short pros/cons verdict for a comparison table. The model only sees the
+// scraped table, so it can't bring in specs from memory. Returns
+// { verdict, products: [{ index, pros, cons }] } or null when the AI fails.
+async function compareVerdict(comparison) {
+    try {
+        const reply = await requestCompletion([
+            {
+                role: 'system',
+                content: `You compare products for an Indian shopper. Use ONLY the data in the user's message - if a spec is "not listed", do not guess it. Respond ONLY in JSON:
+{
+    "verdict": "2-3 sentences: which to buy for whom, in simple English",
+    "products": [{ "index": 1, "pros": ["max 3 short points"], "cons": ["max 3 short points"] }]
+}`
+            },
+            { role: 'user', content: comparisonAsText(comparison) }
+        ], { temperature: 0.3, maxTokens: 800 });
+        
+        const parsed = JSON.parse(reply);
+        return {
+            verdict: String(parsed.verdict || ''),
+            products: (parsed.products || [])
+                .filter(product => comparison.products.some(compared => compared.index === Number(product.index)))
+                .map(product => ({
+                    index: Number(product.index),
+                    pros: [].concat(product.pros || []).map(String).slice(0, 3),
+                    cons: [].concat(product.cons || []).map(String).slice(0, 3)
+                }))
+        };
+    } catch (error) {
+        console.error('⚠️  Comparison verdict failed:', error.response?.data || error.message);
+        return null;
+    }
+}
+
+// ============================================
+// CHECKOUT CONFIRMATION
+// ============================================
+// A task whose page reached checkout/payment returns this instead of its own
+// result; the frozen page waits for POST /api/confirmations/:id/approve
+function checkoutConfirmationResult(confirmation, taskType) {
+    const onDevice = confirmation.mode === 'device';
+    return {
+        type: 'confirmation_required',
+        task: taskType,
+        confirmationId: confirmation.confirmationId,
+        url: confirmation.url,
+        reason: confirmation.reason,
+        summary: confirmation.summary,
+        screenshot: confirmation.screenshot,
+        expiresAt: confirmation.expiresAt,
+        mode: confirmation.mode,
+        message: `Reached a checkout/payment page${confirmation.summary && confirmation.summary.totalText ? ' (' + confirmation.summary.totalText + ')' : ''} - nothing is ordered or paid${onDevice ? '. The browser runs headless, so checkout has to be finished on your own device.' : ' until you approve.'} 🛑`
+    };
+}
+
+// The task's lease is released as soon as it returns: the frozen page moves
+// to a context outside the pool (headed), or is closed and kept as a URL
+// (headless - nobody could act on it)
+async function detachCheckout(confirmation, lease) {
+    const openContext = lease.headless ? null : async () => openDetachedContext({
+        headless: false,
+        storageState: await lease.context.storageState()
+    });
+    return (await detachConfirmation(confirmation.confirmationId, openContext)) || confirmation;
+}
+
+function approvalMessage(confirmation) {
+    return confirmation.mode === 'device'
+        ? `Approved - finish checkout on your own device: ${confirmation.url}`
+        : 'Approved - the checkout page continues in the browser window';
+}
+
 // ============================================
 // ADVANCED AUTOMATION ENGINE
 // ============================================
-async function executeTask(task) {
-    let browser;
+// options: { sessionId, progress, signal } - progress gets the events described
+// at noProgress; aborting signal closes the task's pages so it stops early
+async function executeTask(task, { sessionId = 'default', progress = noProgress, signal } = {}) {
+    let lease;
+    let context;
+    const taskPages = new Set();
+    const trackPage = newPage => taskPages.add(newPage);
+    const closeTaskPages = () => {
+        console.log('🛑 Task cancelled, closing its pages');
+        taskPages.forEach(taskPage => taskPage.close().catch(() => {}));
+    };
+    
     try {
         console.log('🚀 Task:', task.type, task.platform || '');
         
-        browser = await chromium.launch({ 
-            headless: false,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-blink-features=AutomationControlled'
-            ]
-        });
-        
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1920, height: 1080 },
-            locale: 'en-IN'
-        });
+        // Repeated shopping queries are answered before Chromium even starts
+        if (task.type === 'shopping') {
+            const cached = cachedShoppingSearch(task);
+            if (cached) {
+                console.log(`⚡ Serving "${task.query}" from cache (${formatCacheAge(cached.cacheAgeMs)} old)`);
+                progress({ type: 'status', stage: 'cache', message: `Using saved results from ${formatCacheAge(cached.cacheAgeMs)} ago` });
+                return buildShoppingResult(task, cached);
+            }
+        }
         
-        await context.addInitScript(() => {
-            Object.defineProperty(navigator, 'webdriver', { get: () => false });
-        });
+        progress({ type: 'status', stage: 'browser', message: 'Opening the browser...' });
+        lease = await acquireContext(sessionId);
+        if (signal && signal.aborted) throw new Error('Task cancelled');
+        context = lease.context;
         
-        await loadSession(context);
+        // Every page this task opens (search sources, detail pages) is closed on cancel
+        context.on('page', trackPage);
+        if (signal) signal.addEventListener('abort', closeTaskPages, { once: true });
         
         const page = await context.newPage();
         
-        page.on('framenavigated', async () => {
-            const currentUrl = page.url();
-            
-            if (detectLoginPage(currentUrl, page)) {
-                console.log('🔐 Login page detected');
-                const loginSuccess = await waitForUserLogin(page);
-                if (loginSuccess) {
-                    await saveSession(context);
+        watchForLogin(page, context, sessionId, progress);
+        
+        let result = {};
+
+        switch (task.type) {
+            case 'youtube':
+                const embedVideos = await fetchYouTubeEmbeds(page, task.query);
+                
+                result = {
+                    type: 'youtube',
+                    platform: 'YouTube',
+                    videos: embedVideos,
+                    count: embedVideos.length,
+                    message: `Found ${embedVideos.filter(v => v.videoId).length} videos! 🎥`
+                };
+                break;
+
+            case 'shopping':
+                try {
+                    result = buildShoppingResult(task, await runShoppingSearch(page, task, progress));
+                } catch (e) {
+                    console.log('⚠️  Shopping error:', e.message);
+                    result = { 
+                        type: 'shopping_results',
+                        query: task.query,
+                        error: 'Could not search products: ' + e.message, 
+                        platform: task.platform || 'universal',
+                        products: [],
+                        warning: 'Search failed'
+                    };
+                }
+                
+                await saveSession(context, sessionId);
+                break;
+
+            case 'product_details':
+                try {
+                    const productUrls = [].concat(task.urls || task.url || task.data?.productUrls || []);
+                    const pincode = /^\d{6}$/.test(String(task.pincode || '')) ? String(task.pincode) : undefined;
+                    
+                    if (productUrls.length === 0) {
+                        result = { type: 'product_details', products: [], error: 'No product link to check' };
+                        break;
+                    }
+                    
+                    const details = await productDetailsSearch(page, productUrls, pincode, progress);
+                    const products = details.filter(product => !product.error);
+                    const failed = details.filter(product => product.error);
+                    
+                    result = {
+                        type: 'product_details',
+                        products: products,
+                        count: products.length,
+                        pincode: pincode,
+                        message: `Checked ${products.length} product page${products.length === 1 ? '' : 's'}${pincode ? ' for pincode ' + pincode : ''}! 🔎`,
+                        warning: failed.length > 0
+                            ? 'Could not read: ' + failed.map(product => `${product.platform || product.productUrl} (${product.error})`).join(', ')
+                            : undefined
+                    };
+                } catch (e) {
+                    console.log('⚠️  Product details error:', e.message);
+                    result = {
+                        type: 'product_details',
+                        products: [],
+                        error: 'Could not read product details: ' + e.message
+                    };
+                }
+                
+                await saveSession(context, sessionId);
+                break;
+
+            case 'cart':
+                try {
+                    const cartUrl = task.url || [].concat(task.urls || [])[0];
+                    const cartPlatform = cartUrl ? platformForUrl(cartUrl) : getPlatform(task.platform);
+                    
+                    if (!cartPlatform || !getCartConfig(cartPlatform)) {
+                        result = { type: 'cart', error: 'Cart actions work on Amazon and Flipkart product links' };
+                        break;
+                    }
+                    
+                    // Without a product link there is nothing to add - show the cart
+                    if (task.action === 'view' || !cartUrl) {
+                        progress({ type: 'status', stage: 'cart', platform: cartPlatform.name, message: `Opening your ${cartPlatform.name} cart...` });
+                        const cart = await readCart(page, cartPlatform);
+                        result = {
+                            type: 'cart',
+                            platform: cartPlatform.name,
+                            cart,
+                            message: `Your ${cartPlatform.name} cart has ${cart.itemCount} item${cart.itemCount === 1 ? '' : 's'}${cart.subtotalText ? ' (' + cart.subtotalText + ')' : ''} 🛒`
+                        };
+                        await saveSession(context, sessionId);
+                        break;
+                    }
+                    
+                    progress({ type: 'status', stage: 'cart', platform: cartPlatform.name, message: `Adding to your ${cartPlatform.name} cart...` });
+                    let added = await addToCart(page, cartPlatform, cartUrl, { variant: task.variant });
+                    
+                    // Guest carts don't always work - log in and try once more
+                    if (!added.added && detectLoginPage(page.url(), page) && await waitForUserLogin(page, sessionId)) {
+                        await saveSession(context, sessionId);
+                        added = await addToCart(page, cartPlatform, cartUrl, { variant: task.variant });
+                    }
+                    
+                    const cart = added.cart;
+                    const cartLine = cart ? ` ${cart.itemCount} item${cart.itemCount === 1 ? '' : 's'}${cart.subtotalText ? ', subtotal ' + cart.subtotalText : ''}.` : '';
+                    result = {
+                        type: 'cart',
+                        platform: cartPlatform.name,
+                        productUrl: cartUrl,
+                        added: added.added,
+                        variant: added.variant,
+                        cart,
+                        message: added.added
+                            ? `Added to your ${cartPlatform.name} cart! 🛒${cartLine} Checkout is up to you.`
+                            : undefined,
+                        warning: added.warning,
+                        error: added.added ? undefined : added.error
+                    };
+                } catch (e) {
+                    console.log('⚠️  Cart error:', e.message);
+                    result = { type: 'cart', error: 'Could not update the cart: ' + e.message };
                 }
-            }
-        });
-        
-        let result = {};
-
-        switch (task.type) {
-            case 'youtube':
-                const embedVideos = await fetchYouTubeEmbeds(page, task.query);
                 
-                result = {
-                    type: 'youtube',
-                    platform: 'YouTube',
-                    videos: embedVideos,
-                    count: embedVideos.length,
-                    message: `Found ${embedVideos.filter(v => v.videoId).length} videos! 🎥`
-                };
+                await saveSession(context, sessionId);
                 break;
 
-            case 'shopping':
+            case 'compare':
                 try {
-                    let products = [];
-                    let platformUsed = '';
-                    let warning = undefined;
+                    const compareUrls = [...new Set([].concat(task.urls || task.url || []))];
+                    if (compareUrls.length < 2 || compareUrls.length > MAX_COMPARE_PRODUCTS) {
+                        result = { type: 'comparison', error: `Pick 2 to ${MAX_COMPARE_PRODUCTS} products to compare` };
+                        break;
+                    }
                     
-                    // Check if specific platform requested
-                    if (task.platform && task.platform !== 'universal') {
-                        console.log(`🎯 Platform-specific search: ${task.platform}`);
-                        const result = await platformSpecificSearch(page, task.query, task.platform);
-                        products = result.products || [];
-                        platformUsed = result.platformUsed || task.platform;
-                        warning = result.warning || result.error;
-                    } else {
-                        // Universal multi-platform search
-                        console.log('🌐 Universal multi-platform search');
-                        products = await universalShoppingSearch(page, task.query);
-                        platformUsed = 'Multiple Platforms';
-                        if (products.length < 10) {
-                            warning = 'Some platforms blocked automated access';
-                        }
+                    const details = await productDetailsSearch(page, compareUrls, undefined, progress);
+                    const products = details.filter(product => !product.error);
+                    const failed = details.filter(product => product.error);
+                    if (products.length < 2) {
+                        result = { type: 'comparison', error: 'Could not read enough product pages to compare' };
+                        break;
                     }
                     
-                    console.log('📦 Total products collected:', products.length);
+                    const comparison = buildComparison(products);
+                    progress({ type: 'status', stage: 'verdict', message: 'Weighing pros and cons...' });
+                    const verdict = await compareVerdict(comparison);
                     
                     result = {
-                        type: 'shopping_results',
-                        query: task.query,
-                        sourceStrategy: task.platform === 'universal' ? 'universal_multi_platform' : 'platform_specific',
-                        platform: platformUsed,
-                        products: products,
-                        count: products.length,
-                        message: `Found ${products.length} products${platformUsed !== 'Multiple Platforms' ? ' on ' + platformUsed : ' from multiple sources'}! 🛍️`,
-                        warning: warning
+                        type: 'comparison',
+                        products: comparison.products,
+                        rows: comparison.rows,
+                        verdict,
+                        count: comparison.products.length,
+                        message: `Compared ${comparison.products.length} products side by side! ⚖️`,
+                        warning: [
+                            failed.length > 0 ? `Could not read: ${failed.map(product => product.productUrl).join(', ')}` : null,
+                            verdict ? null : 'No AI verdict this time - the table is straight from the product pages'
+                        ].filter(Boolean).join('; ') || undefined
                     };
                 } catch (e) {
-                    console.log('⚠️  Shopping error:', e.message);
-                    result = { 
-                        type: 'shopping_results',
-                        query: task.query,
-                        error: 'Could not search products: ' + e.message, 
-                        platform: task.platform || 'universal',
-                        products: [],
-                        warning: 'Search failed'
-                    };
+                    console.log('⚠️  Compare error:', e.message);
+                    result = { type: 'comparison', products: [], error: 'Could not compare products: ' + e.message };
                 }
                 
-                await saveSession(context);
+                await saveSession(context, sessionId);
                 break;
 
             case 'food':
-                const foodUrl = task.platform === 'zomato' ? 'https://www.zomato.com' : 'https://www.swiggy.com';
-                await openSite(page, foodUrl);
+                const foodSite = getFoodSite(task.platform) || getFoodSite('swiggy');
                 
-                if (detectLoginPage(page.url(), page)) {
-                    await waitForUserLogin(page);
-                    await saveSession(context);
+                // No dish or cuisine asked for - just open the site
+                if (!task.query) {
+                    await openSite(page, foodSite.baseUrl);
+                    
+                    if (detectLoginPage(page.url(), page)) {
+                        await waitForUserLogin(page, sessionId);
+                        await saveSession(context, sessionId);
+                    }
+                    
+                    result = {
+                        type: 'food',
+                        platform: foodSite.name,
+                        message: `${foodSite.name} opened in browser! 🍕`,
+                        url: foodSite.baseUrl
+                    };
+                    await saveSession(context, sessionId);
+                    break;
                 }
                 
-                result = {
-                    type: 'food',
-                    platform: task.platform || 'swiggy',
-                    message: `${task.platform || 'Swiggy'} opened in browser! 🍕`,
-                    url: foodUrl
-                };
+                try {
+                    const location = task.location || task.pincode || task.data?.address || task.data?.pincode;
+                    const food = await searchFood(page, foodSite.id, task.query, { location, progress });
+                    
+                    result = {
+                        type: 'food',
+                        platform: food.platform,
+                        query: task.query,
+                        location: food.location,
+                        restaurants: food.restaurants,
+                        count: food.restaurants.length,
+                        message: `Found ${food.restaurants.length} restaurants for ${task.query} on ${food.platform}! 🍕`,
+                        warning: food.warning,
+                        url: foodSite.baseUrl
+                    };
+                } catch (e) {
+                    console.log('⚠️  Food search error:', e.message);
+                    result = {
+                        type: 'food',
+                        platform: foodSite.name,
+                        query: task.query,
+                        restaurants: [],
+                        error: 'Could not search restaurants: ' + e.message
+                    };
+                }
                 
-                await saveSession(context);
+                await saveSession(context, sessionId);
                 break;
 
             case 'ride':
-                const rideUrl = task.platform === 'ola' ? 'https://www.olacabs.com' : 'https://www.uber.com/in/en/';
-                await openSite(page, rideUrl);
-                
-                if (detectLoginPage(page.url(), page)) {
-                    await waitForUserLogin(page);
-                    await saveSession(context);
+                // Without a route there is nothing to estimate - open the site as before
+                if (!task.pickup || !task.drop) {
+                    const rideSite = getRideSite(task.platform) || getRideSite('uber');
+                    await openSite(page, rideSite.baseUrl);
+                    
+                    if (detectLoginPage(page.url(), page)) {
+                        await waitForUserLogin(page, sessionId);
+                        await saveSession(context, sessionId);
+                    }
+                    
+                    result = {
+                        type: 'ride',
+                        platform: rideSite.name,
+                        message: `${rideSite.name} opened in browser! 🚗 Tell me the pickup and drop to compare fares.`,
+                        url: rideSite.baseUrl
+                    };
+                    
+                    await saveSession(context, sessionId);
+                    break;
                 }
                 
-                result = {
-                    type: 'ride',
-                    platform: task.platform || 'uber',
-                    message: `${task.platform || 'Uber'} opened in browser! 🚗`,
-                    url: rideUrl
-                };
+                try {
+                    const rides = await rideEstimateSearch(page, task, { sessionId, progress });
+                    const optionCount = rides.providers.reduce((sum, provider) => sum + provider.options.length, 0);
+                    const failed = rides.providers.filter(provider => provider.error);
+                    
+                    result = {
+                        type: 'ride',
+                        platform: rides.providers.map(provider => provider.platform).join(' vs '),
+                        pickup: task.pickup,
+                        drop: task.drop,
+                        providers: rides.providers,
+                        comparison: rides.comparison,
+                        count: optionCount,
+                        message: `Found ${optionCount} ride options from ${task.pickup} to ${task.drop}! 🚗 (Nothing booked - confirm in the app)`,
+                        warning: failed.length > 0 ? failed.map(provider => `${provider.platform}: ${provider.error}`).join(', ') : undefined
+                    };
+                } catch (e) {
+                    console.log('⚠️  Ride estimate error:', e.message);
+                    result = {
+                        type: 'ride',
+                        pickup: task.pickup,
+                        drop: task.drop,
+                        providers: [],
+                        error: 'Could not estimate fares: ' + e.message
+                    };
+                }
                 
-                await saveSession(context);
+                await saveSession(context, sessionId);
                 break;
 
             case 'browse':
@@ -1344,8 +1451,8 @@ async function executeTask(task) {
                 await openSite(page, browseUrl);
                 
                 if (detectLoginPage(page.url(), page)) {
-                    await waitForUserLogin(page);
-                    await saveSession(context);
+                    await waitForUserLogin(page, sessionId);
+                    await saveSession(context, sessionId);
                 }
                 
                 const title = await page.title();
@@ -1358,7 +1465,7 @@ async function executeTask(task) {
                     message: `Opened ${task.platform || 'website'} in browser! 🌐`
                 };
                 
-                await saveSession(context);
+                await saveSession(context, sessionId);
                 break;
 
             case 'screenshot':
@@ -1366,8 +1473,8 @@ async function executeTask(task) {
                 await openSite(page, url);
                 
                 if (detectLoginPage(page.url(), page)) {
-                    await waitForUserLogin(page);
-                    await saveSession(context);
+                    await waitForUserLogin(page, sessionId);
+                    await saveSession(context, sessionId);
                 }
                 
                 const screenshotBuffer = await page.screenshot({ 
@@ -1383,31 +1490,195 @@ async function executeTask(task) {
                     title: await page.title()
                 };
                 
-                await saveSession(context);
+                await saveSession(context, sessionId);
                 break;
 
             default:
                 result = { error: 'Unknown task type: ' + task.type };
         }
 
-        await browser.close();
+        // A page that drifted into checkout/payment stays frozen until the
+        // user approves or rejects it
+        const confirmation = await findCheckoutConfirmation([...taskPages], sessionId);
+        if (confirmation) {
+            progress({ type: 'status', stage: 'confirmation', message: 'Stopped at checkout - waiting for your approval' });
+            return checkoutConfirmationResult(await detachCheckout(confirmation, lease), task.type);
+        }
+
         console.log('✅ Task completed:', result.type);
         return result;
         
     } catch (error) {
-        if (browser) await browser.close();
         console.error('❌ Task failed:', error.message);
+        // A frozen checkout page can make the task's next step time out
+        const confirmation = await findCheckoutConfirmation([...taskPages], sessionId).catch(() => null);
+        if (confirmation) {
+            return checkoutConfirmationResult(await detachCheckout(confirmation, lease), task.type);
+        }
         return { 
             error: 'Task failed: ' + error.message,
             type: task.type 
         };
+    } finally {
+        if (signal) signal.removeEventListener('abort', closeTaskPages);
+        if (context) context.off('page', trackPage);
+        if (lease) await lease.release();
+    }
+}
+
+// Runs executeTask on the job queue (lib/jobs.js) so the result outlives the
+// request. Status events are kept on the job and passed on to progress.
+// Products in the result are numbered for later references.
+function submitTaskJob(task, { sessionId = 'default', progress = noProgress } = {}) {
+    return submitJob(async ({ signal, progress: record }) => recordTaskResult(sessionId, task, await executeTask(task, {
+        sessionId,
+        signal,
+        progress: event => {
+            if (event.type === 'status') record(event);
+            progress(event);
+        }
+    })), { type: task.type, sessionId });
+}
+
+// ============================================
+// REFERENCES TO EARLIER RESULTS
+// ============================================
+// Tasks that act on products already shown ("compare 2 and 4", "pehla wala
+// cart me daal do") name them in task.items; they become ordinary tasks here.
+// Returns { task } to run, or { result } when nothing needs a browser or
+// the reference points at nothing.
+const REFERENCE_TASKS = ['compare', 'details', 'similar', 'watch'];
+const DETAILS_TASK = { details: 'product_details', compare: 'compare' };
+
+function resolveTaskReferences(task, sessionId) {
+    const references = [].concat(task.items ?? task.item ?? []);
+    const links = [].concat(task.urls || task.url || []);
+    
+    if (references.length === 0) {
+        if (!REFERENCE_TASKS.includes(task.type)) return { task };
+        if (DETAILS_TASK[task.type] && links.length > 0) {
+            return { task: { ...task, type: DETAILS_TASK[task.type], urls: links } };
+        }
+        return { result: { type: task.type, error: 'Which product? Pick one from the results by its number' } };
+    }
+    
+    const { products, error } = resolveItems(sessionId, references);
+    if (error) return { result: { type: task.type, error } };
+    const urls = products.map(product => product.productUrl).filter(Boolean);
+    
+    switch (task.type) {
+        case 'details':
+        case 'compare':
+            if (task.type === 'compare' && urls.length < 2) {
+                return { result: { type: 'comparison', error: 'Pick at least two products to compare' } };
+            }
+            return { task: { ...task, type: DETAILS_TASK[task.type], urls } };
+        case 'similar':
+            return {
+                task: {
+                    ...task,
+                    type: 'shopping',
+                    query: similarQuery(products[0]),
+                    platform: task.platform || 'universal',
+                    similarTo: products[0].productUrl
+                }
+            };
+        case 'watch':
+            return { result: watchReferencedProduct(products[0], task.targetPrice) };
+        default:
+            // cart and any other task that takes a product link
+            return { task: { ...task, url: urls[0], urls } };
+    }
+}
+
+function watchReferencedProduct(product, targetPrice) {
+    const platform = platformForUrl(product.productUrl);
+    const input = {
+        productUrl: product.productUrl,
+        platform: platform ? platform.id : undefined,
+        title: product.title,
+        targetPrice
+    };
+    
+    const error = validateWatch(input);
+    if (error) {
+        return { type: 'watch', error: targetPrice === undefined ? 'At what price should I alert you?' : error };
     }
+    
+    const item = addWatch(input);
+    console.log(`👀 Watching ${item.productUrl} for ₹${item.targetPrice}`);
+    return {
+        type: 'watch',
+        platform: product.platform,
+        item,
+        message: `Watching "${product.title}" - I'll alert you when it drops to ₹${item.targetPrice.toLocaleString('en-IN')} 👀`
+    };
 }
 
 // ============================================
 // API ENDPOINTS
 // ============================================
 
+// "refresh karo", "fresh results", "latest price" - skip the search cache.
+// Explicit phrases only: "fresh vegetables" or "Amazon Fresh" are searches.
+const REFRESH_PATTERN = /\brefresh(ed)?\b|\bfresh (results|prices?)\b|\blatest prices?\b/i;
+
+// One chat turn: ask the AI, run its task if any. Shared by /api/chat and
+// /api/chat/stream (which passes a progress callback).
+async function handleChatMessage(message, history, { sessionId, progress = noProgress, background = false } = {}) {
+    console.log('💬 User:', message);
+    progress({ type: 'status', stage: 'thinking', message: 'Understanding your request...' });
+
+    const aiResponse = await invrslyAI(message, history || [], conversationContext(sessionId));
+    console.log('🤖 AI:', aiResponse.substring(0, 100) + '...');
+    
+    let parsedResponse;
+    try {
+        let jsonText = aiResponse;
+        if (aiResponse.includes('```json')) {
+            const match = aiResponse.match(/```json\n([\s\S]*?)\n```/);
+            if (match) jsonText = match[1];
+        } else if (aiResponse.includes('```')) {
+            const match = aiResponse.match(/```\n([\s\S]*?)\n```/);
+            if (match) jsonText = match[1];
+        }
+        
+        parsedResponse = JSON.parse(jsonText);
+    } catch (e) {
+        parsedResponse = { 
+            response: aiResponse,
+            needsWebTask: false 
+        };
+    }
+
+    if (parsedResponse.needsWebTask && parsedResponse.task) {
+        // Don't rely on the model alone to bypass the cache
+        if (parsedResponse.task.type === 'shopping' && REFRESH_PATTERN.test(message)) {
+            parsedResponse.task.refresh = true;
+        }
+        console.log('🔧 Executing:', parsedResponse.task.type);
+        // Let the UI show the AI's reply while the task runs
+        progress({ type: 'reply', response: parsedResponse.response, task: parsedResponse.task.type });
+        
+        const prepared = resolveTaskReferences(parsedResponse.task, sessionId);
+        if (prepared.result) {
+            parsedResponse.taskResult = prepared.result;
+            return parsedResponse;
+        }
+        const job = submitTaskJob(prepared.task, { sessionId, progress });
+        progress({ type: 'job', jobId: job.id, status: job.status, queuePosition: job.queuePosition });
+        parsedResponse.jobId = job.id;
+        
+        // { async: true } answers now; the client polls GET /api/tasks/:id
+        if (background) return parsedResponse;
+        
+        const finished = await waitForJob(job.id);
+        parsedResponse.taskResult = finished.result || { error: finished.error, type: parsedResponse.task.type };
+    }
+
+    return parsedResponse;
+}
+
 app.post('/api/chat', async (req, res) => {
     try {
         const { message, history } = req.body;
@@ -1419,35 +1690,10 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        console.log('💬 User:', message);
-
-        const aiResponse = await invrslyAI(message, history || []);
-        console.log('🤖 AI:', aiResponse.substring(0, 100) + '...');
-        
-        let parsedResponse;
-        try {
-            let jsonText = aiResponse;
-            if (aiResponse.includes('```json')) {
-                const match = aiResponse.match(/```json\n([\s\S]*?)\n```/);
-                if (match) jsonText = match[1];
-            } else if (aiResponse.includes('```')) {
-                const match = aiResponse.match(/```\n([\s\S]*?)\n```/);
-                if (match) jsonText = match[1];
-            }
-            
-            parsedResponse = JSON.parse(jsonText);
-        } catch (e) {
-            parsedResponse = { 
-                response: aiResponse,
-                needsWebTask: false 
-            };
-        }
-
-        if (parsedResponse.needsWebTask && parsedResponse.task) {
-            console.log('🔧 Executing:', parsedResponse.task.type);
-            const taskResult = await executeTask(parsedResponse.task);
-            parsedResponse.taskResult = taskResult;
-        }
+        const parsedResponse = await handleChatMessage(message, history, {
+            sessionId: sessionIdFrom(req),
+            background: req.body.async === true
+        });
 
         res.json({
             success: true,
@@ -1463,6 +1709,354 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+// Same as /api/chat, streamed as Server-Sent Events over the POST response:
+//   status   { stage, message, platform? }  - "Trying Flipkart...", "Amazon: Found 12 products"
+//   reply    { response, task }             - the AI's answer, before its task finishes
+//   job      { jobId, status }              - the queued task; fetch it later via /api/tasks/:id
+//   products { platform, products }         - each platform's batch as soon as it lands
+//   result   { success, data }              - same body /api/chat returns
+//   error    { success: false, error }
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, history } = req.body;
+
+    if (!message || message.trim() === '') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Message required' 
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const keepAlive = setInterval(() => !closed && res.write(': ping\n\n'), 15000);
+
+    try {
+        const parsedResponse = await handleChatMessage(message, history, {
+            sessionId: sessionIdFrom(req),
+            progress: ({ type, ...event }) => send(type, event)
+        });
+        send('result', { success: true, data: parsedResponse });
+    } catch (error) {
+        console.error('💥 Error:', error.message);
+        send('error', { success: false, error: error.message });
+    } finally {
+        clearInterval(keepAlive);
+        res.end();
+    }
+});
+
+// ============================================
+// WATCHLIST ENDPOINTS
+// ============================================
+app.post('/api/watchlist', (req, res) => {
+    const error = validateWatch(req.body) ||
+        (req.body.platform && !getPlatform(req.body.platform) ? `Unknown platform: ${req.body.platform}` : null);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+    
+    const item = addWatch(req.body);
+    console.log(`👀 Watching ${item.productUrl || item.query} for ₹${item.targetPrice}`);
+    res.status(201).json({ success: true, item });
+});
+
+app.get('/api/watchlist', (req, res) => {
+    res.json({ success: true, items: listWatches() });
+});
+
+// Price history for charting
+app.get('/api/watchlist/:id/history', (req, res) => {
+    const item = getWatch(req.params.id);
+    if (!item) {
+        return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    
+    const { history, ...summary } = item;
+    res.json({ success: true, item: summary, history });
+});
+
+// Re-check one item right away instead of waiting for the scheduler
+app.post('/api/watchlist/:id/check', async (req, res) => {
+    if (!getWatch(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    
+    try {
+        const check = await checkWatch(req.params.id, lookupWatchPrice);
+        res.json({ success: true, ...check });
+    } catch (error) {
+        console.error('💥 Watch check error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/watchlist/:id', (req, res) => {
+    if (!removeWatch(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Watch not found' });
+    }
+    res.json({ success: true });
+});
+
+// Server-sent events: price alerts pushed to open chat tabs
+app.get('/api/alerts/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+    
+    const sendAlert = alert => res.write(`event: price_alert\ndata: ${JSON.stringify(alert)}\n\n`);
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+    
+    watchEvents.on('alert', sendAlert);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        watchEvents.off('alert', sendAlert);
+    });
+});
+
+// ============================================
+// TASK JOB ENDPOINTS
+// ============================================
+// Submit a task directly (the same JSON the AI produces) and poll for it
+app.post('/api/tasks', (req, res) => {
+    const task = req.body?.task;
+    if (!task || typeof task.type !== 'string') {
+        return res.status(400).json({ success: false, error: 'Provide a task with a type, e.g. { "task": { "type": "shopping", "query": "iphone 15" } }' });
+    }
+    
+    const sessionId = sessionIdFrom(req);
+    const prepared = resolveTaskReferences(task, sessionId);
+    if (prepared.result) {
+        return res.status(prepared.result.error ? 400 : 200).json({ success: !prepared.result.error, result: prepared.result });
+    }
+    
+    const job = submitTaskJob(prepared.task, { sessionId });
+    res.status(202).json({ success: true, job });
+});
+
+// Numbered result lists this session can refer back to ("compare 2 and 4")
+app.get('/api/conversation', (req, res) => {
+    res.json({ success: true, ...getConversation(sessionIdFrom(req)) });
+});
+
+app.delete('/api/conversation', (req, res) => {
+    res.json({ success: true, cleared: clearConversation(sessionIdFrom(req)) });
+});
+
+// Status, progress and (once finished) the result; kept for TASK_RETENTION_MS
+app.get('/api/tasks/:id', (req, res) => {
+    const job = getJob(req.params.id, sessionIdFrom(req));
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'No task with that id (it may have expired)' });
+    }
+    res.json({ success: true, job });
+});
+
+// Cancelling a running task closes the pages it opened
+app.delete('/api/tasks/:id', (req, res) => {
+    const job = cancelJob(req.params.id, sessionIdFrom(req));
+    if (job === null) {
+        return res.status(404).json({ success: false, error: 'No task with that id (it may have expired)' });
+    }
+    if (job === false) {
+        return res.status(409).json({ success: false, error: 'Task already finished' });
+    }
+    res.json({ success: true, job });
+});
+
+// ============================================
+// CHECKOUT CONFIRMATION ENDPOINTS
+// ============================================
+// Scoped to the caller's sessionId. Approving lets the frozen page's held
+// requests through; rejecting aborts them and closes the page.
+app.get('/api/confirmations', (req, res) => {
+    res.json({ success: true, confirmations: listConfirmations(sessionIdFrom(req)) });
+});
+
+app.get('/api/confirmations/:id', (req, res) => {
+    const confirmation = getConfirmation(req.params.id, sessionIdFrom(req));
+    if (!confirmation) {
+        return res.status(404).json({ success: false, error: 'No checkout is waiting with that id' });
+    }
+    res.json({ success: true, confirmation });
+});
+
+app.post('/api/confirmations/:id/approve', (req, res) => {
+    const confirmation = decideConfirmation(req.params.id, sessionIdFrom(req), true);
+    if (!confirmation) {
+        return res.status(404).json({ success: false, error: 'No checkout is waiting with that id' });
+    }
+    res.json({ success: true, message: approvalMessage(confirmation), confirmation: { ...confirmation, screenshot: undefined } });
+});
+
+app.post('/api/confirmations/:id/reject', (req, res) => {
+    const confirmation = decideConfirmation(req.params.id, sessionIdFrom(req), false);
+    if (!confirmation) {
+        return res.status(404).json({ success: false, error: 'No checkout is waiting with that id' });
+    }
+    res.json({ success: true, confirmation: { ...confirmation, screenshot: undefined } });
+});
+
+// Every checkout the automation reached and what the user decided
+app.get('/api/audit/checkout', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ success: true, entries: readCheckoutAudit({ sessionId: sessionIdFrom(req), limit }) });
+});
+
+// ============================================
+// SAVED SESSION ENDPOINTS
+// ============================================
+// Only ever the caller's own sessions (sessionId in query, body or
+// X-Session-Id header); stored state itself is never returned
+app.get('/api/sessions', (req, res) => {
+    const sessionId = sessionIdFrom(req);
+    res.json({ success: true, sessionId, sessions: listSessions(sessionId) });
+});
+
+// Body: { ttlDays } - 0 expires the site's login now
+app.patch('/api/sessions/:site', async (req, res) => {
+    const ttlDays = Number(req.body?.ttlDays ?? 0);
+    if (!Number.isFinite(ttlDays) || ttlDays < 0) {
+        return res.status(400).json({ success: false, error: 'ttlDays must be 0 or more' });
+    }
+    
+    const sessionId = sessionIdFrom(req);
+    const session = expireSession(sessionId, req.params.site, ttlDays);
+    if (!session) {
+        return res.status(404).json({ success: false, error: 'No saved session for that site' });
+    }
+    if (ttlDays === 0) await closeSessionContexts(sessionId);
+    res.json({ success: true, session });
+});
+
+// The live browser context is dropped too, so the login stops working at once
+app.delete('/api/sessions/:site', async (req, res) => {
+    const sessionId = sessionIdFrom(req);
+    if (!deleteSession(sessionId, req.params.site)) {
+        return res.status(404).json({ success: false, error: 'No saved session for that site' });
+    }
+    await closeSessionContexts(sessionId);
+    res.json({ success: true });
+});
+
+app.delete('/api/sessions', async (req, res) => {
+    const sessionId = sessionIdFrom(req);
+    const deleted = deleteUserSessions(sessionId);
+    await closeSessionContexts(sessionId);
+    res.json({ success: true, deleted });
+});
+
+// ============================================
+// LOGIN HANDOFF ENDPOINTS
+// ============================================
+// Login pages hit during a task stream here (per sessionId) as screenshots;
+// the UI relays what the user types back to the paused page
+app.get('/api/login/stream', (req, res) => {
+    const sessionId = sessionIdFrom(req);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+    
+    const send = event => {
+        if (event.sessionId !== sessionId) return;
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+    
+    // A reconnecting tab still sees a login that is already waiting
+    for (const handoff of listLoginHandoffs(sessionId)) {
+        send({ type: 'login_required', ...handoff });
+    }
+    
+    handoffEvents.on('event', send);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        handoffEvents.off('event', send);
+    });
+});
+
+app.get('/api/login/:id', (req, res) => {
+    const handoff = getLoginHandoff(req.params.id, sessionIdFrom(req));
+    if (!handoff) {
+        return res.status(404).json({ success: false, error: 'No login is waiting with that id' });
+    }
+    res.json({ success: true, handoff });
+});
+
+// Body: { fields: { <ref>: value }, submit: true } or { click: { x, y } }
+app.post('/api/login/:id/input', async (req, res) => {
+    const { fields, submit, click } = req.body || {};
+    if (fields !== undefined && (typeof fields !== 'object' || Array.isArray(fields))) {
+        return res.status(400).json({ success: false, error: 'fields must be an object of ref: value' });
+    }
+    
+    try {
+        const handoff = await relayLoginInput(req.params.id, sessionIdFrom(req), { fields, submit: Boolean(submit), click });
+        if (!handoff) {
+            return res.status(404).json({ success: false, error: 'No login is waiting with that id' });
+        }
+        res.json({ success: true, handoff });
+    } catch (error) {
+        // The page may have navigated away mid-input; the next screenshot shows where it is
+        res.status(409).json({ success: false, error: 'Could not type into the page: ' + error.message });
+    }
+});
+
+app.post('/api/login/:id/cancel', (req, res) => {
+    if (!cancelLoginHandoff(req.params.id, sessionIdFrom(req))) {
+        return res.status(404).json({ success: false, error: 'No login is waiting with that id' });
+    }
+    res.json({ success: true });
+});
+
+// Every price we've seen for one product (historyId from search results)
+app.get('/api/products/:id/history', (req, res) => {
+    const days = parseInt(req.query.days, 10) || undefined;
+    const history = getPriceHistory(req.params.id, { days });
+    if (!history) {
+        return res.status(404).json({ success: false, error: 'No price history for this product' });
+    }
+    res.json({ success: true, ...history });
+});
+
+// Rolling extractor stats per platform - which site broke and which field broke
+app.get('/api/health/extractors', (req, res) => {
+    const platforms = getExtractorHealth(listPlatforms().map(platform => platform.id));
+    res.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        healthy: platforms.every(platform => platform.status !== 'broken'),
+        platforms
+    });
+});
+
+// Warm browsers, per-session contexts and the queue behind them
+app.get('/api/health/browser', (req, res) => {
+    res.json({
+        success: true,
+        timestamp: new Date().toISOString(),
+        pool: getPoolStats(),
+        tasks: getJobStats()
+    });
+});
+
 app.get('/api/test', (req, res) => {
     res.json({ 
         success: true, 
@@ -1470,8 +2064,10 @@ app.get('/api/test', (req, res) => {
         timestamp: new Date().toISOString(),
         apiConfigured: OPENROUTER_API_KEY !== 'YOUR_API_KEY_HERE',
         features: [
-            'Universal Shopping - ALL Platforms (Amazon, Flipkart, Meesho, Myntra, Ajio, Croma, etc.)',
-            'Smart Fallback - Tries multiple sources until 10+ products found',
+            `Universal Shopping - ALL Platforms (${searchablePlatforms().map(p => p.name).join(', ')})`,
+            'Parallel Search - All platforms at once with per-source timeouts',
+            'Product Details - Specs, seller, stock and pincode delivery',
+            'Price Watchlist - Scheduled re-checks with drop alerts',
             'YouTube Video Viewing (5 Embeds)',
             'Real Product Images & Prices',
             'Multi-Platform Aggregation',
@@ -1482,7 +2078,11 @@ app.get('/api/test', (req, res) => {
             'Screenshots',
             'AI Chat',
             'Session Management',
-            'Auto CAPTCHA/Login Detection'
+            'Auto CAPTCHA/Login Detection',
+            'Remote Login Handoff',
+            'Checkout Guardrail - Approve before anything is ordered',
+            'Add to Cart & Cart Summary (Amazon/Flipkart)',
+            'Product Comparison - Spec table with pros/cons verdict'
         ]
     });
 });
@@ -1491,6 +2091,9 @@ app.get('/api/test', (req, res) => {
 // START SERVER
 // ============================================
 app.listen(PORT, () => {
+    startWatchScheduler(lookupWatchPrice);
+    pruneExpiredSessions();
+    
     console.log('\n' + '='.repeat(60));
     console.log('🚀 INVRSLY AI AGENT - UNIVERSAL SHOPPING INTELLIGENCE!');
     console.log('='.repeat(60));
@@ -1499,8 +2102,7 @@ app.listen(PORT, () => {
     console.log('='.repeat(60));
     console.log('\n✨ Features:');
     console.log('   🛍️  Universal Shopping - ALL Platforms');
-    console.log('   🔄 Smart Fallback - Multiple sources');
-    console.log('   📦 Minimum 10 products guarantee');
+    console.log('   ⚡ Parallel search - Per-source timeouts');
     console.log('   🎥 YouTube - 5 embedded videos');
     console.log('   🔗 Click product → Redirect to site');
     console.log('   🍕 Food - Swiggy, Zomato');
@@ -1508,10 +2110,22 @@ app.listen(PORT, () => {
     console.log('   🌐 Browse - Any website');
     console.log('   📸 Screenshots - Capture pages');
     console.log('   💬 Chat - Answer questions');
-    console.log('   💾 Session - Save/restore login');
-    console.log('   🤖 Auto CAPTCHA detection\n');
+    console.log(`   💾 Session - Per-user encrypted logins ${process.env.SESSION_VAULT_KEY ? '✅' : '(set SESSION_VAULT_KEY to save)'}`);
+    console.log('   🤖 Auto CAPTCHA detection');
+    console.log('   🩺 Extractor health - /api/health/extractors');
+    console.log('   🌐 Browser pool - /api/health/browser');
+    console.log(`   🔐 Login handoff - ${getPoolStats().headless ? 'headless' : 'headed'} Chromium, login pages stream to the UI\n`);
 });
 
+// Close pooled browsers so no Chromium outlives the server
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        console.log('\n👋 Shutting down, closing browsers...');
+        await closeBrowserPool();
+        process.exit(0);
+    });
+}
+
 process.on('unhandledRejection', (error) => {
     console.error('❌ Error:', error);
 
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TimeoutError, withTimeout, runWithConcurrency } = require('../lib/async');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+test('withTimeout resolves with the value when the promise is in time', async () => {
+    let timedOut = false;
+    assert.equal(await withTimeout(delay(5, 'done'), 500, 'Fast', () => { timedOut = true; }), 'done');
+    assert.equal(timedOut, false);
+});
+
+test('withTimeout rejects with TimeoutError and calls onTimeout', async () => {
+    let timedOut = false;
+    await assert.rejects(
+        withTimeout(delay(500), 20, 'Amazon search', () => { timedOut = true; }),
+        error => error instanceof TimeoutError && error.message === 'Amazon search timed out after 20ms'
+    );
+    await delay(0);
+    assert.equal(timedOut, true);
+});
+
+// Tracks how many workers run at once
+function trackedWorker() {
+    const stats = { active: 0, peak: 0 };
+    const worker = async (item, index) => {
+        stats.active++;
+        stats.peak = Math.max(stats.peak, stats.active);
+        await delay(5 * (5 - index));
+        stats.active--;
+        if (item === 'bad') throw new Error('boom');
+        return item.toUpperCase();
+    };
+    return { stats, worker };
+}
+
+test('runWithConcurrency keeps input order and caps work in flight', async () => {
+    const { stats, worker } = trackedWorker();
+    const settled = [];
+    const results = await runWithConcurrency(['a', 'b', 'bad', 'd', 'e'], 2, worker, (result, index) => settled.push(index));
+
+    assert.deepEqual(results.slice(0, 2), ['A', 'B']);
+    assert.equal(results[2].error.message, 'boom');
+    assert.deepEqual(results.slice(3), ['D', 'E']);
+    assert.equal(stats.peak, 2);
+    assert.deepEqual(settled.sort(), [0, 1, 2, 3, 4]);
+});
+
+test('runWithConcurrency falls back to a default when the limit is not a number', async () => {
+    for (const limit of [NaN, undefined, 0, -3]) {
+        const { stats, worker } = trackedWorker();
+        const results = await runWithConcurrency(['a', 'b', 'c', 'd'], limit, worker);
+        assert.deepEqual(results, ['A', 'B', 'C', 'D']);
+        assert.equal(stats.peak, 2);
+    }
+    assert.deepEqual(await runWithConcurrency([], parseInt('three', 10), async item => item), []);
+});
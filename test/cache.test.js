@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchCacheKey, getCachedSearch, setCachedSearch, clearSearchCache } = require('../lib/cache');
+
+test('searchCacheKey normalizes the query and ignores filters', () => {
+    assert.equal(
+        searchCacheKey({ query: '  iPhone 15!! ', platform: 'Amazon' }),
+        searchCacheKey({ query: 'iphone 15', platform: 'amazon' })
+    );
+    // Filters are applied to the cached products, so a new budget reuses the entry
+    assert.equal(
+        searchCacheKey({ query: 'iphone 15', platform: 'amazon', filters: { maxPrice: 60000 } }),
+        searchCacheKey({ query: 'iphone 15', platform: 'amazon' })
+    );
+    assert.notEqual(
+        searchCacheKey({ query: 'iphone 15', platform: 'amazon' }),
+        searchCacheKey({ query: 'iphone 15', platform: 'universal' })
+    );
+    assert.notEqual(
+        searchCacheKey({ query: 'laptop', platform: 'flipkart', limit: 40 }),
+        searchCacheKey({ query: 'laptop', platform: 'flipkart' })
+    );
+});
+
+test('getCachedSearch returns stored results with their age', () => {
+    clearSearchCache();
+    const key = searchCacheKey({ query: 'iphone 15', platform: 'universal' });
+    assert.equal(getCachedSearch(key), null);
+
+    setCachedSearch(key, { products: [{ title: 'Apple iPhone 15' }] });
+    const cached = getCachedSearch(key);
+    assert.equal(cached.value.products[0].title, 'Apple iPhone 15');
+    assert.ok(cached.ageMs >= 0 && cached.ageMs < 1000);
+});
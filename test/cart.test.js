@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getCartConfig, variantValues, pickVariant, summarizeCart, addToCart } = require('../lib/cart');
+
+test('variantValues accepts a string, a list or named options', () => {
+    assert.deepEqual(variantValues('M'), ['m']);
+    assert.deepEqual(variantValues(['Blue', ' 128  GB ']), ['blue', '128 gb']);
+    assert.deepEqual(variantValues({ size: 'UK 9', color: 'Black' }), ['uk 9', 'black']);
+    assert.deepEqual(variantValues(null), []);
+});
+
+test('pickVariant prefers an exact label over a partial one', () => {
+    const candidates = [
+        { ref: '0', labels: ['XL'] },
+        { ref: '1', labels: ['Click to select M', 'M'] },
+        { ref: '2', labels: ['UK 9 (EU 43)'] },
+        { ref: '3', labels: ['', 'Midnight Blue'] },
+        { ref: '4', labels: ['UK 10'] }
+    ];
+
+    assert.equal(pickVariant(candidates, 'm'), '1');
+    assert.equal(pickVariant(candidates, 'XL'), '0');
+    assert.equal(pickVariant(candidates, 'uk 9'), '2');
+    assert.equal(pickVariant(candidates, 'blue'), '3');
+    assert.equal(pickVariant(candidates, 'uk 1'), null);
+    assert.equal(pickVariant(candidates, 'S'), null);
+    assert.equal(pickVariant(candidates, ''), null);
+});
+
+test('summarizeCart reads quantities and the page subtotal', () => {
+    const cart = summarizeCart([
+        { title: 'Boat Airdopes 141', price: '₹1,299.00', quantity: '2', productUrl: 'https://www.amazon.in/dp/B09N3ZNHTY' },
+        { title: 'USB-C Cable', price: '₹199', quantity: 'Qty: 1', productUrl: 'https://www.amazon.in/dp/B0XYZ' }
+    ], { subtotal: '₹2,797.00', itemCount: 'Subtotal (3 items):' });
+
+    assert.deepEqual(cart.items.map(item => [item.title, item.quantity, item.priceValue]), [
+        ['Boat Airdopes 141', 2, 1299],
+        ['USB-C Cable', 1, 199]
+    ]);
+    assert.equal(cart.itemCount, 3);
+    assert.equal(cart.subtotal, 2797);
+    assert.equal(cart.subtotalText, '₹2,797');
+});
+
+test('summarizeCart adds up the rows when the page has no subtotal', () => {
+    const cart = summarizeCart([
+        { title: 'Puma Sneakers', price: '₹2,499', quantity: '' },
+        { title: 'Socks', price: '₹299', quantity: '3' }
+    ]);
+    assert.equal(cart.itemCount, 4);
+    assert.equal(cart.subtotal, 3396);
+
+    assert.deepEqual(summarizeCart([]), { items: [], itemCount: 0, subtotal: null, subtotalText: null });
+});
+
+test('Amazon and Flipkart have cart configs that never press buy or checkout', () => {
+    for (const id of ['amazon', 'flipkart']) {
+        const cart = getCartConfig({ id });
+        assert.ok(cart, `${id} cart config`);
+        assert.match(cart.url, /^https:\/\//);
+        assert.ok(cart.items.containers.length > 0);
+        for (const selector of [...cart.addToCart, ...(cart.dismiss || [])]) {
+            assert.doesNotMatch(selector, /buy|checkout|place.?order|pay/i);
+        }
+    }
+    assert.equal(getCartConfig({ id: 'meesho' }), null);
+});
+
+test('addToCart still reports the add when the cart page cannot be read', async () => {
+    const amazon = { id: 'amazon', name: 'Amazon', baseUrl: 'https://www.amazon.in' };
+    const cart = getCartConfig(amazon);
+    const visible = new Set([cart.addToCart[0], cart.added[0]]);
+    const clicked = [];
+
+    // Stand-in page: the product page works, the cart page times out
+    let url = 'about:blank';
+    const page = {
+        url: () => url,
+        goto: async target => {
+            if (target === cart.url) throw new Error('Timeout 30000ms exceeded');
+            url = target;
+        },
+        waitForTimeout: async () => {},
+        evaluate: async () => [],
+        locator: selector => ({
+            first: () => ({
+                isVisible: async () => visible.has(selector),
+                textContent: async () => 'Add to Cart',
+                getAttribute: async () => '',
+                click: async () => clicked.push(selector)
+            })
+        })
+    };
+
+    const result = await addToCart(page, amazon, 'https://www.amazon.in/dp/B09N3ZNHTY');
+    assert.equal(result.added, true);
+    assert.equal(result.cart, null);
+    assert.equal(result.error, undefined);
+    assert.match(result.warning, /Could not read the Amazon cart page \(Timeout 30000ms exceeded\)/);
+    assert.deepEqual(clicked, [cart.addToCart[0]]);
+});
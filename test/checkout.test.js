@@ -0,0 +1,252 @@
+// ============================================
+// CHECKOUT GUARDRAIL TESTS
+// ============================================
+// Payment-form and order-summary heuristics, the audit log, and (with
+// Chromium) a fake checkout page served through page.route() that must stay
+// frozen until approved.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'invrsly-checkout-'));
+process.env.CHECKOUT_AUDIT_FILE = path.join(auditDir, 'audit.jsonl');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+
+const {
+    checkoutEvents, classifyPaymentForm, summarizeOrder, guardPage, inspectPage, findCheckoutConfirmation,
+    getConfirmation, decideConfirmation, detachConfirmation, waitForConfirmation, readCheckoutAudit
+} = require('../lib/checkout');
+const { detectCheckoutPage } = require('../lib/browser');
+const { chromiumSkipReason } = require('./helpers/browser');
+
+const skip = chromiumSkipReason(__filename);
+let browser;
+
+before(async () => {
+    if (skip) return;
+    browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+test('detectCheckoutPage matches checkout path segments, not product slugs', () => {
+    assert.equal(detectCheckoutPage('https://www.amazon.in/gp/buy/spc/handlers/display.html'), true);
+    assert.equal(detectCheckoutPage('https://www.amazon.in/checkout/p/p-123/pay?pipelineType=Chewbacca'), true);
+    assert.equal(detectCheckoutPage('https://www.flipkart.com/viewcheckout?otracker=cart'), true);
+    assert.equal(detectCheckoutPage('https://www.myntra.com/checkout/payment'), true);
+    assert.equal(detectCheckoutPage('https://www.example.com/pay'), true);
+
+    assert.equal(detectCheckoutPage('https://www.myntra.com/tshirts/hrx/hrx-men-tshirt/12345/buy'), false);
+    assert.equal(detectCheckoutPage('https://www.amazon.in/Paytm-Soundbox/dp/B0C1234567'), false);
+    assert.equal(detectCheckoutPage('https://www.flipkart.com/payal-anklet/p/itm123'), false);
+    assert.equal(detectCheckoutPage('https://www.amazon.in/s?k=buy+now+pay+later'), false);
+});
+
+test('inspectPage leaves product pages with checkout-like slugs alone', async () => {
+    for (const url of ['https://www.myntra.com/tshirts/hrx/12345/buy', 'https://www.amazon.in/Paytm-Soundbox/dp/B0C1234567']) {
+        const page = {
+            isClosed: () => false,
+            url: () => url,
+            evaluate: async () => ({ inputs: [], frames: [] })
+        };
+        assert.equal(await inspectPage(page, 'slug-session'), null);
+    }
+    assert.deepEqual(readCheckoutAudit({ sessionId: 'slug-session' }), []);
+});
+
+test('classifyPaymentForm spots card, UPI and gateway forms', () => {
+    assert.equal(classifyPaymentForm({ inputs: [{ autocomplete: 'cc-number' }] }), 'card');
+    assert.equal(classifyPaymentForm({ inputs: [{ placeholder: 'Card Number' }, { name: 'cvv' }] }), 'card');
+    assert.equal(classifyPaymentForm({ inputs: [{ label: 'Enter UPI ID' }] }), 'upi');
+    assert.equal(classifyPaymentForm({ inputs: [{ placeholder: 'yourname@ybl' }] }), 'upi');
+    assert.equal(classifyPaymentForm({ inputs: [], frames: ['https://api.razorpay.com/v1/checkout/embedded'] }), 'gateway');
+
+    assert.equal(classifyPaymentForm({ inputs: [{ name: 'q', placeholder: 'Search for products' }], frames: ['https://www.youtube.com/embed/x'] }), null);
+    assert.equal(classifyPaymentForm({ inputs: [{ name: 'pincode', placeholder: 'Enter delivery pincode' }] }), null);
+    assert.equal(classifyPaymentForm(null), null);
+});
+
+test('summarizeOrder keeps priced summary lines and finds the total', () => {
+    const summary = summarizeOrder([
+        'Items (2): ₹1,998.00',
+        'Delivery:   ₹40',
+        'Order Total: ₹2,038.00',
+        'Order Total: ₹2,038.00',
+        'Boat Airdopes 141',
+        'Only 3 left ₹999'
+    ]);
+
+    assert.deepEqual(summary, {
+        total: 2038,
+        totalText: 'Order Total: ₹2,038.00',
+        lines: ['Items (2): ₹1,998.00', 'Delivery: ₹40', 'Order Total: ₹2,038.00']
+    });
+    assert.deepEqual(summarizeOrder([]), { total: null, totalText: null, lines: [] });
+});
+
+test('readCheckoutAudit returns the newest entries for one session', () => {
+    fs.writeFileSync(process.env.CHECKOUT_AUDIT_FILE, [
+        JSON.stringify({ event: 'required', sessionId: 'tab-1', confirmationId: 'a' }),
+        JSON.stringify({ event: 'required', sessionId: 'tab-2', confirmationId: 'b' }),
+        JSON.stringify({ event: 'rejected', sessionId: 'tab-1', confirmationId: 'a' }),
+        '{"event":"appr'
+    ].join('\n'));
+
+    assert.deepEqual(readCheckoutAudit({ sessionId: 'tab-1' }).map(entry => entry.event), ['rejected', 'required']);
+    assert.equal(readCheckoutAudit().length, 3);
+    assert.equal(readCheckoutAudit({ limit: 1 })[0].confirmationId, 'a');
+    fs.rmSync(process.env.CHECKOUT_AUDIT_FILE);
+});
+
+// Stand-in page: enough of the Playwright API for freezing and detaching
+function fakePage(url) {
+    const page = new EventEmitter();
+    let closed = false;
+    Object.assign(page, {
+        routed: false,
+        isClosed: () => closed,
+        url: () => url,
+        goto: async target => { url = target; },
+        evaluate: async () => [],
+        title: async () => 'Checkout',
+        screenshot: async () => Buffer.from('frame'),
+        route: async () => { page.routed = true; },
+        close: async () => {
+            if (closed) return;
+            closed = true;
+            page.emit('close');
+        }
+    });
+    return page;
+}
+
+test('headless: the frozen page is closed and approval is left to the user\'s device', async () => {
+    const page = fakePage('https://shop.test/gp/buy/spc');
+    const confirmation = await inspectPage(page, 'tab-3');
+    assert.equal(confirmation.mode, 'browser');
+
+    const detached = await detachConfirmation(confirmation.id, null);
+    assert.equal(detached.mode, 'device');
+    assert.equal(detached.status, 'pending');
+    assert.equal(page.isClosed(), true);
+
+    const settled = waitForConfirmation(confirmation.id);
+    assert.equal(decideConfirmation(confirmation.id, 'tab-3', true).status, 'approved');
+    assert.equal(await settled, 'approved');
+    assert.deepEqual(readCheckoutAudit({ sessionId: 'tab-3' }).map(entry => entry.event), ['approved', 'detached', 'required']);
+});
+
+test('headed: the checkout reopens frozen in its own context until approved and closed', async () => {
+    const page = fakePage('https://shop.test/gp/buy/spc');
+    const confirmation = await inspectPage(page, 'tab-4');
+
+    const reopened = fakePage('about:blank');
+    const context = { closed: false, newPage: async () => reopened, close: async () => { context.closed = true; } };
+    const detached = await detachConfirmation(confirmation.id, async () => context);
+
+    assert.equal(detached.mode, 'browser');
+    assert.equal(page.isClosed(), true);
+    assert.equal(reopened.url(), 'https://shop.test/gp/buy/spc');
+    assert.equal(reopened.routed, true);
+    assert.equal(getConfirmation(confirmation.id, 'tab-4').status, 'pending');
+
+    const settled = waitForConfirmation(confirmation.id);
+    decideConfirmation(confirmation.id, 'tab-4', true);
+    assert.equal(reopened.isClosed(), false);
+    await reopened.close();
+    assert.equal(await settled, 'approved');
+    assert.equal(context.closed, true);
+});
+
+const CHECKOUT_HTML = `
+    <h1>Review your order</h1>
+    <div>Items: ₹1,299</div>
+    <div>Order Total: ₹1,339</div>
+    <form action="/place-order" method="post"><button id="place">Place your order</button></form>`;
+
+async function openShop() {
+    const page = await browser.newPage();
+    const placed = [];
+    await page.route('https://shop.test/**', route => {
+        const url = route.request().url();
+        if (url.includes('/place-order')) placed.push(url);
+        route.fulfill({
+            contentType: 'text/html',
+            body: url.includes('/gp/buy') ? CHECKOUT_HTML : '<h1>Thanks</h1><a href="/gp/buy/spc">Proceed to Buy</a>'
+        });
+    });
+    guardPage(page, 'tab-1');
+    return { page, placed };
+}
+
+function nextEvent(type) {
+    return new Promise(resolve => {
+        const listener = event => {
+            if (event.type !== type) return;
+            checkoutEvents.off('event', listener);
+            resolve(event);
+        };
+        checkoutEvents.on('event', listener);
+    });
+}
+
+test('freezes a checkout page until the user approves', { skip }, async () => {
+    const { page, placed } = await openShop();
+    const required = nextEvent('confirmation_required');
+    await page.goto('https://shop.test/gp/buy/spc');
+
+    const event = await required;
+    assert.equal(event.reason, 'checkout_url');
+    assert.equal(event.summary.total, 1339);
+
+    const confirmation = await findCheckoutConfirmation([page], 'tab-1');
+    assert.equal(confirmation.confirmationId, event.confirmationId);
+    assert.match(confirmation.screenshot, /^data:image\/jpeg;base64,/);
+
+    // The automation clicks "Place your order" - nothing reaches the site
+    page.click('#place').catch(() => {});
+    await page.waitForTimeout(500);
+    assert.deepEqual(placed, []);
+
+    assert.equal(decideConfirmation(event.confirmationId, 'someone-else', true), null);
+    assert.equal(decideConfirmation(event.confirmationId, 'tab-1', true).status, 'approved');
+    await page.waitForTimeout(500);
+    assert.equal(placed.length, 1);
+
+    await page.close();
+
+    const audit = readCheckoutAudit({ sessionId: 'tab-1' });
+    assert.deepEqual(audit.slice(0, 2).map(entry => entry.event), ['approved', 'required']);
+    assert.equal(audit[0].total, 'Order Total: ₹1,339');
+});
+
+test('rejecting aborts the held requests and closes the page', { skip }, async () => {
+    const { page, placed } = await openShop();
+    const required = nextEvent('confirmation_required');
+    await page.goto('https://shop.test/gp/buy/spc');
+    const event = await required;
+
+    page.click('#place').catch(() => {});
+    await page.waitForTimeout(300);
+    const settled = waitForConfirmation(event.confirmationId);
+    decideConfirmation(event.confirmationId, 'tab-1', false);
+
+    assert.equal(await settled, 'rejected');
+    assert.equal(page.isClosed(), true);
+    assert.deepEqual(placed, []);
+});
+
+test('pages outside checkout are left alone', { skip }, async () => {
+    const { page } = await openShop();
+    await page.goto('https://shop.test/cart');
+    assert.equal(await findCheckoutConfirmation([page], 'tab-1'), null);
+    await page.close();
+});
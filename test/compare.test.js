@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeSpecs, buildComparison, comparisonAsText } = require('../lib/compare');
+
+const phoneA = {
+    title: 'Redmi Note 13 5G (Arctic White, 8GB RAM, 256GB Storage)',
+    platform: 'Amazon',
+    price: '₹17,999',
+    pricing: { amount: 17999, currency: 'INR' },
+    rating: 4.2,
+    specs: {
+        'RAM Size': '8 GB',
+        'Battery Power Rating': '5000 Milliamp Hours',
+        'Standing screen display size': '6.67 Inches',
+        'Item Weight': '174 g',
+        'Warranty': '1 Year manufacturer warranty'
+    },
+    productUrl: 'https://www.amazon.in/dp/A'
+};
+
+const phoneB = {
+    title: 'realme Narzo 70 Pro 5G (Glass Gold, 128 GB) (8 GB RAM)',
+    platform: 'Flipkart',
+    price: '₹16,499',
+    pricing: { amount: 16499, currency: 'INR' },
+    specs: {
+        'Internal Storage': '128 GB',
+        'Expandable Storage': '1 TB',
+        'Battery Capacity': '5,000 mAh',
+        'Display Size': '17.02 cm (6.7 inch)',
+        'Weight': '0.195 kg',
+        'Domestic Warranty': '18 Months'
+    },
+    productUrl: 'https://www.flipkart.com/p/B'
+};
+
+test('normalizeSpecs reads spec rows and falls back to the title', () => {
+    assert.deepEqual(normalizeSpecs(phoneA), {
+        ram: { value: 8, text: '8 GB' },
+        storage: { value: 256, text: '256 GB' },
+        battery: { value: 5000, text: '5000 mAh' },
+        display: { value: 6.67, text: '6.67 inch' },
+        weight: { value: 174, text: '174 g' },
+        warranty: { value: 12, text: '1 year' }
+    });
+
+    const b = normalizeSpecs(phoneB);
+    assert.deepEqual(b.ram, { value: 8, text: '8 GB' });
+    assert.deepEqual(b.storage, { value: 128, text: '128 GB' });
+    assert.deepEqual(b.battery, { value: 5000, text: '5000 mAh' });
+    assert.deepEqual(b.weight, { value: 195, text: '195 g' });
+    assert.deepEqual(b.warranty, { value: 18, text: '18 months' });
+});
+
+test('normalizeSpecs converts centimetres when no inch size is given', () => {
+    const tv = { title: 'Smart TV', specs: { 'Display Size': '108 cm' } };
+    assert.deepEqual(normalizeSpecs(tv).display, { value: 42.5, text: '42.5 inch' });
+});
+
+test('buildComparison marks the best product per row and drops empty rows', () => {
+    const comparison = buildComparison([phoneA, phoneB]);
+
+    assert.deepEqual(comparison.products.map(product => [product.index, product.platform]), [[1, 'Amazon'], [2, 'Flipkart']]);
+    assert.deepEqual(comparison.rows.map(row => row.key), ['price', 'ram', 'storage', 'battery', 'display', 'weight', 'warranty']);
+
+    const row = key => comparison.rows.find(candidate => candidate.key === key);
+    assert.equal(row('price').values[1].text, '₹16,499 (Flipkart)');
+    assert.equal(row('price').best, 1);
+    assert.equal(row('ram').best, null);
+    assert.equal(row('storage').best, 0);
+    assert.equal(row('battery').best, null);
+    assert.equal(row('display').best, null);
+    assert.equal(row('weight').best, 0);
+    assert.equal(row('warranty').best, 1);
+});
+
+test('buildComparison does not rank battery life against battery capacity', () => {
+    const laptop = { title: 'Laptop', specs: { 'Battery Life': '10 Hours' } };
+    const phone = { title: 'Phone', specs: { 'Battery': '5000 mAh' } };
+    const battery = buildComparison([laptop, phone]).rows.find(row => row.key === 'battery');
+
+    assert.equal(battery.values[0].text, '10 hours');
+    assert.equal(battery.best, null);
+});
+
+test('comparisonAsText lists products and says which specs are missing', () => {
+    const text = comparisonAsText(buildComparison([phoneA, { ...phoneB, specs: {} }]));
+
+    assert.match(text, /^1\. Redmi Note 13 5G .* \(Amazon, rated 4\.2\)$/m);
+    assert.match(text, /^Battery: \[1\] 5000 mAh; \[2\] not listed$/m);
+    assert.match(text, /^Price: \[1\] ₹17,999 \(Amazon\); \[2\] ₹16,499 \(Flipkart\)$/m);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    recordTaskResult, getConversation, clearConversation, conversationContext, resolveItems, similarQuery
+} = require('../lib/conversation');
+
+const phones = {
+    type: 'shopping_results',
+    query: 'iphone 15',
+    platform: 'Amazon',
+    products: [
+        { title: 'Apple iPhone 15 (128 GB) - Black', price: '₹69,900', platform: 'Amazon', rating: '4.5', productUrl: 'https://www.amazon.in/dp/A1', pricing: { amount: 69900 } },
+        { title: 'Apple iPhone 15 Plus (256 GB)', price: '₹89,900', platform: 'Amazon', productUrl: 'https://www.amazon.in/dp/A2' },
+        { title: 'Apple iPhone 15 Pro', price: '₹1,29,900', platform: 'Amazon', productUrl: 'https://www.amazon.in/dp/A3' }
+    ]
+};
+
+test('recordTaskResult numbers products and lists them for the model', () => {
+    const recorded = recordTaskResult('tab-ctx', { type: 'shopping', query: 'iphone 15' }, phones);
+    assert.equal(recorded.listId, 'L1');
+    assert.deepEqual(recorded.products.map(product => product.ref), [1, 2, 3]);
+    assert.equal(phones.products[0].ref, undefined);
+
+    const context = conversationContext('tab-ctx');
+    assert.match(context, /^Latest results L1 \(search "iphone 15" on Amazon, 3 items\):/);
+    assert.match(context, /\n1\. Apple iPhone 15 \(128 GB\) - Black - ₹69,900 - Amazon - 4\.5★/);
+    assert.equal(conversationContext('nobody'), '');
+    clearConversation('tab-ctx');
+});
+
+test('results without products are not recorded', () => {
+    const failed = { type: 'shopping_results', products: [], error: 'Search failed' };
+    assert.equal(recordTaskResult('tab-empty', {}, failed), failed);
+    assert.equal(recordTaskResult('tab-empty', {}, { type: 'ride', providers: [] }).listId, undefined);
+    assert.deepEqual(getConversation('tab-empty'), { lists: [] });
+});
+
+test('resolveItems follows numbers into the latest or a named list', () => {
+    recordTaskResult('tab-refs', { query: 'iphone 15' }, phones);
+    recordTaskResult('tab-refs', {}, {
+        type: 'product_details',
+        products: [{ title: 'Samsung Galaxy S24', price: '₹74,999', productUrl: 'https://www.flipkart.com/s24/p/itm1' }]
+    });
+
+    assert.deepEqual(resolveItems('tab-refs', [1]).products.map(product => product.productUrl), ['https://www.flipkart.com/s24/p/itm1']);
+    assert.deepEqual(resolveItems('tab-refs', ['L1:3', 'l1#2']).products.map(product => product.ref), [3, 2]);
+    assert.match(resolveItems('tab-refs', [2]).error, /no item 2 in L2/);
+    assert.match(resolveItems('tab-refs', ['L9:1']).error, /L9 are no longer available/);
+    assert.match(resolveItems('tab-refs', ['the first']).error, /Could not understand/);
+    assert.match(resolveItems('tab-none', [1]).error, /no earlier results/);
+
+    // Older lists are summarized by header
+    assert.match(conversationContext('tab-refs'), /Earlier results:\nL1: search "iphone 15" on Amazon, 3 items/);
+    clearConversation('tab-refs');
+});
+
+test('only the last few lists are kept', () => {
+    for (let i = 0; i < 7; i++) recordTaskResult('tab-many', { query: 'q' + i }, phones);
+    const { lists } = getConversation('tab-many');
+    assert.deepEqual(lists.map(list => list.id), ['L3', 'L4', 'L5', 'L6', 'L7']);
+    assert.match(resolveItems('tab-many', ['L1:1']).error, /no longer available/);
+    assert.equal(clearConversation('tab-many'), true);
+});
+
+test('similarQuery keeps the product name without variant details', () => {
+    assert.equal(similarQuery({ title: 'Apple iPhone 15 (128 GB) - Black' }), 'Apple iPhone 15');
+    assert.equal(similarQuery({ title: 'Puma Men Running Shoes | Lightweight, Breathable' }), 'Puma Men Running Shoes');
+    assert.equal(similarQuery({ title: 'boAt Airdopes 141 Bluetooth TWS Earbuds with 42H Playtime, Low Latency' }), 'boAt Airdopes 141 Bluetooth TWS Earbuds');
+});
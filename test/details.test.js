@@ -0,0 +1,74 @@
+// ============================================
+// PRODUCT DETAIL PAGE TESTS (OFFLINE)
+// ============================================
+// Runs lib/details.js against saved product pages in test/fixtures
+// (<platform>/details-*.html with "kind": "details" expectations).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+
+const { loadPlatforms, getPlatform, platformForUrl } = require('../lib/platforms');
+const { extractProductDetails, parseAvailability } = require('../lib/details');
+const { listFixtures, renderFixture, pick } = require('./helpers/fixtures');
+const { chromiumSkipReason } = require('./helpers/browser');
+
+const skip = chromiumSkipReason(__filename);
+let browser;
+
+loadPlatforms();
+
+before(async () => {
+    if (skip) return;
+    browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+    if (browser) await browser.close();
+});
+
+test('parseAvailability reads stock messages', () => {
+    assert.equal(parseAvailability('In stock'), true);
+    assert.equal(parseAvailability('Only 2 left in stock.'), true);
+    assert.equal(parseAvailability('InStock'), true);
+    assert.equal(parseAvailability('Currently unavailable.'), false);
+    assert.equal(parseAvailability('Sold Out'), false);
+    assert.equal(parseAvailability('OutOfStock'), false);
+    assert.equal(parseAvailability(''), null);
+    assert.equal(parseAvailability('', true), true);
+});
+
+test('platformForUrl finds the adapter for a product link', () => {
+    assert.equal(platformForUrl('https://www.amazon.in/dp/B0CHX1W1XY').id, 'amazon');
+    assert.equal(platformForUrl('https://dl.flipkart.com/s/abc').id, 'flipkart');
+    assert.equal(platformForUrl('https://m.myntra.com/tshirts/hrx/123/buy').id, 'myntra');
+    assert.equal(platformForUrl('https://example.com/product'), null);
+    assert.equal(platformForUrl('not a url'), null);
+});
+
+for (const fixture of listFixtures('details')) {
+    const label = `${fixture.platform}/${fixture.name}${fixture.source === 'synthetic' ? ' (synthetic unit case)' : ''}`;
+
+    test(`reads product details from ${label}`, { skip }, async () => {
+        const { expectations } = fixture;
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await renderFixture(page, fixture.htmlFile);
+            const product = await extractProductDetails(page, getPlatform(fixture.platform));
+
+            assert.deepEqual(pick(product, expectations.expected), expectations.expected);
+            assert.ok(
+                product.features.length >= expectations.minFeatures,
+                `expected at least ${expectations.minFeatures} features, got ${product.features.length}`
+            );
+            assert.deepEqual(pick(product.specs, expectations.specs), expectations.specs);
+            for (const image of product.images) {
+                assert.match(image, /^https?:\/\//, `bad gallery image ${image}`);
+            }
+        } finally {
+            await context.close();
+        }
+    });
+}
@@ -0,0 +1,138 @@
+// ============================================
+// EXTRACTOR REGRESSION TESTS (OFFLINE)
+// ============================================
+// Runs each platform's real extract() against saved search-result pages in
+// test/fixtures and checks the extracted fields. No network is used.
+// Synthetic fixtures run as engine unit cases; each adapter also needs a
+// page captured from its live site, reported as TODO until there is one.
+//
+// Capture a new fixture from a live page with:
+//   npm run fixture:capture -- <platform> "<query>" [name]
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+
+const { loadPlatforms, getPlatform, listPlatforms } = require('../lib/platforms');
+const { normalizeProducts } = require('../lib/normalize');
+const { fieldFillRates, readSpecValue } = require('../lib/extractor');
+const { listFixtures, renderFixture, pick } = require('./helpers/fixtures');
+const { chromiumSkipReason } = require('./helpers/browser');
+
+const REPORTED_FIELDS = ['productId', 'title', 'price', 'mrp', 'rating', 'reviewCount', 'image', 'productUrl'];
+
+const skipBrowser = chromiumSkipReason(__filename);
+const fillRateReport = [];
+let browser;
+
+loadPlatforms();
+
+before(async () => {
+    if (skipBrowser) return;
+    browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    if (fillRateReport.length > 0) {
+        console.log('\n📊 Extractor fill rates');
+        console.table(fillRateReport);
+    }
+});
+
+for (const platform of listPlatforms()) {
+    const captured = listFixtures().filter(fixture => fixture.platform === platform.id && fixture.source === 'live');
+    const todo = captured.length === 0 &&
+        `no page captured from ${platform.name} yet - run: npm run fixture:capture -- ${platform.id} "<query>"`;
+
+    test(`${platform.id} has a search fixture captured from the live site`, { todo }, () => {
+        assert.ok(captured.length > 0, `only synthetic fixtures for ${platform.id}`);
+    });
+}
+
+for (const fixture of listFixtures()) {
+    const label = `${fixture.platform}/${fixture.name}${fixture.source === 'synthetic' ? ' (synthetic unit case)' : ''}`;
+    const skip = skipBrowser || (!fixture.expectations && `missing ${fixture.name}.json`);
+
+    test(`extracts products from ${label}`, { skip }, async (t) => {
+        const platform = getPlatform(fixture.platform);
+        assert.ok(platform, `No adapter registered for "${fixture.platform}"`);
+
+        const { expectations } = fixture;
+        const context = await browser.newContext();
+        const page = await context.newPage();
+
+        try {
+            await renderFixture(page, fixture.htmlFile);
+            const products = normalizeProducts(await platform.extract(page));
+
+            const rates = fieldFillRates(products, REPORTED_FIELDS);
+            fillRateReport.push({ fixture: label, products: products.length, ...rates });
+            for (const [field, rate] of Object.entries(rates)) {
+                t.diagnostic(`${field}: ${Math.round(rate * 100)}%`);
+            }
+
+            assert.ok(
+                products.length >= expectations.minProducts,
+                `expected at least ${expectations.minProducts} products, got ${products.length}`
+            );
+
+            for (const [field, minRate] of Object.entries(expectations.minFillRates || {})) {
+                const rate = fieldFillRates(products, [field])[field];
+                assert.ok(rate >= minRate, `${field} fill rate ${rate} is below ${minRate}`);
+            }
+
+            for (const product of products) {
+                assert.match(product.productUrl, /^https?:\/\//, `bad productUrl for "${product.title}"`);
+                assert.match(product.image, /^https?:\/\//, `bad image for "${product.title}"`);
+                assert.equal(typeof product.pricing.amount, 'number', `unparsed price "${product.price}"`);
+            }
+
+            const urls = products.map(product => product.productUrl);
+            assert.equal(new Set(urls).size, urls.length, 'duplicate products extracted');
+
+            (expectations.expected || []).forEach((expected, index) => {
+                assert.deepEqual(pick(products[index], expected), expected, `product #${index + 1} mismatch`);
+            });
+        } finally {
+            await context.close();
+        }
+    });
+}
+
+// readSpecValue only touches textContent/getAttribute, so a plain object stands in for the element
+function fakeElement(text, attributes = {}) {
+    return { textContent: text, getAttribute: name => attributes[name] ?? null };
+}
+
+test('readSpecValue gives the same value for search and detail specs', () => {
+    const base = 'https://www.example.in/s?q=phone';
+
+    assert.equal(readSpecValue(fakeElement('  Redmi Note 13\n   Pro  '), { selector: 'h2' }, base), 'Redmi Note 13 Pro');
+    assert.equal(readSpecValue(fakeElement('', { href: '/p/123' }), { attribute: 'href', type: 'url' }, base), 'https://www.example.in/p/123');
+    assert.equal(readSpecValue(fakeElement('4.3 out of 5 stars'), { pattern: '([\\d.]+) out of' }, base), '4.3');
+    assert.equal(readSpecValue(fakeElement('No rating'), { pattern: '([\\d.]+) out of' }, base), '');
+    assert.equal(
+        readSpecValue(fakeElement('', { src: 'https://m.media-amazon.com/images/I/abc._AC_US40_.jpg' }),
+            { attribute: 'src', type: 'image', replace: ['\\._[^/]+_\\.', '.'] }, base),
+        'https://m.media-amazon.com/images/I/abc.jpg'
+    );
+});
+
+test('readSpecValue skips lazy-load placeholders and reports them', () => {
+    const base = 'https://www.example.in/';
+    const spec = { attribute: ['src', 'srcset'], type: 'image' };
+    let placeholders = 0;
+    const onPlaceholder = () => { placeholders++; };
+
+    for (const src of ['data:image/gif;base64,R0lGOD', 'https://cdn.example.in/1x1.gif', 'https://cdn.example.in/placeholder.svg', 'https://cdn.example.in/loading.gif']) {
+        assert.equal(readSpecValue(fakeElement('', { src }), spec, base, onPlaceholder), '');
+    }
+    assert.equal(placeholders, 4);
+
+    const lazy = fakeElement('', {
+        src: 'https://cdn.example.in/transparent-pixel.png',
+        srcset: 'https://cdn.example.in/placeholder.png 1x, https://cdn.example.in/phone-2x.jpg 2x'
+    });
+    assert.equal(readSpecValue(lazy, spec, base), 'https://cdn.example.in/phone-2x.jpg');
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseFiltersFromQuery, resolveFilters, hasActiveFilters, applyShoppingFilters } = require('../lib/filters');
+
+test('parseFiltersFromQuery reads budgets from English queries', () => {
+    assert.deepEqual(parseFiltersFromQuery('earphones under 2k'), { maxPrice: 2000 });
+    assert.deepEqual(parseFiltersFromQuery('phone below ₹15,000'), { maxPrice: 15000 });
+    assert.deepEqual(parseFiltersFromQuery('laptop between 20k and 30k'), { minPrice: 20000, maxPrice: 30000 });
+    assert.deepEqual(parseFiltersFromQuery('tv from 40k to 1.5 lakh'), { minPrice: 40000, maxPrice: 150000 });
+    assert.deepEqual(parseFiltersFromQuery('watch above 5000'), { minPrice: 5000 });
+    assert.deepEqual(parseFiltersFromQuery('running shoes'), {});
+    assert.deepEqual(parseFiltersFromQuery(''), {});
+});
+
+test('parseFiltersFromQuery ignores model names and spec sizes', () => {
+    assert.deepEqual(parseFiltersFromQuery('iphone 15 pro max 256gb'), {});
+    assert.deepEqual(parseFiltersFromQuery('redmi note 13 pro max'), {});
+    assert.deepEqual(parseFiltersFromQuery('redmi note 13 5g 8gb ram under 20k'), { maxPrice: 20000 });
+    assert.deepEqual(parseFiltersFromQuery('power bank 20000 mah under 2k'), { maxPrice: 2000 });
+    assert.deepEqual(parseFiltersFromQuery('tv 55 inch budget 40k'), { maxPrice: 40000 });
+    assert.deepEqual(parseFiltersFromQuery('fridge 250 litres 25k se zyada'), { minPrice: 25000 });
+    assert.deepEqual(resolveFilters({ query: 'iphone 15 pro max 256gb' }), { minPrice: null, maxPrice: null, minRating: null, sort: null });
+});
+
+test('parseFiltersFromQuery reads a minimum rating without mistaking it for a price', () => {
+    assert.deepEqual(parseFiltersFromQuery('earbuds above 4 star'), { minRating: 4 });
+    assert.deepEqual(parseFiltersFromQuery('mixer 4.2+ rating under 3k'), { minRating: 4.2, maxPrice: 3000 });
+    assert.deepEqual(parseFiltersFromQuery('kurti 4 star se upar'), { minRating: 4 });
+});
+
+test('parseFiltersFromQuery understands Hinglish budgets', () => {
+    assert.deepEqual(parseFiltersFromQuery('headphones 2k se kam'), { maxPrice: 2000 });
+    assert.deepEqual(parseFiltersFromQuery('saree 1500 ke andar'), { maxPrice: 1500 });
+    assert.deepEqual(parseFiltersFromQuery('phone 20k tak'), { maxPrice: 20000 });
+    assert.deepEqual(parseFiltersFromQuery('fridge 25k se zyada'), { minPrice: 25000 });
+});
+
+test('resolveFilters lets AI filters win and swaps a reversed range', () => {
+    assert.deepEqual(resolveFilters({ query: 'laptop between 30k and 20k' }), { minPrice: 20000, maxPrice: 30000, minRating: null, sort: null });
+    assert.deepEqual(
+        resolveFilters({ query: 'phone under 20k', filters: { maxPrice: '25,000', minPrice: 30000, sort: 'price_asc' } }),
+        { minPrice: 25000, maxPrice: 30000, minRating: null, sort: 'price_asc' }
+    );
+    assert.deepEqual(resolveFilters({ query: 'shoes', filters: { minRating: -1, sort: 'cheapest' } }), { minPrice: null, maxPrice: null, minRating: null, sort: null });
+    assert.equal(hasActiveFilters(resolveFilters({ query: 'shoes' })), false);
+    assert.equal(hasActiveFilters(resolveFilters({ query: 'shoes under 2k' })), true);
+});
+
+test('applyShoppingFilters counts each drop against the first filter it fails', () => {
+    const product = (title, amount, ratingValue) => ({ title, pricing: { amount }, ratingValue });
+    const products = [
+        product('cheap', 400, 4.5),
+        product('no price', null, 4.5),
+        product('pricey', 9000, 4.8),
+        product('low rated', 1500, 3.1),
+        product('unrated', 1200, null),
+        product('good', 1800, 4.1),
+        product('better', 1000, 4.6)
+    ];
+
+    const result = applyShoppingFilters(products, { minPrice: 500, maxPrice: 2000, minRating: 4, sort: 'price_asc' });
+    assert.deepEqual(result.products.map(p => p.title), ['better', 'good']);
+    assert.deepEqual(result.dropped, { minPrice: 2, maxPrice: 1, minRating: 2 });
+    assert.equal(result.droppedTotal, 5);
+
+    const unfiltered = applyShoppingFilters(products, { minPrice: null, maxPrice: null, minRating: null, sort: null });
+    assert.equal(unfiltered.products.length, products.length);
+    assert.equal(unfiltered.droppedTotal, 0);
+});
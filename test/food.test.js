@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getFoodSite, getFoodSelectors, parseRestaurantText, normalizeRestaurant, normalizeDish, matchesDishQuery, attachDishes
+} = require('../lib/food');
+
+const swiggy = getFoodSite('swiggy');
+
+test('parseRestaurantText reads rating, delivery time, cost for two and offers', () => {
+    const card = [
+        "Domino's Pizza",
+        '4.3 • 25-30 mins',
+        'Pizzas, Italian, Fast Food',
+        '₹400 for two',
+        '60% OFF UPTO ₹120'
+    ].join('\n');
+
+    assert.deepEqual(parseRestaurantText(card), {
+        rating: 4.3,
+        deliveryTime: '25-30 mins',
+        deliveryMinutes: 25,
+        costForTwo: 400,
+        offers: ['60% OFF UPTO ₹120']
+    });
+
+    assert.deepEqual(parseRestaurantText('Pizza Hut\n3.9★\n₹1,200 for two\n35 min\nFlat ₹125 off'), {
+        rating: 3.9,
+        deliveryTime: '35 mins',
+        deliveryMinutes: 35,
+        costForTwo: 1200,
+        offers: ['Flat ₹125 off']
+    });
+
+    assert.deepEqual(parseRestaurantText(''), {
+        rating: null, deliveryTime: null, deliveryMinutes: null, costForTwo: null, offers: []
+    });
+});
+
+test('normalizeRestaurant falls back to the comma-separated cuisine line', () => {
+    const restaurant = normalizeRestaurant({
+        name: 'La Pino\'z Pizza',
+        cuisine: '4.1 • 30-35 mins',
+        text: 'La Pino\'z Pizza\n4.1 • 30-35 mins\nPizzas, Pastas, Italian\n₹300 for two',
+        url: 'https://www.swiggy.com/restaurants/la-pinoz-pizza-123'
+    }, swiggy);
+
+    assert.equal(restaurant.platform, 'Swiggy');
+    assert.equal(restaurant.cuisine, 'Pizzas, Pastas, Italian');
+    assert.equal(restaurant.costForTwo, 300);
+    assert.deepEqual(restaurant.dishes, []);
+});
+
+test('normalizeDish parses prices from the field or the card text', () => {
+    assert.deepEqual(normalizeDish({ name: 'Farmhouse Pizza', price: '₹ 1,099', restaurant: "Domino's Pizza" }), {
+        name: 'Farmhouse Pizza', price: 1099, priceText: '₹1,099', restaurant: "Domino's Pizza"
+    });
+    assert.equal(normalizeDish({ name: 'Garlic Bread', price: '', text: 'Garlic Bread\n₹129' }).price, 129);
+    assert.equal(normalizeDish({ name: 'Coke', price: '' }).price, null);
+});
+
+test('matchesDishQuery needs any query word in the dish name', () => {
+    assert.equal(matchesDishQuery('Farmhouse Veg Pizza', 'veg pizza'), true);
+    assert.equal(matchesDishQuery('Paneer Pizza', 'veg pizza'), true);
+    assert.equal(matchesDishQuery('Garlic Bread', 'pizza'), false);
+});
+
+test('attachDishes groups matching dishes under their restaurant', () => {
+    const restaurants = [normalizeRestaurant({ name: "Domino's Pizza", text: '4.3 • 25 mins' }, swiggy)];
+    const dishes = [
+        { name: 'Margherita Pizza', price: 199, priceText: '₹199', restaurant: "DOMINO'S PIZZA" },
+        { name: 'Garlic Bread', price: 129, priceText: '₹129', restaurant: "Domino's Pizza" },
+        { name: 'Margherita Pizza', price: 199, priceText: '₹199', restaurant: "Domino's Pizza" },
+        { name: 'Pepperoni Pizza', price: 399, priceText: '₹399', restaurant: 'Pizza Hut' }
+    ];
+
+    attachDishes(restaurants, dishes, 'pizza', swiggy);
+
+    assert.deepEqual(restaurants.map(restaurant => [restaurant.name, restaurant.dishes.map(dish => dish.name)]), [
+        ["Domino's Pizza", ['Margherita Pizza']],
+        ['Pizza Hut', ['Pepperoni Pizza']]
+    ]);
+});
+
+test('getFoodSite knows Swiggy and Zomato only', () => {
+    assert.equal(getFoodSite('ZOMATO').name, 'Zomato');
+    assert.equal(getFoodSite(undefined).name, 'Swiggy');
+    assert.equal(getFoodSite('ubereats'), null);
+});
+
+test('food selectors load from selectors/<site>.json', () => {
+    const swiggySelectors = getFoodSelectors(getFoodSite('swiggy'));
+    assert.ok(swiggySelectors.containers.length > 0);
+    assert.deepEqual(swiggySelectors.required, ['name']);
+    assert.ok(swiggySelectors.fields.name && swiggySelectors.fields.url);
+    assert.ok(swiggySelectors.dishes.fields.restaurant);
+
+    const zomatoSelectors = getFoodSelectors(getFoodSite('zomato'));
+    assert.ok(zomatoSelectors.searchInput.length > 0);
+    assert.ok(zomatoSelectors.menu.fields.price);
+});
@@ -0,0 +1,118 @@
+// ============================================
+// LOGIN HANDOFF TESTS
+// ============================================
+// A fake login page served through page.route(): the handoff should stream
+// it, relay typed values and resume once the form leaves /login.
+
+process.env.LOGIN_SCREENSHOT_MS = '200';
+process.env.LOGIN_HANDOFF_TIMEOUT_MS = '10000';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+
+const {
+    handoffEvents, runLoginHandoff, getLoginHandoff, listLoginHandoffs, relayLoginInput, cancelLoginHandoff
+} = require('../lib/handoff');
+const { chromiumSkipReason } = require('./helpers/browser');
+
+const skip = chromiumSkipReason(__filename);
+let browser;
+
+const LOGIN_HTML = `
+    <form action="/account" method="get">
+        <label for="user">Mobile number</label><input id="user" name="user">
+        <input type="password" name="otp" placeholder="OTP">
+    </form>`;
+
+before(async () => {
+    if (skip) return;
+    browser = await chromium.launch({ headless: true });
+});
+
+after(async () => {
+    if (browser) await browser.close();
+});
+
+async function openLoginPage() {
+    const page = await browser.newPage();
+    await page.route('https://shop.test/**', route => route.fulfill({
+        contentType: 'text/html',
+        body: route.request().url().includes('/login') ? LOGIN_HTML : '<h1>Account</h1>'
+    }));
+    await page.goto('https://shop.test/login');
+    return page;
+}
+
+function nextEvent(type) {
+    return new Promise(resolve => {
+        const listener = event => {
+            if (event.type !== type) return;
+            handoffEvents.off('event', listener);
+            resolve(event);
+        };
+        handoffEvents.on('event', listener);
+    });
+}
+
+test('relays typed values and resumes once the page leaves the login URL', { skip }, async () => {
+    const page = await openLoginPage();
+    const required = nextEvent('login_required');
+    const screenshot = nextEvent('login_screenshot');
+    const loggedIn = runLoginHandoff(page, { sessionId: 'tab-1' });
+
+    const { handoffId, fields } = await required;
+    assert.deepEqual(fields, [
+        { ref: '0', type: 'text', label: 'Mobile number' },
+        { ref: '1', type: 'password', label: 'OTP' }
+    ]);
+    assert.match((await screenshot).image, /^data:image\/jpeg;base64,/);
+    assert.equal(listLoginHandoffs('tab-1').length, 1);
+    assert.equal(listLoginHandoffs('tab-2').length, 0);
+
+    // The same page never gets a second handoff
+    assert.equal(runLoginHandoff(page, { sessionId: 'tab-1' }), loggedIn);
+
+    await relayLoginInput(handoffId, 'tab-1', { fields: { 0: '9876543210', 1: '123456' }, submit: true });
+    assert.equal(await loggedIn, true);
+    assert.match(page.url(), /\/account\?user=9876543210&otp=123456$/);
+    assert.equal(listLoginHandoffs('tab-1').length, 0);
+    await page.close();
+});
+
+test('cancelling a handoff resolves false', { skip }, async () => {
+    const page = await openLoginPage();
+    const required = nextEvent('login_required');
+    const loggedIn = runLoginHandoff(page, { sessionId: 'tab-1' });
+
+    const complete = nextEvent('login_complete');
+    assert.equal(cancelLoginHandoff((await required).handoffId, 'tab-1'), true);
+    assert.equal(await loggedIn, false);
+    assert.equal((await complete).status, 'cancelled');
+    await page.close();
+});
+
+test('another session cannot read, type into or cancel a handoff', async () => {
+    // Stand-in page that stays on /login: enough for the handoff bookkeeping
+    const typed = [];
+    const page = {
+        url: () => 'https://shop.test/login',
+        isClosed: () => false,
+        evaluate: async () => [],
+        screenshot: async () => Buffer.from('frame'),
+        waitForTimeout: async () => {},
+        fill: async (selector, value) => typed.push(value)
+    };
+    const required = nextEvent('login_required');
+    const loggedIn = runLoginHandoff(page, { sessionId: 'tab-1' });
+    const { handoffId } = await required;
+
+    assert.equal(getLoginHandoff(handoffId, 'tab-2'), null);
+    assert.equal(await relayLoginInput(handoffId, 'tab-2', { fields: { 0: '123456' } }), null);
+    assert.equal(cancelLoginHandoff(handoffId, 'tab-2'), false);
+    assert.deepEqual(typed, []);
+    assert.equal(getLoginHandoff(handoffId, 'tab-1').status, 'waiting');
+
+    assert.equal(cancelLoginHandoff(handoffId, 'tab-1'), true);
+    assert.equal(await loggedIn, false);
+});
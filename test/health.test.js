@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recordExtraction, recordSearchOutcome, getExtractorHealth } = require('../lib/health');
+
+function run(overrides) {
+    return { containers: 20, kept: 18, dropped: { no_image: 2 }, fillRates: { title: 1, price: 1 }, latencyMs: 100, ...overrides };
+}
+
+test('getExtractorHealth flags a platform whose field selector broke', () => {
+    recordExtraction('healthy-site', run());
+    recordExtraction('healthy-site', run({ latencyMs: 300 }));
+    for (let i = 0; i < 3; i++) {
+        recordExtraction('broken-site', run({ kept: 0, dropped: { no_price: 20 }, fillRates: {} }));
+    }
+    recordSearchOutcome('broken-site', { status: 'zero_results', elapsedMs: 5000 });
+
+    const [idle, healthy, broken] = getExtractorHealth(['idle-site', 'healthy-site', 'broken-site']);
+
+    assert.equal(idle.status, 'unknown');
+    assert.equal(healthy.status, 'healthy');
+    assert.equal(healthy.kept.avg, 18);
+    assert.deepEqual(healthy.latencyMs, { p50: 300, p95: 300 });
+    assert.equal(broken.status, 'broken');
+    assert.equal(broken.suspect, 'no_price');
+    assert.equal(broken.dropRates.no_price, 1);
+    assert.deepEqual(broken.searchOutcomes, { zero_results: 1 });
+});
@@ -0,0 +1,23 @@
+// ============================================
+// CHROMIUM FOR BROWSER TESTS
+// ============================================
+// Browser tests skip when Playwright's Chromium isn't installed. The skip is
+// also printed once per test file, so a green run without a browser can't
+// be mistaken for one that exercised the extractors.
+
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const MISSING_CHROMIUM = 'Chromium not installed - run: npx playwright install chromium';
+
+// Skip reason for the file's browser tests, false when Chromium is there
+function chromiumSkipReason(testFile) {
+    if (fs.existsSync(chromium.executablePath())) return false;
+    console.warn(`⚠️  ${path.basename(testFile)}: ${MISSING_CHROMIUM} - its browser tests are skipped`);
+    return MISSING_CHROMIUM;
+}
+
+module.exports = {
+    chromiumSkipReason
+};
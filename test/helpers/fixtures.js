@@ -0,0 +1,77 @@
+// ============================================
+// EXTRACTOR FIXTURE HELPERS
+// ============================================
+// Fixtures live in test/fixtures/<platform>/<name>.html with a matching
+// <name>.json holding the expectations for that page. Search result pages
+// are the default; product detail pages set "kind": "details".
+//
+// "source" says where the page came from: "live" for pages saved by
+// npm run fixture:capture, "synthetic" for hand-written pages. Synthetic
+// pages only unit-test the extractor engine against an assumed markup; they
+// say nothing about whether the selectors still match the real site.
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function listFixtures(kind = 'search') {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+
+    const fixtures = [];
+    for (const platform of fs.readdirSync(FIXTURES_DIR).sort()) {
+        const dir = path.join(FIXTURES_DIR, platform);
+        if (!fs.statSync(dir).isDirectory()) continue;
+
+        for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+            const name = file.replace(/\.html$/, '');
+            const expectationsFile = path.join(dir, `${name}.json`);
+            const expectations = fs.existsSync(expectationsFile)
+                ? JSON.parse(fs.readFileSync(expectationsFile, 'utf8'))
+                : null;
+            fixtures.push({
+                platform,
+                name,
+                htmlFile: path.join(dir, file),
+                expectationsFile,
+                expectations,
+                source: (expectations && expectations.source) || 'unknown'
+            });
+        }
+    }
+    return fixtures.filter(fixture => ((fixture.expectations && fixture.expectations.kind) || 'search') === kind);
+}
+
+// Load saved HTML into the page with all network requests blocked
+async function renderFixture(page, htmlFile) {
+    await page.route('**/*', route => route.abort());
+    await page.setContent(fs.readFileSync(htmlFile, 'utf8'), { waitUntil: 'domcontentloaded' });
+}
+
+// Compare only the keys listed in the expectation (nested objects included)
+function pick(actual, expected) {
+    const picked = {};
+    for (const key of Object.keys(expected)) {
+        const value = actual ? actual[key] : undefined;
+        picked[key] = expected[key] && typeof expected[key] === 'object' && !Array.isArray(expected[key]) && value && typeof value === 'object'
+            ? pick(value, expected[key])
+            : value;
+    }
+    return picked;
+}
+
+function saveFixture(platform, name, html, expectations) {
+    const dir = path.join(FIXTURES_DIR, platform);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${name}.html`), html);
+    fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(expectations, null, 4) + '\n');
+    return path.join(dir, `${name}.html`);
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    listFixtures,
+    renderFixture,
+    pick,
+    saveFixture
+};
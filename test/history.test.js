@@ -0,0 +1,53 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-'));
+process.env.PRICE_HISTORY_FILE = path.join(dataDir, 'price-history.jsonl');
+
+const { historyId, trackPrices, getPriceHistory } = require('../lib/history');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function product(amount, overrides = {}) {
+    return {
+        platform: 'Amazon',
+        productId: 'B0CHX1W1XY',
+        title: 'Apple iPhone 15 (128 GB) - Black',
+        productUrl: 'https://www.amazon.in/dp/B0CHX1W1XY',
+        price: `₹${amount}`,
+        pricing: { amount, currency: 'INR', mrp: 79900, discountPercent: null },
+        ...overrides
+    };
+}
+
+test('historyId is stable and URL-safe', () => {
+    assert.equal(historyId(product(1)), 'amazon:b0chx1w1xy');
+    const urlOnly = historyId({ platform: 'Myntra', productUrl: 'https://www.myntra.com/tshirts/hrx/123/buy?src=x' });
+    assert.match(urlOnly, /^url:[0-9a-f]{16}$/);
+    assert.equal(urlOnly, historyId({ platform: 'Myntra', productUrl: 'https://www.myntra.com/tshirts/hrx/123/buy' }));
+});
+
+test('trackPrices stores observations and adds a trend once seen before', () => {
+    const [first] = trackPrices([product(69900)]);
+    assert.equal(first.historyId, 'amazon:b0chx1w1xy');
+    assert.equal(first.priceTrend, undefined, 'no trend on first sighting');
+
+    const [second] = trackPrices([product(71999)]);
+    assert.equal(second.priceTrend.isLowest30d, false);
+
+    const [third] = trackPrices([product(65999), { platform: 'Amazon', title: 'No price', productUrl: 'https://x', pricing: {} }]);
+    assert.equal(third.priceTrend.isLowest30d, true);
+    assert.equal(third.priceTrend.lowest30d, 65999);
+    assert.equal(third.priceTrend.points.length, 1, 'one daily low per day');
+
+    const history = getPriceHistory('amazon:b0chx1w1xy');
+    assert.deepEqual(history.history.map(point => point.price), [69900, 71999, 65999]);
+    assert.deepEqual(history.stats, { count: 3, lowest: 65999, highest: 71999, latest: 65999 });
+
+    const lines = fs.readFileSync(process.env.PRICE_HISTORY_FILE, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 3);
+    assert.equal(getPriceHistory('amazon:unknown'), null);
+});
@@ -0,0 +1,75 @@
+process.env.TASK_CONCURRENCY = '1';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { submitJob, getJob, waitForJob, cancelJob, getJobStats } = require('../lib/jobs');
+
+// A job that finishes when the test says so
+function deferredWork() {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    const calls = [];
+    const work = async ({ signal, progress }) => {
+        calls.push(signal);
+        progress({ type: 'status', message: 'working' });
+        return done;
+    };
+    return { work, finish, calls };
+}
+
+test('runs jobs one at a time and keeps their results', async () => {
+    const first = deferredWork();
+    const second = deferredWork();
+    const a = submitJob(first.work, { type: 'shopping', sessionId: 'alice' });
+    const b = submitJob(second.work, { type: 'youtube', sessionId: 'alice' });
+
+    assert.equal(getJob(a.id).status, 'running');
+    assert.equal(getJob(b.id).status, 'queued');
+    assert.equal(getJob(b.id).queuePosition, 1);
+
+    first.finish({ type: 'shopping_results', products: [] });
+    const finished = await waitForJob(a.id);
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.result, { type: 'shopping_results', products: [] });
+    assert.equal(finished.progress[0].message, 'working');
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(getJob(b.id).status, 'running');
+    second.finish({ error: 'Task failed: timeout', type: 'youtube' });
+    assert.equal((await waitForJob(b.id)).status, 'failed');
+});
+
+test('jobs are only visible to the session that submitted them', async () => {
+    const job = deferredWork();
+    const { id } = submitJob(job.work, { type: 'browse', sessionId: 'alice' });
+
+    assert.equal(getJob(id, 'bob'), null);
+    assert.equal(cancelJob(id, 'bob'), null);
+    assert.equal(getJob(id, 'alice').type, 'browse');
+
+    job.finish({ type: 'browse' });
+    await waitForJob(id);
+});
+
+test('cancelling aborts a running job and drops a queued one', async () => {
+    const running = deferredWork();
+    const queued = deferredWork();
+    const a = submitJob(running.work, { type: 'shopping' });
+    const b = submitJob(queued.work, { type: 'shopping' });
+
+    const cancelledQueued = cancelJob(b.id);
+    assert.equal(cancelledQueued.status, 'cancelled');
+    assert.equal(queued.calls.length, 0, 'a cancelled queued job never starts');
+
+    const signal = running.calls[0];
+    assert.equal(cancelJob(a.id).status, 'cancelled');
+    assert.equal(signal.aborted, true);
+
+    // Whatever the work returns after cancelling doesn't overwrite the status
+    running.finish({ error: 'Target page closed' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(getJob(a.id).status, 'cancelled');
+    assert.equal(cancelJob(a.id), false, 'finished jobs cannot be cancelled');
+    assert.equal(getJobStats().running, 0);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractSignature, isSameProduct, groupMatchingProducts } = require('../lib/matching');
+
+const listing = (title, platform, amount) => ({ title, platform, price: `₹${amount.toLocaleString('en-IN')}`, pricing: { amount, currency: 'INR' } });
+
+const same = (a, b) => isSameProduct(extractSignature(a), extractSignature(b));
+
+test('extractSignature reads brand, RAM, storage and model tokens', () => {
+    const typed = extractSignature('Samsung Galaxy S24 5G (Onyx Black, 8GB RAM, 256GB Storage)');
+    assert.equal(typed.brand, 'samsung');
+    assert.equal(typed.ram, 8);
+    assert.equal(typed.storage, 256);
+    assert.deepEqual([...typed.models], ['s24', '5g']);
+    assert.equal(typed.words.has('black'), false);
+
+    // Flipkart style: untyped sizes, the larger one is storage
+    const untyped = extractSignature('SAMSUNG Galaxy S24 5G (Onyx Black, 256 GB) (8 GB RAM)');
+    assert.equal(untyped.ram, 8);
+    assert.equal(untyped.storage, 256);
+
+    assert.equal(extractSignature('Dell Inspiron 3520 Laptop, 16GB RAM, 1TB SSD').storage, 1024);
+});
+
+test('groups the same phone listed on Amazon, Flipkart and Croma', () => {
+    const groups = groupMatchingProducts([
+        listing('Samsung Galaxy S24 5G (Onyx Black, 8GB RAM, 256GB Storage)', 'Amazon', 74999),
+        listing('SAMSUNG Galaxy S24 5G (Onyx Black, 256 GB) (8 GB RAM)', 'Flipkart', 72999),
+        listing('Samsung Galaxy S24 5G 8GB RAM 256GB Marble Grey', 'Croma', 79999)
+    ]);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].platforms, ['Flipkart', 'Amazon', 'Croma']);
+    assert.equal(groups[0].offerCount, 3);
+    assert.equal(groups[0].bestOffer.platform, 'Flipkart');
+    assert.equal(groups[0].brand, 'samsung');
+});
+
+test('keeps Plus and Pro variants apart from the base model', () => {
+    assert.equal(same(
+        'Samsung Galaxy S24 5G (Onyx Black, 8GB RAM, 256GB Storage)',
+        'Samsung Galaxy S24 Plus 5G (Onyx Black, 8GB RAM, 256GB Storage)'
+    ), false);
+    assert.equal(same('Apple iPhone 15 (128 GB) - Black', 'Apple iPhone 15 Pro (128 GB) - Black Titanium'), false);
+    assert.equal(same('Apple iPhone 15 Pro (128 GB) - Black', 'Apple iPhone 15 Pro Max (128 GB) - Black'), false);
+    assert.equal(same('Apple iPhone 15 (128 GB) - Black', 'Apple iPhone 15 (128 GB) - Blue'), true);
+});
+
+test('keeps storage and RAM variants apart', () => {
+    assert.equal(same(
+        'Samsung Galaxy S24 5G (Onyx Black, 8GB RAM, 256GB Storage)',
+        'Samsung Galaxy S24 5G (Onyx Black, 8GB RAM, 512GB Storage)'
+    ), false);
+    assert.equal(same(
+        'Redmi Note 13 5G (Arctic White, 6GB RAM, 128GB Storage)',
+        'Redmi Note 13 5G (Arctic White, 8GB RAM, 128GB Storage)'
+    ), false);
+    assert.equal(same('Apple iPhone 15 (128 GB) - Black', 'Apple iPhone 15 (256 GB) - Black'), false);
+});
+
+test('reports the price spread across a group', () => {
+    const [group] = groupMatchingProducts([
+        listing('Apple iPhone 15 (128 GB) - Black', 'Amazon', 69900),
+        listing('Apple iPhone 15 (Black, 128 GB)', 'Flipkart', 65999),
+        listing('Apple iPhone 15 128GB Black', 'Croma', 72900)
+    ]);
+
+    assert.deepEqual(group.offers.map(offer => offer.platform), ['Flipkart', 'Amazon', 'Croma']);
+    assert.deepEqual(group.priceSpread, { min: 65999, max: 72900, difference: 6901, percent: 10 });
+});
+
+test('a single listing or unpriced offers have no spread', () => {
+    const groups = groupMatchingProducts([
+        listing('boAt Rockerz 450 Bluetooth Headphones', 'Amazon', 1499),
+        { title: 'Apple iPhone 15 (128 GB) - Black', platform: 'Amazon', pricing: { amount: null } },
+        { title: 'Apple iPhone 15 (Black, 128 GB)', platform: 'Flipkart', pricing: { amount: 65999 } }
+    ]);
+
+    assert.equal(groups.length, 2);
+    assert.equal(groups[0].priceSpread, null);
+    assert.equal(groups[1].priceSpread, null);
+    assert.equal(groups[1].bestOffer.platform, 'Flipkart');
+    assert.equal(groupMatchingProducts([]).length, 0);
+});
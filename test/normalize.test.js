@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePrice, parseRating, parseReviewCount } = require('../lib/normalize');
+
+test('parsePrice reads selling price, MRP and discount', () => {
+    assert.deepEqual(parsePrice('₹1,299'), { amount: 1299, currency: 'INR', mrp: null, discountPercent: null });
+    assert.deepEqual(parsePrice('Rs. 999₹1,499 (33% OFF)'), { amount: 999, currency: 'INR', mrp: 1499, discountPercent: 33 });
+    assert.deepEqual(parsePrice('₹999', '₹1,999'), { amount: 999, currency: 'INR', mrp: 1999, discountPercent: 50 });
+    assert.equal(parsePrice('₹1,29,900').amount, 129900);
+    assert.equal(parsePrice('').amount, null);
+});
+
+test('parseRating and parseReviewCount handle site formats', () => {
+    assert.equal(parseRating('4.3 out of 5 stars'), 4.3);
+    assert.equal(parseRating('12,345'), null);
+    assert.equal(parseReviewCount('(12,345)'), 12345);
+    assert.equal(parseReviewCount('|3.4k'), 3400);
+    assert.equal(parseReviewCount('2,08,742 Ratings & 8,190 Reviews'), 8190);
+    assert.equal(parseReviewCount('1.2L Ratings & 4.3K Reviews'), 4300);
+    assert.equal(parseReviewCount('2,08,742 Ratings'), 208742);
+});
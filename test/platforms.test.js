@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlatforms, listPlatforms, getPlatform } = require('../lib/platforms');
+
+loadPlatforms();
+
+test('every searchable platform builds a search URL on its own site', () => {
+    for (const platform of listPlatforms()) {
+        assert.equal(typeof platform.searchUrl, 'function', `${platform.id} has no searchUrl`);
+        const url = new URL(platform.searchUrl('iphone 15 & case', 1));
+        assert.equal(url.origin, new URL(platform.baseUrl).origin, platform.id);
+        assert.ok(url.search.includes('iphone+15+%26+case'), `${platform.id}: query not encoded in ${url}`);
+    }
+});
+
+test('search URLs carry the page number where the site supports it', () => {
+    assert.equal(new URL(getPlatform('amazon').searchUrl('tv', 3)).searchParams.get('page'), '3');
+    assert.equal(new URL(getPlatform('flipkart').searchUrl('tv', 2)).searchParams.get('page'), '2');
+    assert.equal(new URL(getPlatform('myntra').searchUrl('men tshirt', 2)).searchParams.get('p'), '2');
+    assert.equal(new URL(getPlatform('myntra').searchUrl('men tshirt', 1)).pathname, '/men-tshirt');
+    assert.equal(getPlatform('meesho').searchUrl('kurti', 2), null);
+});
+
+test('productKey matches a listing across result pages', () => {
+    const { productKey } = require('../lib/search');
+
+    assert.equal(
+        productKey({ platform: 'Amazon', productUrl: 'https://www.amazon.in/Apple-iPhone/dp/B0CHX1W1XY/ref=sr_1_1?qid=1' }),
+        productKey({ platform: 'Amazon', productId: 'b0chx1w1xy', productUrl: 'https://www.amazon.in/sspa/click?x=1' })
+    );
+    assert.equal(
+        productKey({ platform: 'Flipkart', productUrl: 'https://www.flipkart.com/apple-iphone-15/p/itm6ac6485515ae4?pid=MOBGTAGPTB3VS24W&lid=1' }),
+        'Flipkart:MOBGTAGPTB3VS24W'
+    );
+    assert.equal(
+        productKey({ platform: 'Myntra', productUrl: 'https://www.myntra.com/tshirts/hrx/12345/buy?src=search' }),
+        'https://www.myntra.com/tshirts/hrx/12345/buy'
+    );
+});
+
+test('resolvePagination turns limit/pages into a bounded crawl', () => {
+    const { resolvePagination } = require('../lib/search');
+
+    assert.deepEqual(resolvePagination({}), { limit: 15, pages: 1 });
+    assert.deepEqual(resolvePagination({ limit: 40 }), { limit: 40, pages: 5 });
+    assert.deepEqual(resolvePagination({ pages: 2 }), { limit: 100, pages: 2 });
+    assert.deepEqual(resolvePagination({ limit: 500, pages: 50 }), { limit: 100, pages: 5 });
+});
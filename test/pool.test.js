@@ -0,0 +1,77 @@
+// ============================================
+// BROWSER POOL TESTS
+// ============================================
+// One slot and a short queue timeout so queueing and the busy error are
+// quick to observe. Needs Chromium like the extractor tests.
+
+process.env.POOL_MAX_CONCURRENT = '1';
+process.env.POOL_QUEUE_TIMEOUT_MS = '1500';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { acquireContext, getPoolStats, closeBrowserPool, configureBrowserPool } = require('../lib/pool');
+const { chromiumSkipReason } = require('./helpers/browser');
+
+const skip = chromiumSkipReason(__filename);
+const created = [];
+
+configureBrowserPool({ contextCreated: async (context, sessionId) => created.push(sessionId) });
+
+after(async () => {
+    await closeBrowserPool();
+});
+
+test('reuses the context of a session and closes its pages on release', { skip }, async () => {
+    const first = await acquireContext('alice', { headless: true });
+    await first.context.newPage();
+    await first.release();
+
+    const second = await acquireContext('alice', { headless: true });
+    assert.equal(second.context, first.context);
+    assert.equal(second.context.pages().length, 0);
+    await second.release();
+
+    assert.deepEqual(created, ['alice']);
+});
+
+test('queues callers beyond the concurrency limit', { skip }, async () => {
+    const first = await acquireContext('alice', { headless: true });
+    let secondAcquired = false;
+    const waiting = acquireContext('bob', { headless: true }).then(lease => {
+        secondAcquired = true;
+        return lease;
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(secondAcquired, false);
+    assert.equal(getPoolStats().queued, 1);
+
+    await first.release();
+    const second = await waiting;
+    assert.notEqual(second.context, first.context);
+    await second.release();
+    assert.equal(getPoolStats().active, 0);
+});
+
+test('rejects with PoolBusyError when the queue wait times out', { skip }, async () => {
+    const first = await acquireContext('alice', { headless: true });
+    try {
+        await assert.rejects(acquireContext('bob', { headless: true }), { name: 'PoolBusyError' });
+        assert.equal(getPoolStats().queued, 0);
+    } finally {
+        await first.release();
+    }
+});
+
+test('relaunches the browser after it crashes', { skip }, async () => {
+    const first = await acquireContext('alice', { headless: true });
+    const browser = first.context.browser();
+    await first.release();
+    await browser.close();
+
+    const second = await acquireContext('alice', { headless: true });
+    assert.notEqual(second.context.browser(), browser);
+    assert.equal(second.context.browser().isConnected(), true);
+    await second.release();
+});
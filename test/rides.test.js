@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getRideSite, getRideSelectors, listRideSites, parseRideOption, rideCategory, compareRides } = require('../lib/rides');
+
+test('parseRideOption reads type, ETA and fare range', () => {
+    assert.deepEqual(parseRideOption('Uber Go\n4 min away\n₹212.50-₹260'), {
+        type: 'Uber Go',
+        category: 'hatchback',
+        eta: '4 min',
+        etaMinutes: 4,
+        fare: '₹213-₹260',
+        fareMin: 212.5,
+        fareMax: 260
+    });
+
+    const auto = parseRideOption('Auto\n3 mins · 12:31\n₹1,095');
+    assert.equal(auto.type, 'Auto');
+    assert.equal(auto.category, 'auto');
+    assert.equal(auto.fare, '₹1095');
+    assert.equal(auto.fareMin, auto.fareMax);
+
+    assert.equal(parseRideOption('Uber Go\n4 min away'), null);
+    assert.equal(parseRideOption(''), null);
+});
+
+test('rideCategory puts comparable Uber and Ola rides in one bucket', () => {
+    assert.equal(rideCategory('Uber Go'), 'hatchback');
+    assert.equal(rideCategory('Mini'), 'hatchback');
+    assert.equal(rideCategory('Premier'), 'sedan');
+    assert.equal(rideCategory('Prime Sedan'), 'sedan');
+    assert.equal(rideCategory('UberXL'), 'suv');
+    assert.equal(rideCategory('Prime SUV'), 'suv');
+    assert.equal(rideCategory('Uber Moto'), 'bike');
+    assert.equal(rideCategory('Ola Auto'), 'auto');
+    assert.equal(rideCategory('Ola Rentals'), 'rentals');
+});
+
+test('compareRides lines providers up per category and flags the cheaper one', () => {
+    const providers = [
+        {
+            platform: 'Uber',
+            options: [
+                parseRideOption('Uber Go\n4 min\n₹250'),
+                parseRideOption('Auto\n2 min\n₹120'),
+                parseRideOption('Premier\n6 min\n₹320')
+            ]
+        },
+        {
+            platform: 'Ola',
+            options: [
+                parseRideOption('Mini\n5 min\n₹230'),
+                parseRideOption('Micro\n7 min\n₹210'),
+                parseRideOption('Auto\n3 min\n₹120')
+            ]
+        },
+        { platform: 'Broken', options: [], error: 'timed out' }
+    ];
+
+    const comparison = compareRides(providers);
+    assert.deepEqual(comparison.map(row => row.category), ['auto', 'hatchback', 'sedan']);
+
+    const hatchback = comparison.find(row => row.category === 'hatchback');
+    assert.equal(hatchback.offers.Ola.type, 'Micro');
+    assert.equal(hatchback.offers.Uber.fareMin, 250);
+    assert.equal(hatchback.cheapest, 'Ola');
+
+    // A tie or a single provider has no winner
+    assert.equal(comparison.find(row => row.category === 'auto').cheapest, null);
+    assert.equal(comparison.find(row => row.category === 'sedan').cheapest, null);
+});
+
+test('ride sites never click confirm-style buttons', () => {
+    assert.equal(getRideSite('OLA').name, 'Ola');
+    assert.equal(getRideSite('rapido'), null);
+    for (const site of listRideSites()) {
+        for (const selector of getRideSelectors(site).showPrices) {
+            assert.doesNotMatch(selector, /request|confirm|book/i);
+        }
+    }
+});
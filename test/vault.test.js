@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+process.env.SESSION_VAULT_DIR = vaultDir;
+process.env.SESSION_VAULT_KEY = 'test passphrase';
+
+const { loadPlatforms } = require('../lib/platforms');
+const {
+    siteForDomain, saveStorageState, loadStorageState, listSessions, expireSession, deleteSession, deleteUserSessions
+} = require('../lib/vault');
+
+loadPlatforms();
+
+after(() => fs.rmSync(vaultDir, { recursive: true, force: true }));
+
+const cookie = (name, domain) => ({
+    name, value: `${name}-secret`, domain, path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax'
+});
+
+const STATE = {
+    cookies: [cookie('session-id', '.amazon.in'), cookie('SN', '.flipkart.com'), cookie('_session', 'www.swiggy.com')],
+    origins: [{ origin: 'https://www.amazon.in', localStorage: [{ name: 'csm-hit', value: 'abc' }] }]
+};
+
+test('siteForDomain maps cookie domains to platforms or bare hosts', () => {
+    assert.equal(siteForDomain('.amazon.in'), 'amazon');
+    assert.equal(siteForDomain('www.flipkart.com'), 'flipkart');
+    assert.equal(siteForDomain('www.swiggy.com'), 'swiggy.com');
+});
+
+test('saves storageState per site, encrypted, and restores it per user', () => {
+    assert.deepEqual(saveStorageState('alice', STATE).sort(), ['amazon', 'flipkart', 'swiggy.com']);
+
+    const raw = fs.readFileSync(path.join(vaultDir, 'alice', 'amazon.json'), 'utf8');
+    assert.doesNotMatch(raw, /session-id-secret|csm-hit/);
+
+    const restored = loadStorageState('alice');
+    assert.deepEqual(restored.cookies.map(c => c.name).sort(), ['SN', '_session', 'session-id']);
+    assert.deepEqual(restored.origins, STATE.origins);
+
+    assert.equal(loadStorageState('bob'), null, 'another user never gets alice\'s logins');
+    assert.deepEqual(listSessions('alice').map(session => [session.site, session.cookies]), [
+        ['amazon', 1], ['flipkart', 1], ['swiggy.com', 1]
+    ]);
+});
+
+test('a different key cannot read saved sessions', () => {
+    process.env.SESSION_VAULT_KEY = 'some other key';
+    try {
+        assert.equal(loadStorageState('alice'), null);
+    } finally {
+        process.env.SESSION_VAULT_KEY = 'test passphrase';
+    }
+});
+
+test('expiring and deleting sessions', () => {
+    const extended = expireSession('alice', 'flipkart', 2);
+    assert.ok(new Date(extended.expiresAt) - Date.now() > 1.9 * 24 * 60 * 60 * 1000);
+
+    expireSession('alice', 'amazon', 0);
+    assert.equal(deleteSession('alice', 'swiggy.com'), true);
+    assert.equal(deleteSession('alice', 'swiggy.com'), false);
+    assert.deepEqual(listSessions('alice').map(session => session.site), ['flipkart']);
+
+    assert.equal(expireSession('alice', '../bob', 1), null, 'site names cannot escape the user folder');
+    assert.equal(deleteUserSessions('alice'), 1);
+    assert.equal(loadStorageState('alice'), null);
+});
+
+test('nothing is written without SESSION_VAULT_KEY', () => {
+    delete process.env.SESSION_VAULT_KEY;
+    try {
+        assert.deepEqual(saveStorageState('carol', STATE), []);
+        assert.equal(fs.existsSync(path.join(vaultDir, 'carol')), false);
+    } finally {
+        process.env.SESSION_VAULT_KEY = 'test passphrase';
+    }
+});
@@ -0,0 +1,51 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-'));
+process.env.WATCHLIST_FILE = path.join(dataDir, 'watchlist.json');
+
+const { watchEvents, validateWatch, addWatch, getWatch, recordPrice, dueWatches } = require('../lib/watchlist');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('validateWatch needs a link or query and a target price', () => {
+    assert.match(validateWatch({ targetPrice: 100 }), /productUrl or a query/);
+    assert.match(validateWatch({ query: 'iphone 15' }), /targetPrice/);
+    assert.match(validateWatch({ productUrl: 'amazon.in/dp/x', targetPrice: 100 }), /http/);
+    assert.match(validateWatch({ query: 'tv', targetPrice: 100, intervalMinutes: 1 }), /intervalMinutes/);
+    assert.equal(validateWatch({ query: 'iphone 15', targetPrice: 60000 }), null);
+});
+
+test('recordPrice alerts once when the price crosses the target', () => {
+    const item = addWatch({ query: 'iphone 15', platform: 'amazon', targetPrice: 60000 });
+    const alerts = [];
+    watchEvents.on('alert', alert => alerts.push(alert));
+
+    assert.equal(recordPrice(item.id, { price: 65999, title: 'Apple iPhone 15' }), null);
+    const alert = recordPrice(item.id, { price: 59999, platform: 'Amazon' });
+    assert.equal(recordPrice(item.id, { price: 58999 }), null, 'no repeat alert while below target');
+    recordPrice(item.id, { error: 'Timed out' });
+
+    assert.deepEqual(
+        { price: alert.price, previousPrice: alert.previousPrice, targetPrice: alert.targetPrice, title: alert.title },
+        { price: 59999, previousPrice: 65999, targetPrice: 60000, title: 'Apple iPhone 15' }
+    );
+    assert.equal(alerts.length, 1);
+    assert.deepEqual(getWatch(item.id).history.map(point => point.price), [65999, 59999, 58999]);
+    assert.equal(getWatch(item.id).lastError, 'Timed out');
+
+    const saved = JSON.parse(fs.readFileSync(process.env.WATCHLIST_FILE, 'utf8'));
+    assert.equal(saved.find(watch => watch.id === item.id).history.length, 3);
+});
+
+test('dueWatches returns items whose interval has passed', () => {
+    const item = addWatch({ productUrl: 'https://www.flipkart.com/p/itm1', targetPrice: 500, intervalMinutes: 60 });
+    assert.ok(dueWatches().some(watch => watch.id === item.id), 'never checked is due');
+
+    recordPrice(item.id, { price: 700 });
+    assert.ok(!dueWatches().some(watch => watch.id === item.id));
+    assert.ok(dueWatches(Date.now() + 61 * 60000).some(watch => watch.id === item.id));
+});